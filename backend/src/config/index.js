@@ -34,7 +34,49 @@ export const config = {
   
   // Cache
   defaultCacheTtl: parseInt(process.env.DEFAULT_CACHE_TTL || '0', 10), // 0 = forever
-  sourceSelectionMode: process.env.SOURCE_SELECTION_MODE || 'priority',
+  sourceSelectionMode: process.env.SOURCE_SELECTION_MODE || 'priority', // default for proxy groups without their own mode
+  
+  // Upstream retries (exponential backoff with full jitter, per-source retry_count)
+  retryBackoffBaseMs: parseInt(process.env.RETRY_BACKOFF_BASE_MS || '200', 10),
+  retryBackoffMaxMs: parseInt(process.env.RETRY_BACKOFF_MAX_MS || '5000', 10),
+  
+  // Request coalescing (single-flight) across replicas via Redis; in-process is always on
+  coalesceAcrossInstances: process.env.COALESCE_ACROSS_INSTANCES === 'true',
+  coalesceWaitMs: parseInt(process.env.COALESCE_WAIT_MS || '5000', 10),
+  
+  // Background revalidation of entries due per revalidate_at (policy refresh_schedule runs separately)
+  revalidationSchedule: process.env.REVALIDATION_SCHEDULE || '* * * * *',
+  revalidationBatchSize: parseInt(process.env.REVALIDATION_BATCH_SIZE || '50', 10),
+  revalidationConcurrencyPerSource: parseInt(process.env.REVALIDATION_CONCURRENCY_PER_SOURCE || '2', 10),
+  
+  // Cache warming jobs
+  cacheWarmMaxRequests: parseInt(process.env.CACHE_WARM_MAX_REQUESTS || '1000', 10),
+  
+  // Largest response body stored in the cache (sources can override with max_cacheable_bytes)
+  maxCacheableBodyBytes: parseInt(process.env.MAX_CACHEABLE_BODY_BYTES || '10485760', 10),
+  
+  // Bodies smaller than this are stored uncompressed even in pools with compression
+  cacheCompressionMinBytes: parseInt(process.env.CACHE_COMPRESSION_MIN_BYTES || '1024', 10),
+  
+  // L1 tier for hot entries: Redis when REDIS_URL is set, otherwise an in-process LRU
+  l1CacheEnabled: process.env.L1_CACHE_ENABLED !== 'false',
+  l1CacheTtlSeconds: parseInt(process.env.L1_CACHE_TTL_SECONDS || '60', 10),
+  l1CacheMaxEntryBytes: parseInt(process.env.L1_CACHE_MAX_ENTRY_BYTES || '262144', 10),
+  l1CacheMaxBytes: parseInt(process.env.L1_CACHE_MAX_BYTES || '67108864', 10), // in-process LRU only
+  
+  // Hit counts and access lineage are buffered and written to Postgres in batches
+  hitFlushIntervalMs: parseInt(process.env.HIT_FLUSH_INTERVAL_MS || '5000', 10),
+  hitBufferMaxEvents: parseInt(process.env.HIT_BUFFER_MAX_EVENTS || '10000', 10), // flush early when reached
+  
+  // Background sweep enforcing storage pool quotas (also enforced on write)
+  evictionSweepSchedule: process.env.EVICTION_SWEEP_SCHEDULE || '*/5 * * * *',
+  
+  // Active source health checks: how often due checks are looked for, and history retention
+  healthCheckTickMs: parseInt(process.env.HEALTH_CHECK_TICK_MS || '10000', 10),
+  healthCheckHistoryDays: parseInt(process.env.HEALTH_CHECK_HISTORY_DAYS || '7', 10),
+  
+  // Hedged requests: delay before the duplicate call when a group sets no delay and the primary has no p95 yet
+  hedgeDefaultDelayMs: parseInt(process.env.HEDGE_DEFAULT_DELAY_MS || '500', 10),
   
   // Rate limiting
   rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || '100', 10),
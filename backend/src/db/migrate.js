@@ -1,6 +1,24 @@
 import { query } from './pool.js';
 import logger from '../utils/logger.js';
 
+// Sources of unconverted apps with the canonical name the proxy used to group them by
+// (text before " - ", else the first word unless the name looks like "Weather Radar")
+// and its base slug; used once to convert name-based groups into source_groups
+const CANONICAL_SOURCE_GROUPS = `
+  SELECT n.app_id, n.source_id, n.priority, n.weight, n.canonical_name,
+         COALESCE(NULLIF(TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(n.canonical_name), '[^a-z0-9]+', '-', 'g')), ''), 'group') as slug
+  FROM (
+    SELECT s.app_id, s.id as source_id, COALESCE(s.priority, 0) as priority, COALESCE(s.selection_weight, 1) as weight,
+           CASE
+             WHEN POSITION(' - ' IN s.name) > 1 THEN SUBSTRING(s.name FROM 1 FOR POSITION(' - ' IN s.name) - 1)
+             WHEN POSITION(' ' IN s.name) > 1 AND s.name !~ '^[A-Z][a-z]+ [A-Z]' THEN SPLIT_PART(s.name, ' ', 1)
+             ELSE s.name
+           END as canonical_name
+    FROM app_sources s
+    JOIN apps a ON a.id = s.app_id
+    WHERE a.source_groups_migrated IS NULL
+  ) n`;
+
 const migrations = [
   // Initial schema
   `CREATE TABLE IF NOT EXISTS apps (
@@ -326,6 +344,176 @@ const migrations = [
   
   // Add cost_per_request to app_sources
   `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS cost_per_request DECIMAL(10, 4)`,
+  
+  // Allow retries of non-idempotent methods (POST/PATCH) per source
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS retry_non_idempotent BOOLEAN DEFAULT false`,
+  
+  // Explicit fallback source for fallback_mode = 'alternative_source'
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS fallback_source_id UUID REFERENCES app_sources(id) ON DELETE SET NULL`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS fallback_path_template TEXT`,
+  
+  // Serve expired entries when all sources fail (stale-if-error), per source and per policy
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS stale_if_error_seconds INT`,
+  `ALTER TABLE cache_policies ADD COLUMN IF NOT EXISTS stale_if_error_seconds INT`,
+  
+  // Serve expired entries while refreshing in the background (stale-while-revalidate)
+  `ALTER TABLE cache_policies ADD COLUMN IF NOT EXISTS stale_while_revalidate_seconds INT`,
+  
+  // Original request body and vary headers (encrypted) so entries can be replayed
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS request_body_encrypted TEXT`,
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS request_headers_encrypted TEXT`,
+  
+  // Cron schedule for refreshing a source's cached entries in the background
+  `ALTER TABLE cache_policies ADD COLUMN IF NOT EXISTS refresh_schedule VARCHAR(100)`,
+  
+  // Cache warming jobs (progress and final report)
+  `CREATE TABLE IF NOT EXISTS cache_warm_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    source_type VARCHAR(20) NOT NULL,
+    options JSONB,
+    total INT DEFAULT 0,
+    processed INT DEFAULT 0,
+    succeeded INT DEFAULT 0,
+    failed INT DEFAULT 0,
+    report JSONB,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_cache_warm_jobs_app_created ON cache_warm_jobs(app_id, created_at DESC)`,
+  
+  // Refreshes answered with 304 Not Modified (counted toward cost savings)
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS revalidated_count INT DEFAULT 0`,
+  
+  // Origin-driven TTL: derive TTL and cacheability from upstream Cache-Control / Expires / Vary
+  `ALTER TABLE cache_policies ADD COLUMN IF NOT EXISTS ttl_mode VARCHAR(20) DEFAULT 'fixed'`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS origin_vary_headers JSONB`,
+  
+  // Per-source cache key rules (query/body include-exclude, path case folding, header and claim extraction)
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS cache_key_rules JSONB`,
+  
+  // Binary-safe storage for non-text bodies, and a per-source limit on cacheable body size
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS response_body_binary BYTEA`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS max_cacheable_bytes INT`,
+  
+  // Per-pool compression of stored bodies (compressed bytes live in response_body_binary)
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS compression VARCHAR(10) DEFAULT 'none'`,
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS body_compression VARCHAR(10)`,
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS body_format VARCHAR(10)`,
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS uncompressed_size INT`,
+  
+  // Per-pool quotas (size and entry count) with an eviction policy, and eviction counters
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS max_size_bytes BIGINT`,
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS max_entries INT`,
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS eviction_policy VARCHAR(20) DEFAULT 'lru'`,
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS evicted_count BIGINT DEFAULT 0`,
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS evicted_bytes BIGINT DEFAULT 0`,
+  `ALTER TABLE storage_pools ADD COLUMN IF NOT EXISTS last_evicted_at TIMESTAMP`,
+  // Stored size of each entry (calculateCacheEntrySize at write time); backfilled for existing rows
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS entry_size_bytes INT`,
+  `UPDATE cache_entries SET entry_size_bytes =
+     COALESCE(octet_length(response_body::text), 0) + COALESCE(octet_length(response_body_raw), 0) + COALESCE(octet_length(response_body_binary), 0)
+   WHERE entry_size_bytes IS NULL`,
+  
+  // Negative caching: chosen error statuses are stored with their own short TTL
+  `ALTER TABLE cache_policies ADD COLUMN IF NOT EXISTS negative_cache_statuses JSONB`,
+  `ALTER TABLE cache_policies ADD COLUMN IF NOT EXISTS negative_ttl_seconds INT`,
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS is_negative BOOLEAN DEFAULT false`,
+  // Response transforms: versioned per source, entries remember the version that produced them
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS transform_rules JSONB`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS transform_version INT DEFAULT 0`,
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS transform_version INT`,
+  
+  // Weight for weighted round-robin
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS selection_weight INT DEFAULT 1`,
+  
+  // Source groups: explicit proxy groups addressed by slug (/proxy/:slug/*), with
+  // per-member priority and weight. selection_mode NULL = SOURCE_SELECTION_MODE
+  `CREATE TABLE IF NOT EXISTS source_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL,
+    description TEXT,
+    selection_mode VARCHAR(30),
+    kill_switch_enabled BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(app_id, slug)
+  )`,
+  `CREATE TABLE IF NOT EXISTS source_group_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID REFERENCES source_groups(id) ON DELETE CASCADE,
+    source_id UUID REFERENCES app_sources(id) ON DELETE CASCADE,
+    priority INT DEFAULT 0,
+    weight INT DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(group_id, source_id)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_source_group_members_source ON source_group_members(source_id)`,
+  // One-time conversion of the name-based groups (canonical name, as the proxy used to infer it).
+  // Existing apps get NULL and are converted once; apps created later default to converted.
+  // One group per exact canonical name: names sharing a base slug get "-2", "-3", ...
+  `ALTER TABLE apps ADD COLUMN IF NOT EXISTS source_groups_migrated BOOLEAN`,
+  `ALTER TABLE apps ALTER COLUMN source_groups_migrated SET DEFAULT true`,
+  `INSERT INTO source_groups (app_id, name, slug)
+   SELECT n.app_id, n.canonical_name, CASE WHEN n.position = 1 THEN n.slug ELSE n.slug || '-' || n.position END
+   FROM (
+     SELECT d.app_id, d.canonical_name, d.slug,
+            ROW_NUMBER() OVER (PARTITION BY d.app_id, d.slug ORDER BY d.canonical_name) as position
+     FROM (SELECT DISTINCT app_id, canonical_name, slug FROM (${CANONICAL_SOURCE_GROUPS}) c) d
+   ) n
+   ON CONFLICT (app_id, slug) DO NOTHING`,
+  `INSERT INTO source_group_members (group_id, source_id, priority, weight)
+   SELECT g.id, c.source_id, c.priority, c.weight
+   FROM (${CANONICAL_SOURCE_GROUPS}) c
+   JOIN source_groups g ON g.app_id = c.app_id AND g.name = c.canonical_name
+   ON CONFLICT (group_id, source_id) DO NOTHING`,
+  `UPDATE apps SET source_groups_migrated = true WHERE source_groups_migrated IS NULL`,
+  
+  // Active health checks: per-source config (NULL = disabled), current state and history
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS health_check_config JSONB`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS health_status VARCHAR(20) DEFAULT 'unknown'`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS health_consecutive_successes INT DEFAULT 0`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS health_consecutive_failures INT DEFAULT 0`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS health_checked_at TIMESTAMP`,
+  `ALTER TABLE app_sources ADD COLUMN IF NOT EXISTS health_changed_at TIMESTAMP`,
+  `CREATE TABLE IF NOT EXISTS source_health_checks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+    source_id UUID REFERENCES app_sources(id) ON DELETE CASCADE,
+    success BOOLEAN NOT NULL,
+    status_code INT,
+    latency_ms INT,
+    error TEXT,
+    health_status VARCHAR(20),
+    checked_at TIMESTAMP DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_source_health_checks_source ON source_health_checks(source_id, checked_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_source_health_checks_checked_at ON source_health_checks(checked_at)`,
+  
+  // Per-group failover rules (NULL = fail over on errors, timeouts, challenge pages and 404)
+  `ALTER TABLE source_groups ADD COLUMN IF NOT EXISTS failover_rules JSONB`,
+  
+  // Hedged requests per group (hedge_delay_ms NULL = the primary source's p95 latency)
+  `ALTER TABLE source_groups ADD COLUMN IF NOT EXISTS hedging_enabled BOOLEAN DEFAULT false`,
+  `ALTER TABLE source_groups ADD COLUMN IF NOT EXISTS hedge_delay_ms INT`,
+  
+  // When an entry was last refreshed; revalidate_at only schedules the next refresh
+  `ALTER TABLE cache_entries ADD COLUMN IF NOT EXISTS last_revalidated_at TIMESTAMP`,
+  
+  // Warm jobs touch heartbeat_at as they progress so a restart can tell orphaned jobs apart
+  `ALTER TABLE cache_warm_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP`,
+  
+  // Hot key warming counts an app's accessed events inside a time window
+  `CREATE INDEX IF NOT EXISTS idx_lineage_events_app_type_created ON lineage_events(app_id, event_type, created_at)`,
+  
+  // Per-name selection settings were replaced by source_groups.selection_mode
+  `DROP TABLE IF EXISTS source_group_settings`,
 ];
 
 export async function runMigrations() {
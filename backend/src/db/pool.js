@@ -33,6 +33,26 @@ export async function getClient() {
   return pool.connect();
 }
 
+/**
+ * Run queries in one transaction on a dedicated client
+ * @param {function} fn - client => Promise; rolled back if it throws
+ * @returns {Promise<*>} - What fn resolved with
+ */
+export async function withTransaction(fn) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export async function checkConnection() {
   try {
     await pool.query('SELECT 1');
@@ -53,6 +53,55 @@ export function isRedisAvailable() {
   return isConnected && redisClient !== null;
 }
 
+/**
+ * Acquire a distributed lock using Redis
+ * @param {string} lockKey - Lock key
+ * @param {number} ttlSeconds - Lock TTL in seconds
+ * @returns {boolean} - True if lock acquired
+ */
+export async function acquireLock(lockKey, ttlSeconds) {
+  if (!isRedisAvailable()) {
+    // No Redis = single instance, always acquire
+    return true;
+  }
+
+  try {
+    const redis = await getRedisClient();
+    if (!redis) return true;
+
+    // SET NX with TTL - atomic lock acquisition
+    const result = await redis.set(lockKey, Date.now().toString(), {
+      NX: true,
+      EX: ttlSeconds,
+    });
+
+    return result === 'OK';
+  } catch (err) {
+    logger.error({ err }, 'Error acquiring lock');
+    // On error, allow execution (single instance behavior)
+    return true;
+  }
+}
+
+/**
+ * Release a distributed lock
+ * @param {string} lockKey - Lock key
+ */
+export async function releaseLock(lockKey) {
+  if (!isRedisAvailable()) {
+    return;
+  }
+
+  try {
+    const redis = await getRedisClient();
+    if (redis) {
+      await redis.del(lockKey);
+    }
+  } catch (err) {
+    logger.error({ err }, 'Error releasing lock');
+  }
+}
+
 /**
  * Close Redis connection
  */
@@ -64,5 +113,5 @@ export async function closeRedis() {
   }
 }
 
-export default { getRedisClient, isRedisAvailable, closeRedis };
+export default { getRedisClient, isRedisAvailable, acquireLock, releaseLock, closeRedis };
 
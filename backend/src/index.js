@@ -23,6 +23,7 @@ import cachePolicyRoutes from './routes/cachepolicy.js';
 import authRoutes from './routes/auth.js';
 import dataRoutes from './routes/data.js';
 import sourcesRoutes from './routes/sources.js';
+import sourceGroupsRoutes from './routes/sourceGroups.js';
 import reportsRoutes from './routes/reports.js';
 import mocksRoutes from './routes/mocks.js';
 import lineageRoutes from './routes/lineage.js';
@@ -31,6 +32,11 @@ import policiesRoutes from './routes/policies.js';
 import complianceRoutes from './routes/compliance.js';
 import costSavingsRoutes from './routes/costSavings.js';
 import { initializeScheduledPurges, stopAllScheduledPurges } from './services/scheduledPurgeService.js';
+import { initializeScheduledRevalidations, stopAllScheduledRevalidations } from './services/scheduledRevalidationService.js';
+import { startHitAccounting, stopHitAccounting } from './services/hitAccountingService.js';
+import { startEvictionSweeper, stopEvictionSweeper } from './services/evictionService.js';
+import { startHealthChecks, stopHealthChecks } from './services/healthCheckService.js';
+import { recoverInterruptedWarmJobs } from './services/cacheWarmingService.js';
 
 // Create Fastify instance
 const fastify = Fastify({
@@ -99,6 +105,22 @@ async function start() {
     await initializeScheduledPurges();
     fastify.log.info('Scheduled purge jobs initialized');
 
+    // Initialize background revalidation jobs
+    await initializeScheduledRevalidations();
+    fastify.log.info('Scheduled revalidation jobs initialized');
+
+    // Start batched hit accounting
+    startHitAccounting();
+
+    // Start the storage pool quota sweeper
+    startEvictionSweeper();
+
+    // Start active source health checks
+    startHealthChecks();
+
+    // Warm jobs do not survive a restart; close out the ones left unfinished
+    await recoverInterruptedWarmJobs();
+
     // Security plugins
     await fastify.register(helmet, {
       contentSecurityPolicy: config.nodeEnv === 'production' ? {
@@ -190,6 +212,7 @@ async function start() {
     await fastify.register(authRoutes, { prefix: '/api/v1/auth' });
   await fastify.register(dataRoutes, { prefix: '/api/v1/data' });
   await fastify.register(sourcesRoutes, { prefix: '/api/v1/sources' });
+  await fastify.register(sourceGroupsRoutes, { prefix: '/api/v1/source-groups' });
   await fastify.register(reportsRoutes, { prefix: '/api/v1' });
   await fastify.register(mocksRoutes, { prefix: '/api/v1' });
   await fastify.register(lineageRoutes, { prefix: '/api/v1' });
@@ -266,6 +289,10 @@ async function start() {
 process.on('SIGTERM', async () => {
   fastify.log.info('SIGTERM received, shutting down gracefully');
   stopAllScheduledPurges();
+  stopAllScheduledRevalidations();
+  stopEvictionSweeper();
+  stopHealthChecks();
+  await stopHitAccounting();
   await closeRedis();
   await fastify.close();
   process.exit(0);
@@ -274,6 +301,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   fastify.log.info('SIGINT received, shutting down gracefully');
   stopAllScheduledPurges();
+  stopAllScheduledRevalidations();
+  stopEvictionSweeper();
+  stopHealthChecks();
+  await stopHitAccounting();
   await closeRedis();
   await fastify.close();
   process.exit(0);
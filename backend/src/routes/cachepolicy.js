@@ -50,11 +50,49 @@ export default async function cachePolicyRoutes(fastify) {
           source_id: { type: 'string', format: 'uuid' },
           max_ttl_seconds: { type: 'integer', minimum: 0, maximum: 31536000, default: 86400 },
           no_cache: { type: 'boolean', default: false },
+          ttl_mode: {
+            type: 'string',
+            enum: ['fixed', 'origin'],
+            default: 'fixed',
+            description: 'origin: derive TTL and cacheability from upstream Cache-Control, Expires and Vary (bounded by max_ttl_seconds)',
+          },
           purge_schedule: { 
             type: 'string', 
             pattern: '^([0-9,\\-\\*\\/]+\\s+){4}[0-9,\\-\\*\\/]+$',
             description: 'Cron expression (e.g., "0 2 * * *" for daily at 2 AM)',
           },
+          refresh_schedule: {
+            type: ['string', 'null'],
+            pattern: '^([0-9,\\-\\*\\/]+\\s+){4}[0-9,\\-\\*\\/]+$',
+            description: 'Cron expression for refreshing this source\'s cached entries in the background',
+          },
+          stale_if_error_seconds: {
+            type: ['integer', 'null'],
+            minimum: 0,
+            maximum: 31536000,
+            description: 'Serve entries expired up to this long ago when all sources fail (overrides the source setting)',
+          },
+          stale_while_revalidate_seconds: {
+            type: ['integer', 'null'],
+            minimum: 0,
+            maximum: 31536000,
+            description: 'Serve entries expired up to this long ago immediately while refreshing them in the background',
+          },
+          negative_cache_statuses: {
+            type: 'array',
+            items: { type: 'integer', minimum: 400, maximum: 599 },
+            uniqueItems: true,
+            maxItems: 50,
+            default: [],
+            description: 'Error statuses to cache (e.g. 404, 410, 429); served with X-Cache: NEGATIVE-HIT',
+          },
+          negative_ttl_seconds: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 86400,
+            default: 60,
+            description: 'TTL for negatively cached responses',
+          },
         },
       },
     },
@@ -72,6 +110,12 @@ export default async function cachePolicyRoutes(fastify) {
         max_ttl_seconds: policy.max_ttl_seconds,
         no_cache: policy.no_cache,
         purge_schedule: policy.purge_schedule,
+        refresh_schedule: policy.refresh_schedule,
+        ttl_mode: policy.ttl_mode,
+        stale_if_error_seconds: policy.stale_if_error_seconds,
+        stale_while_revalidate_seconds: policy.stale_while_revalidate_seconds,
+        negative_cache_statuses: policy.negative_cache_statuses,
+        negative_ttl_seconds: policy.negative_ttl_seconds,
       },
       ip_address: request.ip,
     });
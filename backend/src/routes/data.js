@@ -2,7 +2,8 @@ import { cacheOrFetch, listCacheEntries, getCacheStats, invalidateCacheEntry, pu
 import { query } from '../db/pool.js';
 import { logAudit } from '../services/auditService.js';
 import config from '../config/index.js';
-import { createErrorResponse } from '../utils/errorHandler.js';
+import { createErrorResponse, handleNotFoundError } from '../utils/errorHandler.js';
+import { generateEtag, isNotModified } from '../utils/etag.js';
 
 export default async function dataRoutes(fastify) {
   // Fetch data with caching
@@ -40,7 +41,26 @@ export default async function dataRoutes(fastify) {
       fastify.log.info({ method, url, cached: result.cached, status: result.response.status }, '[/api/v1/data] Request completed');
       
       // Set cache headers
-      reply.header('X-Cache', result.cached ? 'HIT' : 'MISS');
+      const isStale = result.meta?.stale_if_error || result.meta?.stale_while_revalidate;
+      let cacheStatus = result.cached ? 'HIT' : 'MISS';
+      if (isStale) {
+        cacheStatus = 'STALE';
+      } else if (result.meta?.revalidated) {
+        // Upstream answered 304 Not Modified; the stored body was served
+        cacheStatus = 'REVALIDATED';
+      } else if (result.meta?.bypass_size) {
+        // Body exceeded the source's max cacheable size and was not stored
+        cacheStatus = 'BYPASS-SIZE';
+      } else if (result.cached && result.meta?.negative) {
+        // Stored error response from the policy's negative cache
+        cacheStatus = 'NEGATIVE-HIT';
+      }
+      reply.header('X-Cache', cacheStatus);
+      if (result.meta?.stale_if_error) {
+        reply.header('Warning', '111 - "Revalidation Failed"');
+      } else if (result.meta?.stale_while_revalidate) {
+        reply.header('Warning', '110 - "Response is Stale"');
+      }
       reply.header('X-Cache-Key', result.cache_key);
       
       if (result.meta) {
@@ -48,6 +68,12 @@ export default async function dataRoutes(fastify) {
         if (result.meta.expires_at) {
           reply.header('X-Cache-Expires', result.meta.expires_at);
         }
+        if (!result.cached) {
+          reply.header('X-Retry-Attempts', result.meta.retry_attempts);
+        }
+        if (result.meta.fallback_source) {
+          reply.header('X-Fallback-Source', result.meta.fallback_source);
+        }
       }
       
       // Always return 200 OK for our API response
@@ -59,12 +85,37 @@ export default async function dataRoutes(fastify) {
       if (result.response.headers) {
         const safeHeaders = ['content-type', 'cache-control', 'etag', 'last-modified'];
         for (const [key, value] of Object.entries(result.response.headers)) {
-          if (safeHeaders.includes(key.toLowerCase())) {
+          if (safeHeaders.includes(key.toLowerCase()) || result.meta?.transform_headers?.includes(key.toLowerCase())) {
             reply.header(`X-Proxied-${key}`, value);
           }
         }
       }
       
+      // ETag identifies the upstream body version (meta such as hit counts is not part of it)
+      if (result.response.status >= 200 && result.response.status < 300) {
+        const responseHeaders = result.response.headers || {};
+        const etag = responseHeaders.etag || generateEtag(result.response.body);
+        reply.header('ETag', etag);
+        
+        if (isNotModified(request.headers, { etag, lastModified: responseHeaders['last-modified'] || null })) {
+          return reply.status(304).send();
+        }
+      }
+      
+      // Binary bodies can't be embedded in JSON as is: send them base64-encoded
+      if (Buffer.isBuffer(result.response.body)) {
+        return {
+          data: {
+            ...result,
+            response: {
+              ...result.response,
+              body: result.response.body.toString('base64'),
+              body_encoding: 'base64',
+            },
+          },
+        };
+      }
+      
       // Return full result object wrapped in data property
       return {
         data: result
@@ -516,6 +567,175 @@ export default async function dataRoutes(fastify) {
     return { success: !!result, cached: result?.cached || false };
   });
 
+  // Get background revalidation job status
+  fastify.get('/cache/revalidation/status', {
+    preHandler: [fastify.authenticate],
+  }, async (request, reply) => {
+    const { getScheduledRevalidationStatus } = await import('../services/scheduledRevalidationService.js');
+    
+    const pending = await query(
+      `SELECT COUNT(*) as due_entries, MIN(revalidate_at) as oldest_due_at
+       FROM cache_entries
+       WHERE app_id = $1 AND revalidate_at IS NOT NULL AND revalidate_at <= NOW()`,
+      [request.appId]
+    );
+    
+    return {
+      jobs: getScheduledRevalidationStatus(request.appId),
+      due_entries: parseInt(pending.rows[0].due_entries, 10),
+      oldest_due_at: pending.rows[0].oldest_due_at,
+    };
+  });
+
+  // Start a cache warming job (admin only)
+  fastify.post('/cache/warm', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          requests: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+                url: { type: 'string' },
+                path: { type: 'string' },
+                source_id: { type: 'string', format: 'uuid' },
+                body: { type: ['object', 'string', 'null'] },
+                headers: { type: 'object' },
+              },
+            },
+          },
+          jsonl: { type: 'string', minLength: 1, description: 'One request object per line' },
+          sitemap_url: { type: 'string' },
+          hot_keys: {
+            type: 'object',
+            properties: {
+              top_n: { type: 'integer', minimum: 1, maximum: 10000, default: 100 },
+              days: { type: 'integer', minimum: 1, maximum: 365, default: 7 },
+            },
+          },
+          concurrency: { type: 'integer', minimum: 1, maximum: 10, default: 2 },
+          delay_ms: { type: 'integer', minimum: 0, maximum: 60000, default: 0 },
+          force_refresh: { type: 'boolean', default: false },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { createWarmJob } = await import('../services/cacheWarmingService.js');
+    
+    let job;
+    try {
+      job = await createWarmJob(request.appId, request.userId, request.body);
+    } catch (err) {
+      const isInvalid = err.message.includes('Exactly one of') ||
+        err.message.includes('Invalid JSONL') ||
+        err.message.includes('No requests to warm') ||
+        err.message.includes('Invalid or blocked URL');
+      const { statusCode, response } = createErrorResponse(err, {
+        statusCode: isInvalid ? 400 : 502,
+        code: isInvalid ? 'ValidationError' : 'BadGateway',
+      });
+      return reply.status(statusCode).send(response);
+    }
+    
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'cache_warm_start',
+      resource_type: 'cache_warm_job',
+      resource_id: job.id,
+      new_value: { source_type: job.source_type, total: job.total, options: job.options },
+      ip_address: request.ip,
+    });
+    
+    return reply.status(202).send(job);
+  });
+
+  // List cache warming jobs
+  fastify.get('/cache/warm', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { listWarmJobs } = await import('../services/cacheWarmingService.js');
+    const jobs = await listWarmJobs(request.appId, request.query.limit);
+    return { jobs };
+  });
+
+  // Get cache warming job progress and report
+  fastify.get('/cache/warm/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { getWarmJob } = await import('../services/cacheWarmingService.js');
+    const job = await getWarmJob(request.appId, request.params.id);
+    
+    if (!job) {
+      const { statusCode, response } = handleNotFoundError('Cache warm job');
+      return reply.status(statusCode).send(response);
+    }
+    
+    return job;
+  });
+
+  // Cancel a cache warming job (admin only)
+  fastify.post('/cache/warm/:id/cancel', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { getWarmJob, cancelWarmJob } = await import('../services/cacheWarmingService.js');
+    const job = await cancelWarmJob(request.appId, request.params.id);
+    
+    if (!job) {
+      const existing = await getWarmJob(request.appId, request.params.id);
+      if (!existing) {
+        const { statusCode, response } = handleNotFoundError('Cache warm job');
+        return reply.status(statusCode).send(response);
+      }
+      const { statusCode, response } = createErrorResponse(`Job is already ${existing.status}`, {
+        statusCode: 409,
+        code: 'Conflict',
+      });
+      return reply.status(statusCode).send(response);
+    }
+    
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'cache_warm_cancel',
+      resource_type: 'cache_warm_job',
+      resource_id: job.id,
+      ip_address: request.ip,
+    });
+    
+    return job;
+  });
+
   // Get advanced analytics
   fastify.get('/cache/analytics', {
     preHandler: [fastify.authenticate],
@@ -697,7 +917,7 @@ export default async function dataRoutes(fastify) {
       
       const sizeTrendQuery = `SELECT 
            DATE_TRUNC('${sizeTrendBucketSize}', ce.created_at) as time,
-           COALESCE(SUM(COALESCE(pg_column_size(ce.response_body), 0) + COALESCE(octet_length(COALESCE(ce.response_body_raw, '')), 0)), 0) / 1024.0 / 1024.0 as size_mb
+           COALESCE(SUM(COALESCE(pg_column_size(ce.response_body), 0) + COALESCE(octet_length(COALESCE(ce.response_body_raw, '')), 0) + COALESCE(octet_length(ce.response_body_binary), 0)), 0) / 1024.0 / 1024.0 as size_mb
          FROM cache_entries ce
          ${whereClause}
          GROUP BY DATE_TRUNC('${sizeTrendBucketSize}', ce.created_at)
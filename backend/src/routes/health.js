@@ -1,5 +1,6 @@
 import { checkConnection } from '../db/pool.js';
 import { createErrorResponse } from '../utils/errorHandler.js';
+import { getHealthSummary } from '../services/healthCheckService.js';
 
 export default async function healthRoutes(fastify) {
   // Health check - basic liveness
@@ -7,7 +8,9 @@ export default async function healthRoutes(fastify) {
     return { status: 'ok', timestamp: new Date().toISOString() };
   });
   
-  // Readiness check - includes DB connectivity
+  // Readiness check - includes DB connectivity and upstream source health
+  // Unhealthy sources report "degraded" but keep the instance ready: cached responses
+  // and healthy sources can still be served.
   fastify.get('/ready', async (request, reply) => {
     const dbConnected = await checkConnection();
     
@@ -26,11 +29,24 @@ export default async function healthRoutes(fastify) {
       });
     }
     
+    let sources;
+    try {
+      const summary = await getHealthSummary();
+      sources = {
+        status: summary.unhealthy > 0 ? 'degraded' : 'ok',
+        ...summary,
+      };
+    } catch (err) {
+      request.log.warn({ err: err.message }, 'Failed to read source health');
+      sources = { status: 'unknown' };
+    }
+    
     return {
       status: 'ready',
       timestamp: new Date().toISOString(),
       checks: {
         database: 'connected',
+        sources,
       },
     };
   });
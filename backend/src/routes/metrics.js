@@ -1,6 +1,8 @@
 import { query } from '../db/pool.js';
 import { getAllCircuitBreakerStats } from '../utils/circuitBreaker.js';
 import { getCostMetrics } from '../services/costService.js';
+import { getCoalescingStats } from '../services/coalescingService.js';
+import { getHedgingStats } from '../services/hedgingService.js';
 import { createErrorResponse } from '../utils/errorHandler.js';
 
 export default async function metricsRoutes(fastify) {
@@ -95,8 +97,10 @@ export default async function metricsRoutes(fastify) {
             const failures = Number(stats.stats.failures || 0);
             const fires = Number(stats.stats.fires || 0);
             const successes = Number(stats.stats.successes || 0);
+            const retries = Number(stats.stats.retries || 0);
             errors += failures;
-            totalCircuitBreakerRequests += fires; // Sum all requests from circuit breakers
+            // Retries are extra fires for the same client request, so don't count them as requests
+            totalCircuitBreakerRequests += Math.max(0, fires - retries);
             
             fastify.log.info({ 
               sourceId: sourceIdStr, 
@@ -121,6 +125,8 @@ export default async function metricsRoutes(fastify) {
               failures: failures,
               fires: fires,
               successes: successes,
+              retries: retries,
+              retry_successes: Number(stats.stats.retrySuccesses || 0),
             };
           }
         }
@@ -148,7 +154,7 @@ export default async function metricsRoutes(fastify) {
         let allCircuitBreakerTotal = 0;
         for (const [sourceId, stats] of Object.entries(circuitBreakers)) {
           if (stats && stats.stats) {
-            allCircuitBreakerTotal += Number(stats.stats.fires || 0);
+            allCircuitBreakerTotal += Math.max(0, Number(stats.stats.fires || 0) - Number(stats.stats.retries || 0));
           }
         }
         totalRequests = allCircuitBreakerTotal;
@@ -198,16 +204,25 @@ export default async function metricsRoutes(fastify) {
         // Continue without cost metrics
       }
       
+      // Concurrent misses served by another request's upstream fetch (in-process counter)
+      const coalescing = getCoalescingStats(appId);
+      
+      // Hedged group requests and which source answered first (in-process counters)
+      const hedging = getHedgingStats(appId);
+      
       return {
         requests: {
           cache_hits: totalHits,
           cache_misses: cacheMisses,
           hit_ratio: hitRatio,
           errors: errors,
+          coalesced: coalescing.coalesced_requests,
           total: totalRequests,
           avg_duration_ms: Math.round(avgDurationMs * 100) / 100, // Round to 2 decimal places
         },
         circuit_breakers: circuitBreakers,
+        coalescing,
+        hedging,
         cache: {
           total_entries: totalEntries,
           active_entries: activeEntries,
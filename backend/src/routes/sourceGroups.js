@@ -0,0 +1,313 @@
+import {
+  listSourceGroups,
+  getSourceGroupById,
+  createSourceGroup,
+  updateSourceGroup,
+  deleteSourceGroup,
+  setGroupMember,
+  removeGroupMember,
+} from '../services/sourceGroupService.js';
+import { SELECTION_MODES } from '../services/sourceSelectionService.js';
+import { logAudit } from '../services/auditService.js';
+import { handleNotFoundError, handleValidationError, handleDatabaseError } from '../utils/errorHandler.js';
+
+const idParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+  },
+};
+
+const memberParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    sourceId: { type: 'string', format: 'uuid' },
+  },
+};
+
+// Which source outcomes move a group request on to the next source
+const failoverRulesSchema = {
+  type: ['object', 'null'],
+  description: 'null = fail over on errors, timeouts, challenge pages and 404',
+  properties: {
+    statuses: { type: 'array', items: { type: 'integer', minimum: 100, maximum: 599 }, description: 'Upstream statuses that fail over (default [404])' },
+    on_timeout: { type: 'boolean', default: true },
+    on_challenge: { type: 'boolean', default: true, description: 'Fail over on bot-protection challenge pages' },
+    body_predicates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'JSONPath into a JSON body; without it the raw body text is tested' },
+          equals: {},
+          contains: { type: 'string' },
+          matches: { type: 'string', maxLength: 512, description: 'RE2 regular expression (tested against the first 64 KB of text)' },
+        },
+        additionalProperties: false,
+      },
+    },
+    max_failover_ms: { type: ['integer', 'null'], minimum: 0, description: 'No further source is tried once this long has passed since the first attempt' },
+  },
+  additionalProperties: false,
+};
+
+// Group fields shared by create and update
+const groupProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  slug: { type: 'string', minLength: 1, maxLength: 255, pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', description: 'Proxy path segment (/proxy/<slug>/*)' },
+  description: { type: ['string', 'null'] },
+  selection_mode: { type: ['string', 'null'], enum: [...SELECTION_MODES, null], description: 'null = SOURCE_SELECTION_MODE' },
+  kill_switch_enabled: { type: 'boolean', description: 'Bypass the cache for every request through the group' },
+  failover_rules: failoverRulesSchema,
+  hedging_enabled: { type: 'boolean', description: 'Send the request to the next source too when the primary is slow; the first answer wins' },
+  hedge_delay_ms: { type: ['integer', 'null'], minimum: 0, maximum: 60000, description: 'Wait before the hedge request (null = primary p95 latency)' },
+  is_active: { type: 'boolean' },
+};
+
+const membershipProperties = {
+  priority: { type: 'integer', default: 0 },
+  weight: { type: 'integer', minimum: 0, maximum: 1000, default: 1, description: 'Share of traffic in weighted selection (0 = failover only)' },
+};
+
+/**
+ * Group fields recorded in audit entries
+ * @param {object} group - Source group
+ * @returns {object}
+ */
+function auditGroup(group) {
+  return {
+    name: group.name,
+    slug: group.slug,
+    description: group.description,
+    selection_mode: group.selection_mode,
+    kill_switch_enabled: group.kill_switch_enabled,
+    failover_rules: group.failover_rules,
+    hedging_enabled: group.hedging_enabled,
+    hedge_delay_ms: group.hedge_delay_ms,
+    is_active: group.is_active,
+  };
+}
+
+export default async function sourceGroupsRoutes(fastify) {
+  // List source groups with their members
+  fastify.get('/', {
+    preHandler: [fastify.authenticate],
+  }, async (request, reply) => {
+    const groups = await listSourceGroups(request.appId);
+    return { groups, selection_modes: SELECTION_MODES };
+  });
+
+  // Get source group by ID
+  fastify.get('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParamsSchema,
+    },
+  }, async (request, reply) => {
+    const group = await getSourceGroupById(request.params.id, request.appId);
+
+    if (!group) {
+      const { statusCode, response } = handleNotFoundError('Source group');
+      return reply.status(statusCode).send(response);
+    }
+
+    return group;
+  });
+
+  // Create source group (admin only)
+  fastify.post('/', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          ...groupProperties,
+          members: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['source_id'],
+              properties: {
+                source_id: { type: 'string', format: 'uuid' },
+                ...membershipProperties,
+              },
+            },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    let group;
+    try {
+      group = await createSourceGroup(request.appId, request.body);
+    } catch (err) {
+      if (err.code === '23505' || err.code === '23503') {
+        const { statusCode, response } = handleDatabaseError(err);
+        return reply.status(statusCode).send(response);
+      }
+      if (err.message.includes('not found') || err.message.startsWith('Invalid')) {
+        const { statusCode, response } = handleValidationError(err.message);
+        return reply.status(statusCode).send(response);
+      }
+      throw err;
+    }
+
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'source_group_create',
+      resource_type: 'source_group',
+      resource_id: group.id,
+      new_value: { ...auditGroup(group), members: group.members.map(member => member.source_id) },
+      ip_address: request.ip,
+    });
+
+    return reply.status(201).send(group);
+  });
+
+  // Update source group (admin only)
+  fastify.patch('/:id', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      params: idParamsSchema,
+      body: {
+        type: 'object',
+        properties: groupProperties,
+      },
+    },
+  }, async (request, reply) => {
+    const oldGroup = await getSourceGroupById(request.params.id, request.appId);
+
+    if (!oldGroup) {
+      const { statusCode, response } = handleNotFoundError('Source group');
+      return reply.status(statusCode).send(response);
+    }
+
+    let group;
+    try {
+      group = await updateSourceGroup(request.params.id, request.appId, request.body);
+    } catch (err) {
+      if (err.code === '23505') {
+        const { statusCode, response } = handleDatabaseError(err);
+        return reply.status(statusCode).send(response);
+      }
+      if (err.message.startsWith('Invalid')) {
+        const { statusCode, response } = handleValidationError(err.message);
+        return reply.status(statusCode).send(response);
+      }
+      throw err;
+    }
+
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'source_group_update',
+      resource_type: 'source_group',
+      resource_id: group.id,
+      old_value: auditGroup(oldGroup),
+      new_value: auditGroup(group),
+      ip_address: request.ip,
+    });
+
+    return group;
+  });
+
+  // Delete source group (admin only); member sources are kept
+  fastify.delete('/:id', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      params: idParamsSchema,
+    },
+  }, async (request, reply) => {
+    const group = await getSourceGroupById(request.params.id, request.appId);
+
+    if (!group) {
+      const { statusCode, response } = handleNotFoundError('Source group');
+      return reply.status(statusCode).send(response);
+    }
+
+    await deleteSourceGroup(request.params.id, request.appId);
+
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'source_group_delete',
+      resource_type: 'source_group',
+      resource_id: group.id,
+      old_value: { ...auditGroup(group), members: group.members.map(member => member.source_id) },
+      ip_address: request.ip,
+    });
+
+    return { success: true };
+  });
+
+  // Add a source to a group or change its priority/weight (admin only)
+  fastify.put('/:id/members/:sourceId', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      params: memberParamsSchema,
+      body: {
+        type: 'object',
+        properties: membershipProperties,
+      },
+    },
+  }, async (request, reply) => {
+    const group = await getSourceGroupById(request.params.id, request.appId);
+
+    if (!group) {
+      const { statusCode, response } = handleNotFoundError('Source group');
+      return reply.status(statusCode).send(response);
+    }
+
+    const oldMember = group.members.find(member => member.source_id === request.params.sourceId);
+    const member = await setGroupMember(group.id, request.params.sourceId, request.appId, request.body || {});
+
+    if (!member) {
+      const { statusCode, response } = handleNotFoundError('Source');
+      return reply.status(statusCode).send(response);
+    }
+
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'source_group_member_update',
+      resource_type: 'source_group',
+      resource_id: group.id,
+      old_value: oldMember ? { source_id: oldMember.source_id, priority: oldMember.priority, weight: oldMember.weight } : null,
+      new_value: { source_id: member.source_id, priority: member.priority, weight: member.weight },
+      ip_address: request.ip,
+    });
+
+    return member;
+  });
+
+  // Remove a source from a group (admin only); the source itself is kept
+  fastify.delete('/:id/members/:sourceId', {
+    preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
+    schema: {
+      params: memberParamsSchema,
+    },
+  }, async (request, reply) => {
+    const group = await getSourceGroupById(request.params.id, request.appId);
+    const removed = group ? await removeGroupMember(group.id, request.params.sourceId) : false;
+
+    if (!removed) {
+      const { statusCode, response } = handleNotFoundError('Group member');
+      return reply.status(statusCode).send(response);
+    }
+
+    await logAudit({
+      app_id: request.appId,
+      user_id: request.userId,
+      action: 'source_group_member_remove',
+      resource_type: 'source_group',
+      resource_id: group.id,
+      old_value: { source_id: request.params.sourceId },
+      ip_address: request.ip,
+    });
+
+    return { success: true };
+  });
+}
@@ -3,18 +3,98 @@ import {
   getSourceById,
   createSource,
   createMultipleSources,
-  getSourcesByCanonicalName,
   updateSource,
   deleteSource,
   testSourceConnectivity,
 } from '../services/sourceService.js';
 import { logAudit } from '../services/auditService.js';
+import { getSourceGroupById } from '../services/sourceGroupService.js';
+import { getSourceHealth } from '../services/healthCheckService.js';
+import { previewCacheKey } from '../services/cacheService.js';
 import { validateUrl } from '../utils/urlValidation.js';
+import { validateCacheKeyRules } from '../utils/cacheKey.js';
+import { validateTransformRules, applyResponseTransform } from '../utils/responseTransform.js';
 import { handleNotFoundError, handleValidationError, handleDatabaseError } from '../utils/errorHandler.js';
 
 // Hard-coded demo limit - DO NOT make this configurable
 const DEMO_MAX_SOURCES = 2;
 
+// Cache key rules (shared by create, update and key preview)
+const cacheKeyRulesSchema = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        include: { type: 'array', items: { type: 'string', minLength: 1 } },
+        exclude: { type: 'array', items: { type: 'string', minLength: 1 } },
+      },
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        include: { type: 'array', items: { type: 'string', minLength: 1 } },
+        exclude: { type: 'array', items: { type: 'string', minLength: 1 } },
+      },
+    },
+    ignore_path_case: { type: 'boolean' },
+    headers: { type: 'array', items: { type: 'string', minLength: 1 } },
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['header', 'claim'],
+        properties: {
+          header: { type: 'string', minLength: 1 },
+          claim: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+  description: 'Cache key rules: query params (* wildcards) and JSONPath body fields to include/exclude, path case folding, extra headers and JWT claims (keyed with a hash of the token; not from Authorization or X-Api-Key)',
+};
+
+// Response transform rules (shared by create, update and transform preview)
+const transformRulesSchema = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    project: { type: 'array', items: { type: 'string', minLength: 1 } },
+    rename: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+    redact: { type: 'array', items: { type: 'string', minLength: 1 } },
+    headers: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        set: { type: 'object', additionalProperties: { type: 'string' } },
+        remove: { type: 'array', items: { type: 'string', minLength: 1 } },
+      },
+    },
+  },
+  description: 'Response transform: JSONPath projection, field renames (JSONPath to new name), redacted keys and header set/remove. Changing it invalidates entries of the previous version',
+};
+
+// Active health check config (null disables checks; missing fields use the defaults)
+const healthCheckConfigSchema = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean', default: true },
+    path: { type: 'string', pattern: '^/', maxLength: 2048, description: 'Path probed on the source base URL (default /)' },
+    method: { type: 'string', enum: ['GET', 'HEAD'] },
+    expected_status: { type: 'array', items: { type: 'integer', minimum: 100, maximum: 599 }, description: 'Passing statuses (default any 2xx or 3xx)' },
+    body_contains: { type: ['string', 'null'], maxLength: 1024, description: 'Text the start of the body must contain' },
+    interval_seconds: { type: 'integer', minimum: 5, maximum: 86400 },
+    timeout_ms: { type: 'integer', minimum: 100, maximum: 60000 },
+    unhealthy_threshold: { type: 'integer', minimum: 1, maximum: 100, description: 'Consecutive failures before the source is skipped' },
+    healthy_threshold: { type: 'integer', minimum: 1, maximum: 100, description: 'Consecutive passes before it is used again' },
+  },
+  description: 'Periodic health check; unhealthy sources are skipped by selection and failover',
+};
+
 export default async function sourcesRoutes(fastify) {
   // List sources
   fastify.get('/', {
@@ -65,6 +145,7 @@ export default async function sourcesRoutes(fastify) {
           priority: { type: 'integer', default: 0 },
           timeout_ms: { type: 'integer', minimum: 1000, maximum: 300000, default: 30000 },
           retry_count: { type: 'integer', minimum: 0, maximum: 10, default: 3 },
+          retry_non_idempotent: { type: 'boolean', default: false },
           circuit_breaker_threshold: { type: 'integer', minimum: 1, default: 5 },
           storage_mode: { type: 'string', enum: ['dedicated', 'shared'], default: 'dedicated' },
           storage_pool_id: { 
@@ -81,7 +162,26 @@ export default async function sourcesRoutes(fastify) {
           kill_switch_enabled: { type: 'boolean', default: false },
           bypass_bot_detection: { type: 'boolean', default: false },
           fallback_mode: { type: 'string', enum: ['none', 'mock', 'alternative_source'], default: 'none' },
+          fallback_source_id: { 
+            oneOf: [
+              { type: 'string', format: 'uuid' },
+              { type: 'null' }
+            ]
+          },
+          fallback_path_template: { type: ['string', 'null'], maxLength: 2048 },
           cost_per_request: { type: 'number', minimum: 0, maximum: 9999.9999 },
+          stale_if_error_seconds: { type: ['integer', 'null'], minimum: 0, maximum: 31536000 },
+          cache_key_rules: cacheKeyRulesSchema,
+          transform_rules: transformRulesSchema,
+          health_check_config: healthCheckConfigSchema,
+          max_cacheable_bytes: { type: ['integer', 'null'], minimum: 0, description: 'Largest response body to cache (null = MAX_CACHEABLE_BODY_BYTES)' },
+          group_id: {
+            oneOf: [
+              { type: 'string', format: 'uuid' },
+              { type: 'null' }
+            ],
+            description: 'Source group to join (default: the group with the slug of the name, created if needed)',
+          },
           is_active: { type: 'boolean', default: true },
           // New multi-URL format
           url_entries: {
@@ -130,6 +230,22 @@ export default async function sourcesRoutes(fastify) {
         });
       }
 
+      try {
+        validateCacheKeyRules(request.body.cache_key_rules);
+        validateTransformRules(request.body.transform_rules);
+      } catch (err) {
+        const { statusCode, response } = handleValidationError(err.message);
+        return reply.status(statusCode).send(response);
+      }
+
+      if (request.body.group_id) {
+        const group = await getSourceGroupById(request.body.group_id, request.appId);
+        if (!group) {
+          const { statusCode, response } = handleNotFoundError('Source group');
+          return reply.status(statusCode).send(response);
+        }
+      }
+
       try {
         // Check if this is multi-URL format (has url_entries)
         if (request.body.url_entries && Array.isArray(request.body.url_entries)) {
@@ -218,6 +334,20 @@ export default async function sourcesRoutes(fastify) {
             }
           }
           
+          // Validate fallback source for alternative_source mode
+          if (request.body.fallback_mode === 'alternative_source' && !request.body.fallback_source_id) {
+            const { statusCode, response } = handleValidationError('fallback_source_id is required when fallback_mode is "alternative_source"');
+            return reply.status(statusCode).send(response);
+          }
+          
+          if (request.body.fallback_source_id) {
+            const fallbackSource = await getSourceById(request.body.fallback_source_id, request.appId);
+            if (!fallbackSource) {
+              const { statusCode, response } = handleNotFoundError('Fallback source');
+              return reply.status(statusCode).send(response);
+            }
+          }
+          
           const source = await createSource(request.appId, request.body);
         
           await logAudit({
@@ -262,6 +392,7 @@ export default async function sourcesRoutes(fastify) {
           priority: { type: 'integer' },
           timeout_ms: { type: 'integer', minimum: 1000, maximum: 300000 },
           retry_count: { type: 'integer', minimum: 0, maximum: 10 },
+          retry_non_idempotent: { type: 'boolean' },
           circuit_breaker_threshold: { type: 'integer', minimum: 1 },
           is_active: { type: 'boolean' },
           storage_mode: { type: 'string', enum: ['dedicated', 'shared'] },
@@ -279,7 +410,19 @@ export default async function sourcesRoutes(fastify) {
           kill_switch_enabled: { type: 'boolean' },
           bypass_bot_detection: { type: 'boolean' },
           fallback_mode: { type: 'string', enum: ['none', 'mock', 'alternative_source'] },
+          fallback_source_id: { 
+            oneOf: [
+              { type: 'string', format: 'uuid' },
+              { type: 'null' }
+            ]
+          },
+          fallback_path_template: { type: ['string', 'null'], maxLength: 2048 },
           cost_per_request: { type: 'number', minimum: 0, maximum: 9999.9999 },
+          stale_if_error_seconds: { type: ['integer', 'null'], minimum: 0, maximum: 31536000 },
+          cache_key_rules: cacheKeyRulesSchema,
+          transform_rules: transformRulesSchema,
+          health_check_config: healthCheckConfigSchema,
+          max_cacheable_bytes: { type: ['integer', 'null'], minimum: 0 },
         },
       },
     },
@@ -322,6 +465,36 @@ export default async function sourcesRoutes(fastify) {
       }
     }
     
+    // Validate fallback source for alternative_source mode (against the resulting state)
+    const fallbackMode = request.body.fallback_mode ?? oldSource.fallback_mode;
+    const fallbackSourceId = request.body.fallback_source_id !== undefined
+      ? request.body.fallback_source_id
+      : oldSource.fallback_source_id;
+    if (fallbackMode === 'alternative_source' && !fallbackSourceId) {
+      const { statusCode, response } = handleValidationError('fallback_source_id is required when fallback_mode is "alternative_source"');
+      return reply.status(statusCode).send(response);
+    }
+    
+    if (request.body.fallback_source_id) {
+      if (request.body.fallback_source_id === request.params.id) {
+        const { statusCode, response } = handleValidationError('A source cannot be its own fallback source');
+        return reply.status(statusCode).send(response);
+      }
+      const fallbackSource = await getSourceById(request.body.fallback_source_id, request.appId);
+      if (!fallbackSource) {
+        const { statusCode, response } = handleNotFoundError('Fallback source');
+        return reply.status(statusCode).send(response);
+      }
+    }
+    
+    try {
+      validateCacheKeyRules(request.body.cache_key_rules);
+      validateTransformRules(request.body.transform_rules);
+    } catch (err) {
+      const { statusCode, response } = handleValidationError(err.message);
+      return reply.status(statusCode).send(response);
+    }
+    
     const source = await updateSource(request.params.id, request.appId, request.body);
     
     await logAudit({
@@ -372,6 +545,34 @@ export default async function sourcesRoutes(fastify) {
     return { success: true };
   });
   
+  // Get a source's health state, recent checks and 24-hour summary
+  fastify.get('/:id/health', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+        },
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const health = await getSourceHealth(request.params.id, request.appId, request.query.limit);
+    
+    if (!health) {
+      const { statusCode, response } = handleNotFoundError('Source');
+      return reply.status(statusCode).send(response);
+    }
+    
+    return health;
+  });
+  
   // Test source connectivity (admin only)
   fastify.post('/:id/test', {
     preHandler: [fastify.authenticate, fastify.authorizeRole(['admin'])],
@@ -405,4 +606,105 @@ export default async function sourcesRoutes(fastify) {
     
     return result;
   });
+  
+  // Preview the cache key a sample request would produce for this source
+  fastify.post('/:id/cache-key/preview', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+        },
+      },
+      body: {
+        type: 'object',
+        properties: {
+          method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'], default: 'GET' },
+          path: { type: 'string', maxLength: 2048 },
+          url: { type: 'string', format: 'uri' },
+          body: {},
+          headers: { type: 'object' },
+          cache_key_rules: cacheKeyRulesSchema,
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const source = await getSourceById(request.params.id, request.appId);
+    
+    if (!source) {
+      const { statusCode, response } = handleNotFoundError('Source');
+      return reply.status(statusCode).send(response);
+    }
+    
+    if (!request.body.path && !request.body.url) {
+      const { statusCode, response } = handleValidationError('Either path or url is required');
+      return reply.status(statusCode).send(response);
+    }
+    
+    try {
+      return await previewCacheKey(request.appId, source, {
+        ...request.body,
+        path: request.body.path ?? null,
+      });
+    } catch (err) {
+      if (err.message.includes('Invalid cache key rules')) {
+        const { statusCode, response } = handleValidationError(err.message);
+        return reply.status(statusCode).send(response);
+      }
+      throw err;
+    }
+  });
+  
+  // Preview what this source's transform does to a sample response
+  fastify.post('/:id/transform/preview', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['body'],
+        properties: {
+          status: { type: 'integer', minimum: 100, maximum: 599, default: 200 },
+          headers: { type: 'object', additionalProperties: { type: 'string' } },
+          body: {},
+          transform_rules: transformRulesSchema,
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const source = await getSourceById(request.params.id, request.appId);
+    
+    if (!source) {
+      const { statusCode, response } = handleNotFoundError('Source');
+      return reply.status(statusCode).send(response);
+    }
+    
+    const rules = request.body.transform_rules !== undefined ? request.body.transform_rules : source.transform_rules;
+    const sample = request.body.body;
+    try {
+      validateTransformRules(rules);
+      const transformed = applyResponseTransform({
+        status: request.body.status,
+        headers: request.body.headers || {},
+        data: sample,
+        isJson: sample !== null && typeof sample === 'object',
+      }, rules);
+      return {
+        transform_version: source.transform_version || 0,
+        status: transformed.status,
+        headers: transformed.headers,
+        body: transformed.data,
+      };
+    } catch (err) {
+      // Invalid rules, or a rule failed on the sample
+      const { statusCode, response } = handleValidationError(err.message);
+      return reply.status(statusCode).send(response);
+    }
+  });
 }
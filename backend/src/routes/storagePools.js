@@ -16,6 +16,20 @@ import { query } from '../db/pool.js';
 import { logAudit } from '../services/auditService.js';
 import { getAppInfo } from '../services/appService.js';
 import { handleNotFoundError, handleValidationError, handleDatabaseError, createErrorResponse } from '../utils/errorHandler.js';
+import { COMPRESSION_OPTIONS, isCompressionAvailable } from '../utils/compression.js';
+import { EVICTION_POLICIES } from '../services/evictionService.js';
+
+/**
+ * Check that a requested pool compression can be used by this server
+ * @param {string|undefined} compression - Requested compression
+ * @returns {string|null} - Validation error message or null
+ */
+function getCompressionError(compression) {
+  if (!compression || compression === 'none' || isCompressionAvailable(compression)) {
+    return null;
+  }
+  return `Compression "${compression}" is not available on this server`;
+}
 
 export default async function storagePoolsRoutes(fastify) {
   // List all storage pools
@@ -69,6 +83,10 @@ export default async function storagePoolsRoutes(fastify) {
         properties: {
           name: { type: 'string', minLength: 1, maxLength: 255 },
           description: { type: 'string' },
+          compression: { type: 'string', enum: COMPRESSION_OPTIONS, default: 'none' },
+          max_size_bytes: { type: ['integer', 'null'], minimum: 1 },
+          max_entries: { type: ['integer', 'null'], minimum: 1 },
+          eviction_policy: { type: 'string', enum: EVICTION_POLICIES, default: 'lru' },
         },
       },
     },
@@ -90,6 +108,12 @@ export default async function storagePoolsRoutes(fastify) {
       return reply.status(statusCode).send(response);
     }
     
+    const compressionError = getCompressionError(request.body.compression);
+    if (compressionError) {
+      const { statusCode, response } = handleValidationError(compressionError);
+      return reply.status(statusCode).send(response);
+    }
+    
     try {
       const pool = await createStoragePool(request.appId, request.body);
       
@@ -99,7 +123,14 @@ export default async function storagePoolsRoutes(fastify) {
         action: 'storage_pool_create',
         resource_type: 'storage_pool',
         resource_id: pool.id,
-        new_value: { name: pool.name, description: pool.description },
+        new_value: {
+          name: pool.name,
+          description: pool.description,
+          compression: pool.compression,
+          max_size_bytes: pool.max_size_bytes,
+          max_entries: pool.max_entries,
+          eviction_policy: pool.eviction_policy,
+        },
         ip_address: request.ip,
       });
       
@@ -128,6 +159,10 @@ export default async function storagePoolsRoutes(fastify) {
         properties: {
           name: { type: 'string', minLength: 1, maxLength: 255 },
           description: { type: 'string' },
+          compression: { type: 'string', enum: COMPRESSION_OPTIONS },
+          max_size_bytes: { type: ['integer', 'null'], minimum: 1 },
+          max_entries: { type: ['integer', 'null'], minimum: 1 },
+          eviction_policy: { type: 'string', enum: EVICTION_POLICIES },
         },
       },
     },
@@ -141,6 +176,13 @@ export default async function storagePoolsRoutes(fastify) {
       });
     }
     
+    const compressionError = getCompressionError(request.body.compression);
+    if (compressionError) {
+      const { statusCode, response } = handleValidationError(compressionError);
+      return reply.status(statusCode).send(response);
+    }
+    
+    // Existing entries keep their encoding; new compression applies as entries are stored
     const pool = await updateStoragePool(request.params.id, request.appId, request.body);
     
     await logAudit({
@@ -149,7 +191,14 @@ export default async function storagePoolsRoutes(fastify) {
       action: 'storage_pool_update',
       resource_type: 'storage_pool',
       resource_id: pool.id,
-      old_value: { name: oldPool.name, description: oldPool.description },
+      old_value: {
+        name: oldPool.name,
+        description: oldPool.description,
+        compression: oldPool.compression,
+        max_size_bytes: oldPool.max_size_bytes,
+        max_entries: oldPool.max_entries,
+        eviction_policy: oldPool.eviction_policy,
+      },
       new_value: request.body,
       ip_address: request.ip,
     });
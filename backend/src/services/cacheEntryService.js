@@ -1,17 +1,71 @@
 import { query } from '../db/pool.js';
 import logger from '../utils/logger.js';
+import { encrypt, decrypt } from '../utils/crypto.js';
+import { compressBody, decompressBody, acceptsEncoding, isCompressionAvailable } from '../utils/compression.js';
+import config from '../config/index.js';
+import { getL1Entry, setL1Entry, invalidateL1Entries } from './l1CacheService.js';
+import { recordHit } from './hitAccountingService.js';
+import { calculateCacheEntrySize } from './cacheStatsService.js';
+import { enforcePoolQuota, hasPoolQuota, notePoolWrite } from './evictionService.js';
 
 /**
- * Get cached entry by key
+ * Encrypt a request payload (body or headers) for storage
+ * Payloads are only persisted when an encryption key is configured.
+ * @param {*} value - Value to store
+ * @returns {string|null} - Encrypted JSON or null
+ */
+function encryptRequestPayload(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  try {
+    return encrypt(JSON.stringify(value));
+  } catch (err) {
+    logger.warn({ err: err.message }, '[storeCacheEntry] Request payload not stored (encryption unavailable)');
+    return null;
+  }
+}
+
+/**
+ * Decrypt a stored request payload
+ * @param {string|null} encrypted - Encrypted JSON
+ * @returns {*} - Original value or null
+ */
+function decryptRequestPayload(encrypted) {
+  if (!encrypted) {
+    return null;
+  }
+  try {
+    return JSON.parse(decrypt(encrypted));
+  } catch (err) {
+    logger.warn({ err: err.message }, '[getStoredRequest] Failed to decrypt stored request payload');
+    return null;
+  }
+}
+
+/**
+ * Get the original request body and vary headers stored with a cache entry
+ * @param {object} entry - Cache entry row
+ * @returns {object} - { body, headers }
+ */
+export function getStoredRequest(entry) {
+  return {
+    body: decryptRequestPayload(entry.request_body_encrypted),
+    headers: decryptRequestPayload(entry.request_headers_encrypted) || {},
+  };
+}
+
+/**
+ * Build the WHERE clause that scopes a cache key lookup to its storage
  * @param {string} appId - App ID
  * @param {string} cacheKey - Cache key
  * @param {string} sourceId - Optional source ID for dedicated mode
  * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
  * @param {string} storagePoolId - Optional storage pool ID for shared mode
- * @returns {object|null} - Cache entry or null
+ * @returns {object|null} - { whereClause, params } or null if the lookup is impossible
  */
-export async function getCacheEntry(appId, cacheKey, sourceId = null, storageMode = 'dedicated', storagePoolId = null) {
-  let whereClause = 'app_id = $1 AND cache_key = $2 AND (expires_at > NOW() OR expires_at IS NULL)';
+function buildEntryLookup(appId, cacheKey, sourceId, storageMode, storagePoolId) {
+  let whereClause = 'app_id = $1 AND cache_key = $2';
   const params = [appId, cacheKey];
   
   if (storageMode === 'dedicated' && sourceId) {
@@ -30,49 +84,354 @@ export async function getCacheEntry(appId, cacheKey, sourceId = null, storageMod
     return null;
   }
   
+  return { whereClause, params };
+}
+
+/**
+ * Record a cache hit: bump hit count and log an access lineage event
+ * Both are buffered and written in batches by hitAccountingService, so the returned
+ * hit_count is this request's view and Postgres catches up within one flush interval.
+ * @param {string} appId - App ID
+ * @param {object} cachedEntry - Cache entry that was hit (from Postgres or L1)
+ * @param {object} metadata - Extra lineage metadata
+ * @returns {object} - Entry with updated hit count
+ */
+function recordCacheHit(appId, cachedEntry, metadata = {}) {
+  const hitAt = Date.now();
+  const entry = {
+    ...cachedEntry,
+    hit_count: (cachedEntry.hit_count || 0) + 1,
+    last_hit_at: new Date(hitAt),
+  };
+  
+  recordHit({
+    app_id: appId,
+    cache_entry_id: entry.id,
+    source_id: entry.source_id,
+    hit_at: hitAt,
+    metadata: {
+      hit_count: entry.hit_count,
+      ...metadata,
+    },
+  });
+  
+  return entry;
+}
+
+/**
+ * Get cached entry by key
+ * With a stale-while-revalidate window, entries that expired within the window are
+ * returned too; callers check expires_at and refresh them in the background.
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {string} sourceId - Optional source ID for dedicated mode
+ * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
+ * @param {string} storagePoolId - Optional storage pool ID for shared mode
+ * @param {number} staleWhileRevalidateSeconds - How long after expiry an entry may still be served
+ * @returns {object|null} - Cache entry or null
+ */
+export async function getCacheEntry(appId, cacheKey, sourceId = null, storageMode = 'dedicated', storagePoolId = null, staleWhileRevalidateSeconds = 0) {
+  const lookup = buildEntryLookup(appId, cacheKey, sourceId, storageMode, storagePoolId);
+  if (!lookup) {
+    return null;
+  }
+  
+  // L1 only holds fresh entries; stale-while-revalidate hits always come from Postgres
+  const hotEntry = await getL1Entry(appId, cacheKey, sourceId, storageMode, storagePoolId);
+  if (hotEntry) {
+    return recordCacheHit(appId, hotEntry, { tier: 'l1' });
+  }
+  
+  let freshness = '(expires_at > NOW() OR expires_at IS NULL)';
+  const params = [...lookup.params];
+  if (staleWhileRevalidateSeconds > 0) {
+    // Negative entries are never served stale
+    params.push(staleWhileRevalidateSeconds);
+    freshness = `(expires_at > NOW() - make_interval(secs => $${params.length}) OR expires_at IS NULL)
+      AND (is_negative IS NOT TRUE OR expires_at > NOW())`;
+  }
+  
   const result = await query(
-    `SELECT * FROM cache_entries WHERE ${whereClause}`,
+    `SELECT * FROM cache_entries WHERE ${lookup.whereClause} AND ${freshness}`,
     params
   );
   
   if (result.rows[0]) {
-    // Update hit count and return updated row
-    const updateResult = await query(
-      `UPDATE cache_entries SET hit_count = hit_count + 1, last_hit_at = NOW()
-       WHERE id = $1
-       RETURNING *`,
-      [result.rows[0].id]
-    );
-    const entry = updateResult.rows[0] || null;
-    
-    // Log lineage event for access
-    if (entry) {
-      try {
-        const { logLineageEvent } = await import('./lineageService.js');
-        await logLineageEvent({
-          app_id: appId,
-          cache_entry_id: entry.id,
-          event_type: 'accessed',
-          source_id: entry.source_id,
-          metadata: {
-            hit_count: entry.hit_count,
-          },
-        });
-      } catch (err) {
-        logger.error({ err: err.message }, '[getCacheEntry] Failed to log lineage event');
-      }
+    const isStale = result.rows[0].expires_at && new Date(result.rows[0].expires_at) <= new Date();
+    if (!isStale) {
+      await setL1Entry(appId, cacheKey, sourceId, storageMode, storagePoolId, result.rows[0]);
     }
-    
-    return entry;
+    return recordCacheHit(appId, result.rows[0], isStale ? { stale: true } : {});
   }
   
   return null;
 }
 
+/**
+ * Get the most recently expired entry for a key, if it expired within the stale window
+ * Used for stale-if-error: serving an expired response when every source fails.
+ * Negative entries are never served stale.
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {string} sourceId - Optional source ID for dedicated mode
+ * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
+ * @param {string} storagePoolId - Optional storage pool ID for shared mode
+ * @param {number} maxStaleSeconds - How long after expiry an entry may still be served
+ * @returns {object|null} - Expired cache entry or null
+ */
+export async function getStaleCacheEntry(appId, cacheKey, sourceId = null, storageMode = 'dedicated', storagePoolId = null, maxStaleSeconds = 0) {
+  if (!maxStaleSeconds || maxStaleSeconds <= 0) {
+    return null;
+  }
+  
+  const lookup = buildEntryLookup(appId, cacheKey, sourceId, storageMode, storagePoolId);
+  if (!lookup) {
+    return null;
+  }
+  
+  const stalePlaceholder = lookup.params.length + 1;
+  const result = await query(
+    `SELECT * FROM cache_entries
+     WHERE ${lookup.whereClause}
+       AND is_negative IS NOT TRUE
+       AND expires_at <= NOW()
+       AND expires_at > NOW() - make_interval(secs => $${stalePlaceholder})
+     ORDER BY expires_at DESC
+     LIMIT 1`,
+    [...lookup.params, maxStaleSeconds]
+  );
+  
+  if (result.rows[0]) {
+    return recordCacheHit(appId, result.rows[0], { stale: true });
+  }
+  
+  return null;
+}
+
+/**
+ * Get the stored entry for a key regardless of expiry, without counting a hit
+ * Used to send conditional requests (If-None-Match / If-Modified-Since) on refresh.
+ * Negative entries are skipped since an error response isn't worth revalidating.
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {string} sourceId - Optional source ID for dedicated mode
+ * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
+ * @param {string} storagePoolId - Optional storage pool ID for shared mode
+ * @returns {object|null} - Cache entry or null
+ */
+export async function getStoredCacheEntry(appId, cacheKey, sourceId = null, storageMode = 'dedicated', storagePoolId = null) {
+  const lookup = buildEntryLookup(appId, cacheKey, sourceId, storageMode, storagePoolId);
+  if (!lookup) {
+    return null;
+  }
+  
+  const result = await query(
+    `SELECT * FROM cache_entries WHERE ${lookup.whereClause} AND is_negative IS NOT TRUE
+     ORDER BY expires_at DESC NULLS FIRST
+     LIMIT 1`,
+    lookup.params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Extend a cache entry after the upstream confirmed it unchanged (304 Not Modified)
+ * The body is kept; validator and freshness headers from the 304 replace the stored ones.
+ * @param {string} appId - App ID
+ * @param {string} entryId - Cache entry ID
+ * @param {number} ttlSeconds - New TTL (0 or null = forever)
+ * @param {object} notModifiedHeaders - Headers from the 304 response
+ * @returns {object|null} - Updated entry or null
+ */
+export async function extendCacheEntry(appId, entryId, ttlSeconds, notModifiedHeaders = {}) {
+  const expiresAt = (ttlSeconds === 0 || ttlSeconds === null)
+    ? null
+    : new Date(Date.now() + ttlSeconds * 1000);
+  
+  const refreshedHeaders = {};
+  for (const name of ['etag', 'last-modified', 'cache-control', 'expires', 'date']) {
+    if (notModifiedHeaders[name] !== undefined) {
+      refreshedHeaders[name] = notModifiedHeaders[name];
+    }
+  }
+  
+  const result = await query(
+    `UPDATE cache_entries SET
+       expires_at = $2,
+       ttl_seconds = $3,
+       response_headers = COALESCE(response_headers, '{}'::jsonb) || $4::jsonb,
+       revalidated_count = COALESCE(revalidated_count, 0) + 1,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [entryId, expiresAt, ttlSeconds, JSON.stringify(refreshedHeaders)]
+  );
+  const entry = result.rows[0] || null;
+  
+  if (entry) {
+    await invalidateL1Entries(appId, [entry]);
+    try {
+      const { logLineageEvent } = await import('./lineageService.js');
+      await logLineageEvent({
+        app_id: appId,
+        cache_entry_id: entry.id,
+        event_type: 'revalidated',
+        source_id: entry.source_id,
+        action: 'conditional_request',
+        metadata: {
+          cache_key: entry.cache_key,
+          expires_at: expiresAt,
+          etag: entry.response_headers?.etag || null,
+          last_modified: entry.response_headers?.['last-modified'] || null,
+        },
+      });
+    } catch (err) {
+      logger.error({ err: err.message }, '[extendCacheEntry] Failed to log lineage event');
+    }
+  }
+  
+  return entry;
+}
+
+/**
+ * Compress a response body for storage when the pool has compression enabled
+ * Bodies smaller than cacheCompressionMinBytes, or that don't shrink, are stored as is.
+ * @param {object} body - { response_body, response_body_raw, response_body_binary }
+ * @param {string|null} compression - Pool compression setting
+ * @returns {object} - Body columns plus body_compression, body_format and uncompressed_size
+ */
+async function compressStoredBody(body, compression) {
+  const uncompressed = { ...body, body_compression: null, body_format: null, uncompressed_size: null };
+  if (!compression || compression === 'none') {
+    return uncompressed;
+  }
+  if (!isCompressionAvailable(compression)) {
+    logger.warn({ compression }, '[storeCacheEntry] Pool compression not available in this process, storing uncompressed');
+    return uncompressed;
+  }
+  
+  let format;
+  let bytes;
+  if (body.response_body !== null && body.response_body !== undefined) {
+    format = 'json';
+    bytes = Buffer.from(JSON.stringify(body.response_body), 'utf8');
+  } else if (typeof body.response_body_raw === 'string') {
+    format = 'text';
+    bytes = Buffer.from(body.response_body_raw, 'utf8');
+  } else if (Buffer.isBuffer(body.response_body_binary)) {
+    format = 'binary';
+    bytes = body.response_body_binary;
+  } else {
+    return uncompressed;
+  }
+  
+  if (bytes.length < config.cacheCompressionMinBytes) {
+    return uncompressed;
+  }
+  
+  const compressed = await compressBody(bytes, compression);
+  if (compressed.length >= bytes.length) {
+    return uncompressed;
+  }
+  
+  return {
+    response_body: null,
+    response_body_raw: null,
+    response_body_binary: compressed,
+    body_compression: compression,
+    body_format: format,
+    uncompressed_size: bytes.length,
+  };
+}
+
+/**
+ * Get a stored entry's response body
+ * Compressed bodies are returned as stored when the client accepts their encoding,
+ * otherwise they are decompressed back to their original form (JSON, text or bytes).
+ * @param {object} entry - Cache entry row
+ * @param {string|null} acceptEncoding - Client Accept-Encoding header
+ * @returns {Promise<object>} - { body, content_encoding } (content_encoding null when not encoded)
+ */
+export async function getEntryBody(entry, acceptEncoding = null) {
+  if (!entry.body_compression) {
+    return { body: entry.response_body || entry.response_body_raw || entry.response_body_binary, content_encoding: null };
+  }
+  
+  if (acceptsEncoding(acceptEncoding, entry.body_compression)) {
+    return { body: entry.response_body_binary, content_encoding: entry.body_compression };
+  }
+  
+  const bytes = await decompressBody(entry.response_body_binary, entry.body_compression);
+  if (entry.body_format === 'json') {
+    return { body: JSON.parse(bytes.toString('utf8')), content_encoding: null };
+  }
+  if (entry.body_format === 'text') {
+    return { body: bytes.toString('utf8'), content_encoding: null };
+  }
+  return { body: bytes, content_encoding: null };
+}
+
+/**
+ * Prepare an entry for listings: decompress its body so it can be previewed
+ * @param {object} entry - Cache entry row
+ * @returns {Promise<object>} - Listed entry
+ */
+async function describeListedEntry(entry) {
+  if (!entry.body_compression) {
+    return summarizeBinaryBody(entry);
+  }
+  
+  try {
+    const { body } = await getEntryBody(entry);
+    return summarizeBinaryBody({
+      ...entry,
+      response_body: entry.body_format === 'json' ? body : null,
+      response_body_raw: entry.body_format === 'text' ? body : null,
+      response_body_binary: entry.body_format === 'binary' ? body : null,
+      stored_size: entry.response_body_binary.length,
+    });
+  } catch (err) {
+    logger.warn({ entryId: entry.id, err: err.message }, '[listCacheEntries] Failed to decompress entry body');
+    return summarizeBinaryBody({ ...entry, stored_size: entry.response_body_binary.length });
+  }
+}
+
+/**
+ * Replace a binary body with its size for listings (raw bytes are only served through the cache)
+ * @param {object} entry - Cache entry row
+ * @returns {object} - Entry with response_body_binary removed and response_body_size set
+ */
+function summarizeBinaryBody(entry) {
+  if (!entry.response_body_binary) {
+    return entry;
+  }
+  const { response_body_binary: binaryBody, ...rest } = entry;
+  return { ...rest, response_body_binary: null, response_body_size: binaryBody.length };
+}
+
+/**
+ * Evict from the entry's pool if the write took it over quota
+ * Skipped while the pool's usage estimate is well under its quota (the sweeper covers
+ * the rest). Failures are logged only: the entry is stored and the sweeper retries the pool.
+ * @param {string} appId - App ID
+ * @param {object|null} pool - Storage pool row
+ * @param {object} entry - Entry just written (never evicted by this run)
+ */
+async function enforceQuotaAfterWrite(appId, pool, entry) {
+  if (!hasPoolQuota(pool) || !entry || !notePoolWrite(pool, entry.entry_size_bytes)) {
+    return;
+  }
+  try {
+    await enforcePoolQuota(appId, pool, entry.id);
+  } catch (err) {
+    logger.error({ poolId: pool.id, err: err.message }, '[storeCacheEntry] Failed to enforce pool quota');
+  }
+}
+
 /**
  * Store a cache entry
  * @param {object} entry - Cache entry data
- * @returns {object} - Stored entry
+ * @returns {object|null} - Stored entry, or null if a negative entry was not allowed to replace a positive one
  */
 export async function storeCacheEntry(entry) {
   const {
@@ -82,13 +441,18 @@ export async function storeCacheEntry(entry) {
     request_method,
     request_url,
     request_body_hash,
+    request_body = null,
+    request_headers = null,
     response_status,
     response_headers,
     response_body,
     response_body_raw,
+    response_body_binary = null,
     content_type,
     ttl_seconds,
     storage_pool_id = null,
+    is_negative = false,
+    transform_version = null,
   } = entry;
   
   // TTL = 0 means forever (expires_at = NULL)
@@ -96,6 +460,21 @@ export async function storeCacheEntry(entry) {
     ? null 
     : new Date(Date.now() + ttl_seconds * 1000);
   
+  const requestBodyEncrypted = encryptRequestPayload(request_body);
+  const requestHeadersEncrypted = encryptRequestPayload(request_headers);
+  
+  // Compress the body if the entry's pool has compression enabled
+  let pool = null;
+  if (storage_pool_id) {
+    const poolResult = await query(
+      'SELECT id, compression, max_size_bytes, max_entries, eviction_policy FROM storage_pools WHERE id = $1',
+      [storage_pool_id]
+    );
+    pool = poolResult.rows[0] || null;
+  }
+  const storedBody = await compressStoredBody({ response_body, response_body_raw, response_body_binary }, pool?.compression || null);
+  const entrySizeBytes = calculateCacheEntrySize(storedBody);
+  
   // Use appropriate conflict resolution based on storage mode
   // Check source's storage_mode to determine the correct lookup strategy
   let whereClause;
@@ -135,6 +514,13 @@ export async function storeCacheEntry(entry) {
     checkParams
   );
   
+  // A negative (error) response never replaces an unexpired positive entry
+  const existingEntry = existing.rows[0];
+  if (is_negative && existingEntry && !existingEntry.is_negative
+      && (!existingEntry.expires_at || new Date(existingEntry.expires_at) > new Date())) {
+    return null;
+  }
+  
   if (existing.rows.length > 0) {
     // Update existing entry
     let updateWhereClause;
@@ -143,15 +529,19 @@ export async function storeCacheEntry(entry) {
       updateWhereClause = 'app_id = $1 AND cache_key = $2 AND storage_pool_id = $3';
       updateParams = [
         app_id, cache_key, storage_pool_id,
-        source_id, response_status, response_headers, response_body, response_body_raw,
-        content_type, ttl_seconds, expiresAt, storage_pool_id
+        source_id, response_status, response_headers, storedBody.response_body, storedBody.response_body_raw,
+        content_type, ttl_seconds, expiresAt, storage_pool_id,
+        requestBodyEncrypted, requestHeadersEncrypted, storedBody.response_body_binary,
+        storedBody.body_compression, storedBody.body_format, storedBody.uncompressed_size, entrySizeBytes, is_negative, transform_version
       ];
     } else {
       updateWhereClause = 'app_id = $1 AND cache_key = $2 AND source_id = $3 AND storage_pool_id IS NULL';
       updateParams = [
         app_id, cache_key, source_id,
-        source_id, response_status, response_headers, response_body, response_body_raw,
-        content_type, ttl_seconds, expiresAt, storage_pool_id
+        source_id, response_status, response_headers, storedBody.response_body, storedBody.response_body_raw,
+        content_type, ttl_seconds, expiresAt, storage_pool_id,
+        requestBodyEncrypted, requestHeadersEncrypted, storedBody.response_body_binary,
+        storedBody.body_compression, storedBody.body_format, storedBody.uncompressed_size, entrySizeBytes, is_negative, transform_version
       ];
     }
     
@@ -166,12 +556,23 @@ export async function storeCacheEntry(entry) {
         ttl_seconds = $10,
         expires_at = $11,
         storage_pool_id = $12,
+        request_body_encrypted = $13,
+        request_headers_encrypted = $14,
+        response_body_binary = $15,
+        body_compression = $16,
+        body_format = $17,
+        uncompressed_size = $18,
+        entry_size_bytes = $19,
+        is_negative = $20,
+        transform_version = $21,
         hit_count = 0,
         updated_at = NOW()
       WHERE ${updateWhereClause}
       RETURNING *`,
       updateParams
     );
+    await invalidateL1Entries(app_id, [...existing.rows, ...updateResult.rows]);
+    await enforceQuotaAfterWrite(app_id, pool, updateResult.rows[0]);
     return updateResult.rows[0];
   } else {
     // Insert new entry
@@ -179,12 +580,14 @@ export async function storeCacheEntry(entry) {
       `INSERT INTO cache_entries 
        (app_id, source_id, cache_key, request_method, request_url, request_body_hash,
         response_status, response_headers, response_body, response_body_raw, content_type,
-        ttl_seconds, expires_at, storage_pool_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ttl_seconds, expires_at, storage_pool_id, request_body_encrypted, request_headers_encrypted, response_body_binary,
+        body_compression, body_format, uncompressed_size, entry_size_bytes, is_negative, transform_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
        RETURNING *`,
       [app_id, source_id, cache_key, request_method, request_url, request_body_hash,
-       response_status, response_headers, response_body, response_body_raw, content_type,
-       ttl_seconds, expiresAt, storage_pool_id]
+       response_status, response_headers, storedBody.response_body, storedBody.response_body_raw, content_type,
+       ttl_seconds, expiresAt, storage_pool_id, requestBodyEncrypted, requestHeadersEncrypted, storedBody.response_body_binary,
+       storedBody.body_compression, storedBody.body_format, storedBody.uncompressed_size, entrySizeBytes, is_negative, transform_version]
     );
     const inserted = insertResult.rows[0];
     
@@ -207,6 +610,7 @@ export async function storeCacheEntry(entry) {
       logger.error({ err: err.message }, '[storeCacheEntry] Failed to log lineage event');
     }
     
+    await enforceQuotaAfterWrite(app_id, pool, inserted);
     return inserted;
   }
 }
@@ -402,7 +806,7 @@ export async function listCacheEntries(appId, options = {}) {
   }
   
   return {
-    entries: entriesResult.rows,
+    entries: await Promise.all(entriesResult.rows.map(describeListedEntry)),
     pagination: {
       page,
       limit,
@@ -436,9 +840,11 @@ export async function bulkUpdateCacheEntries(appId, entryIds, ttlSeconds) {
          expires_at = $${entryIds.length + 2},
          updated_at = NOW()
      WHERE id IN (${placeholders})
-     AND app_id = $${entryIds.length + 3}`,
+     AND app_id = $${entryIds.length + 3}
+     RETURNING cache_key, source_id, storage_pool_id`,
     [ttlSeconds, ...entryIds, expiresAt, appId]
   );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
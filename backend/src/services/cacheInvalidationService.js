@@ -1,5 +1,6 @@
 import { query } from '../db/pool.js';
 import logger from '../utils/logger.js';
+import { invalidateL1Entries, purgeL1App } from './l1CacheService.js';
 
 /**
  * Invalidate a cache entry
@@ -29,9 +30,11 @@ export async function invalidateCacheEntry(appId, cacheKey, sourceId = null, sto
   );
   
   const result = await query(
-    `DELETE FROM cache_entries WHERE ${whereClause}`,
+    `DELETE FROM cache_entries WHERE ${whereClause}
+     RETURNING cache_key, source_id, storage_pool_id`,
     params
   );
+  await invalidateL1Entries(appId, result.rows);
   
   // Log lineage event for invalidation
   if (result.rowCount > 0 && entryResult.rows.length > 0) {
@@ -63,16 +66,33 @@ export async function purgeCache(appId) {
     'DELETE FROM cache_entries WHERE app_id = $1',
     [appId]
   );
+  await purgeL1App(appId);
   return result.rowCount;
 }
 
 /**
  * Purge expired cache entries
+ * Entries still inside their stale window are kept: the larger of stale-if-error
+ * (policy value, else source value) and the policy's stale-while-revalidate.
+ * L1 needs no invalidation here since it never serves an entry past expires_at.
  * @returns {number} - Number of entries purged
  */
 export async function purgeExpiredEntries() {
   const result = await query(
-    'DELETE FROM cache_entries WHERE expires_at < NOW()'
+    `DELETE FROM cache_entries ce
+     WHERE ce.expires_at < NOW() - make_interval(secs => GREATEST(
+       COALESCE(
+         (SELECT cp.stale_if_error_seconds FROM cache_policies cp
+          WHERE cp.app_id = ce.app_id AND cp.source_id = ce.source_id),
+         (SELECT s.stale_if_error_seconds FROM app_sources s WHERE s.id = ce.source_id),
+         0
+       ),
+       COALESCE(
+         (SELECT cp.stale_while_revalidate_seconds FROM cache_policies cp
+          WHERE cp.app_id = ce.app_id AND cp.source_id = ce.source_id),
+         0
+       )
+     ))`
   );
   return result.rowCount;
 }
@@ -108,9 +128,11 @@ export async function invalidateCacheByPrefix(appId, urlPrefix, options = {}) {
   }
   
   const result = await query(
-    `DELETE FROM cache_entries WHERE ${whereClause}`,
+    `DELETE FROM cache_entries WHERE ${whereClause}
+     RETURNING cache_key, source_id, storage_pool_id`,
     params
   );
+  await invalidateL1Entries(appId, result.rows);
   return result.rowCount;
 }
 
@@ -145,9 +167,11 @@ export async function invalidateCacheByKeyPrefix(appId, keyPrefix, options = {})
   }
   
   const result = await query(
-    `DELETE FROM cache_entries WHERE ${whereClause}`,
+    `DELETE FROM cache_entries WHERE ${whereClause}
+     RETURNING cache_key, source_id, storage_pool_id`,
     params
   );
+  await invalidateL1Entries(appId, result.rows);
   return result.rowCount;
 }
 
@@ -181,9 +205,10 @@ export async function assignTagsToCacheEntries(appId, entryIds, tags) {
      updated_at = NOW()
      WHERE id IN (${entryIdPlaceholders})
      AND app_id = $${appIdParamIndex}
-     RETURNING id`,
+     RETURNING cache_key, source_id, storage_pool_id`,
     [tagsJson, ...entryIds, appId]
   );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
@@ -217,9 +242,10 @@ export async function removeTagsFromCacheEntries(appId, entryIds, tags) {
      updated_at = NOW()
      WHERE id IN (${entryIdPlaceholders})
      AND app_id = $${appIdParamIndex}
-     RETURNING id`,
+     RETURNING cache_key, source_id, storage_pool_id`,
     [tagsJson, ...entryIds, appId]
   );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
@@ -292,9 +318,11 @@ export async function invalidateCacheByTags(appId, tags, options = {}) {
   }
   
   const result = await query(
-    `DELETE FROM cache_entries WHERE ${whereClause}`,
+    `DELETE FROM cache_entries WHERE ${whereClause}
+     RETURNING cache_key, source_id, storage_pool_id`,
     params
   );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
@@ -330,9 +358,30 @@ export async function purgePoolCache(appId, poolId, options = {}) {
   }
   
   const result = await query(
-    `DELETE FROM cache_entries WHERE ${whereClause}`,
+    `DELETE FROM cache_entries WHERE ${whereClause}
+     RETURNING cache_key, source_id, storage_pool_id`,
     params
   );
+  await invalidateL1Entries(appId, result.rows);
+  
+  return result.rowCount;
+}
+
+/**
+ * Invalidate a source's entries produced by an older transform version
+ * @param {string} appId - App ID
+ * @param {string} sourceId - Source ID
+ * @param {number} transformVersion - Current transform version of the source
+ * @returns {number} - Number of entries invalidated
+ */
+export async function invalidateOutdatedTransformEntries(appId, sourceId, transformVersion) {
+  const result = await query(
+    `DELETE FROM cache_entries
+     WHERE app_id = $1 AND source_id = $2 AND COALESCE(transform_version, 0) != $3
+     RETURNING cache_key, source_id, storage_pool_id`,
+    [appId, sourceId, transformVersion]
+  );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
@@ -379,5 +428,10 @@ export async function fixCacheEntryStoragePools(appId) {
     }
   }
   
+  // Moved entries may still sit in L1 under their old pool key
+  if (fixed > 0) {
+    await purgeL1App(appId);
+  }
+  
   return { fixed, errors };
 }
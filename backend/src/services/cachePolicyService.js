@@ -2,6 +2,7 @@ import { query } from '../db/pool.js';
 import logger from '../utils/logger.js';
 import { purgeExpiredEntries as purgeExpiredCacheEntries } from './cacheService.js';
 import { updateScheduledPurge, stopScheduledPurge } from './scheduledPurgeService.js';
+import { updateScheduledRefresh, stopScheduledRefresh } from './scheduledRevalidationService.js';
 
 /**
  * Get all cache policies for an app
@@ -59,18 +60,36 @@ export async function getCachePolicy(appId, sourceId) {
  * @returns {object} - Created/updated policy
  */
 export async function upsertCachePolicy(appId, policyData) {
-  const { source_id, max_ttl_seconds = 86400, no_cache = false, purge_schedule = null } = policyData;
+  const {
+    source_id,
+    max_ttl_seconds = 86400,
+    no_cache = false,
+    purge_schedule = null,
+    refresh_schedule = null,
+    ttl_mode = 'fixed',
+    stale_if_error_seconds = null,
+    stale_while_revalidate_seconds = null,
+    negative_cache_statuses = [],
+    negative_ttl_seconds = 60,
+  } = policyData;
   
   const result = await query(
-    `INSERT INTO cache_policies (app_id, source_id, max_ttl_seconds, no_cache, purge_schedule)
-     VALUES ($1, $2, $3, $4, $5)
+    `INSERT INTO cache_policies (app_id, source_id, max_ttl_seconds, no_cache, purge_schedule, refresh_schedule, ttl_mode, stale_if_error_seconds, stale_while_revalidate_seconds, negative_cache_statuses, negative_ttl_seconds)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
      ON CONFLICT (app_id, source_id) DO UPDATE SET
        max_ttl_seconds = EXCLUDED.max_ttl_seconds,
        no_cache = EXCLUDED.no_cache,
        purge_schedule = EXCLUDED.purge_schedule,
+       refresh_schedule = EXCLUDED.refresh_schedule,
+       ttl_mode = EXCLUDED.ttl_mode,
+       stale_if_error_seconds = EXCLUDED.stale_if_error_seconds,
+       stale_while_revalidate_seconds = EXCLUDED.stale_while_revalidate_seconds,
+       negative_cache_statuses = EXCLUDED.negative_cache_statuses,
+       negative_ttl_seconds = EXCLUDED.negative_ttl_seconds,
        updated_at = NOW()
      RETURNING *`,
-    [appId, source_id, max_ttl_seconds, no_cache, purge_schedule]
+    [appId, source_id, max_ttl_seconds, no_cache, purge_schedule, refresh_schedule, ttl_mode, stale_if_error_seconds, stale_while_revalidate_seconds,
+     JSON.stringify(negative_cache_statuses || []), negative_ttl_seconds]
   );
   
   const policy = result.rows[0];
@@ -78,6 +97,9 @@ export async function upsertCachePolicy(appId, policyData) {
   // Update scheduled purge job
   updateScheduledPurge(policy.id, appId, source_id, purge_schedule);
   
+  // Update scheduled refresh job
+  updateScheduledRefresh(policy.id, appId, source_id, refresh_schedule);
+  
   // Log lineage event for policy change
   try {
     const { logLineageEvent } = await import('./lineageService.js');
@@ -97,6 +119,12 @@ export async function upsertCachePolicy(appId, policyData) {
           max_ttl_seconds: policy.max_ttl_seconds,
           no_cache: policy.no_cache,
           purge_schedule: policy.purge_schedule,
+          refresh_schedule: policy.refresh_schedule,
+          ttl_mode: policy.ttl_mode,
+          stale_if_error_seconds: policy.stale_if_error_seconds,
+          stale_while_revalidate_seconds: policy.stale_while_revalidate_seconds,
+          negative_cache_statuses: policy.negative_cache_statuses,
+          negative_ttl_seconds: policy.negative_ttl_seconds,
         },
       });
     }
@@ -114,8 +142,9 @@ export async function upsertCachePolicy(appId, policyData) {
  * @returns {boolean} - True if deleted
  */
 export async function deleteCachePolicy(policyId, appId) {
-  // Stop scheduled purge job
+  // Stop scheduled purge and refresh jobs
   stopScheduledPurge(policyId);
+  stopScheduledRefresh(policyId);
   
   const result = await query(
     'DELETE FROM cache_policies WHERE id = $1 AND app_id = $2',
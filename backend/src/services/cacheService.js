@@ -1,22 +1,30 @@
 import { query } from '../db/pool.js';
-import { generateCacheKey, hashBody } from '../utils/cacheKey.js';
-import { getSourceWithAuth, getActiveSourcesByPriority } from './sourceService.js';
-import { getCircuitBreaker } from '../utils/circuitBreaker.js';
+import { generateCacheKey, describeCacheKey, hashBody, getVaryHeaders, mergeVaryHeaders, validateCacheKeyRules } from '../utils/cacheKey.js';
+import { getOriginTtl, parseVary } from '../utils/cacheControl.js';
+import { getSourceWithAuth, getActiveSourcesByPriority, addOriginVaryHeaders } from './sourceService.js';
+import { getCircuitBreaker, recordRetry } from '../utils/circuitBreaker.js';
+import { isRetryableMethod, isRetryableStatus, isRetryableError, parseRetryAfter, computeBackoffDelay, sleep } from '../utils/retry.js';
 import { getConfigValue } from './configService.js';
-import { validateDataUrl } from '../utils/urlValidation.js';
+import { validateUrl, validateDataUrl } from '../utils/urlValidation.js';
 import { getCachePolicy } from './cachePolicyService.js';
-import { addBrowserHeaders, detectChallengePage, extractChallengeError } from '../utils/httpHeaders.js';
+import { coalesceRequest } from './coalescingService.js';
+import { trackRequestStart, trackRequestEnd, recordSourceLatency, filterHealthySources } from './sourceSelectionService.js';
+import { addBrowserHeaders, applySourceAuthHeaders, detectChallengePage, extractChallengeError } from '../utils/httpHeaders.js';
+import { decodeBody, readResponseBody } from '../utils/responseBody.js';
+import { applyResponseTransform, hasBodyTransformRules, getTransformHeaderNames } from '../utils/responseTransform.js';
+import { resolveFailoverRules, hasBodyPredicates, shouldFailOverOnError, getResponseFailoverReason } from '../utils/failoverRules.js';
+import { getHedgeDelay, raceHedged, recordHedgeOutcome } from './hedgingService.js';
 import axios from 'axios';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
 // Import from split modules
-import { getCacheEntry, storeCacheEntry, listCacheEntries, bulkUpdateCacheEntries } from './cacheEntryService.js';
+import { getCacheEntry, getStaleCacheEntry, getStoredCacheEntry, extendCacheEntry, storeCacheEntry, getEntryBody, listCacheEntries, bulkUpdateCacheEntries } from './cacheEntryService.js';
 import { invalidateCacheEntry, purgeCache, purgeExpiredEntries, invalidateCacheByPrefix, invalidateCacheByKeyPrefix, assignTagsToCacheEntries, removeTagsFromCacheEntries, invalidateCacheByTags, purgePoolCache, fixCacheEntryStoragePools } from './cacheInvalidationService.js';
 import { getCacheStats, calculateCacheEntrySize, getPoolStorageSize, getDedicatedPoolStats, getPoolCacheStats } from './cacheStatsService.js';
 
 // Re-export from cacheEntryService
-export { getCacheEntry, storeCacheEntry, listCacheEntries, bulkUpdateCacheEntries } from './cacheEntryService.js';
+export { getCacheEntry, getStaleCacheEntry, storeCacheEntry, listCacheEntries, bulkUpdateCacheEntries } from './cacheEntryService.js';
 
 // Re-export from cacheInvalidationService
 export { invalidateCacheEntry, purgeCache, purgeExpiredEntries, invalidateCacheByPrefix, invalidateCacheByKeyPrefix, assignTagsToCacheEntries, removeTagsFromCacheEntries, invalidateCacheByTags, purgePoolCache, fixCacheEntryStoragePools } from './cacheInvalidationService.js';
@@ -26,34 +34,50 @@ export { getCacheStats, calculateCacheEntrySize, getPoolStorageSize, getDedicate
 
 // Keep cacheOrFetch and listCacheEntriesByPool here as they're complex and depend on multiple services
 
+// Methods whose responses may be stored. POST/PUT/PATCH are included to support
+// APIs like Google Translate that use POST for idempotent lookups.
+export const CACHEABLE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH'];
+
+// Methods refreshed with conditional requests (If-None-Match / If-Modified-Since)
+const CONDITIONAL_METHODS = ['GET', 'HEAD'];
+
+// Client headers that make a request conditional; when present they are forwarded as-is
+const CLIENT_CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range'];
+
 /**
- * Fetch from source API with circuit breaker
+ * Build the upstream URL for a source and a request path
+ * @param {object} source - Source config
+ * @param {string} path - Request path (may include query string)
+ * @returns {string} - Full upstream URL
+ */
+export function buildSourceUrl(source, path) {
+  // Normalize base_url (remove trailing slash) and path (ensure leading slash)
+  const normalizedBaseUrl = source.base_url.replace(/\/+$/, '');
+  const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+  return `${normalizedBaseUrl}${normalizedPath}`;
+}
+
+/**
+ * Fetch from source API (called through the source's circuit breaker)
  * @param {object} source - Source config
  * @param {string} method - HTTP method
  * @param {string} path - Request path
  * @param {object} body - Request body
  * @param {object} headers - Request headers
- * @returns {object} - Response data
+ * @param {boolean} retryWithBrowserHeaders - Retry with browser headers after challenge detection
+ * @param {object} bodyOptions - How to read the body
+ * @param {number} bodyOptions.maxBytes - Largest body that may be cached
+ * @param {boolean} bodyOptions.allowStream - Caller can send a stream (proxy) instead of a buffered body
+ * @param {boolean} bodyOptions.passThrough - Response won't be cached: stream it without buffering
+ * @param {AbortSignal} [bodyOptions.signal] - Cancels the request (the losing side of a hedged request)
+ * @returns {object} - Response data (`stream` set instead of `data` when streamed)
  */
-async function fetchFromSource(source, method, path, body, headers, retryWithBrowserHeaders = false) {
-  const sourceHeaders = source.headers || {};
-  
-  // Add auth headers based on auth_type
-  if (source.auth_type === 'bearer' && source.auth_config?.token) {
-    sourceHeaders['Authorization'] = `Bearer ${source.auth_config.token}`;
-  } else if (source.auth_type === 'api_key' && source.auth_config) {
-    const { header_name, key } = source.auth_config;
-    sourceHeaders[header_name || 'X-API-Key'] = key;
-  }
-  
-  // Normalize base_url (remove trailing slash) and path (ensure leading slash)
-  const normalizedBaseUrl = source.base_url.replace(/\/+$/, ''); // Remove trailing slashes
-  const normalizedPath = path.startsWith('/') ? path : `/${path}`; // Ensure leading slash
-  const url = `${normalizedBaseUrl}${normalizedPath}`;
+async function fetchFromSource(source, method, path, body, headers, retryWithBrowserHeaders = false, bodyOptions = {}) {
+  const url = buildSourceUrl(source, path);
   
-  // Prepare headers - ensure Content-Type is set for POST/PUT/PATCH with body
+  // Source headers and auth take precedence over forwarded client headers
   // Add browser-like headers if bypass_bot_detection is enabled OR if retrying after challenge detection
-  let requestHeaders = { ...sourceHeaders, ...headers };
+  let requestHeaders = applySourceAuthHeaders(source, headers);
   if ((source.bypass_bot_detection || retryWithBrowserHeaders) && 
       !requestHeaders['User-Agent'] && !requestHeaders['user-agent']) {
     requestHeaders = addBrowserHeaders(requestHeaders);
@@ -67,386 +91,862 @@ async function fetchFromSource(source, method, path, body, headers, retryWithBro
     }
   }
   
+  let response;
   try {
-    const response = await axios({
+    response = await axios({
       method,
       url,
       data: body,
       headers: requestHeaders,
-      timeout: source.timeout_ms,
-      validateStatus: () => true,
+      timeout: source.timeout_ms || 30000,
+      validateStatus: () => true, // Accept all status codes
+      signal: bodyOptions.signal,
+      responseType: 'stream', // Read bytes ourselves so binary bodies are not corrupted
+      transformResponse: [(data) => data], // Don't transform
     });
-    
-    // Check for challenge pages from various providers
-    const contentType = response.headers['content-type'] || '';
-    const challenge = detectChallengePage(response.data, contentType, response.status);
-    
-    // If challenge detected and bypass_bot_detection is enabled, retry with browser headers
-    if (challenge.isChallenge && source.bypass_bot_detection && !retryWithBrowserHeaders) {
-      // Retry once with browser headers
-      return await fetchFromSource(source, method, path, body, headers, true);
-    }
-    
-    // If still a challenge after retry, throw error
-    if (challenge.isChallenge) {
-      const errorMsg = extractChallengeError(challenge, response.data, source.bypass_bot_detection);
-      throw new Error(errorMsg);
+  } catch (err) {
+    // Handle axios errors (timeout, network errors, etc.)
+    if (err.code === 'ECONNABORTED' || err.message?.includes('timeout')) {
+      const timeoutError = new Error(`Request to ${url} timed out after ${source.timeout_ms}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
     }
-    
+    // Network or other errors
+    throw err;
+  }
+  
+  const contentType = response.headers['content-type'] || '';
+  const maxBytes = bodyOptions.maxBytes ?? Infinity;
+  const declaredLength = parseInt(response.headers['content-length'], 10);
+  
+  // Stream without buffering when the body won't be cached or is declared too large
+  // (HTML is still read so challenge pages are detected)
+  if (bodyOptions.allowStream && !contentType.includes('text/html')
+      && (bodyOptions.passThrough || declaredLength > maxBytes)) {
     return {
       status: response.status,
       headers: response.headers,
-      data: response.data,
-      contentType: response.headers['content-type'],
+      data: null,
+      rawBody: null,
+      stream: response.data,
+      isJson: false,
+      contentType,
+      tooLarge: declaredLength > maxBytes,
     };
+  }
+  
+  let responseBody;
+  try {
+    responseBody = await readResponseBody(response.data, { maxBytes, allowStream: bodyOptions.allowStream });
   } catch (err) {
-    // Handle axios errors (timeout, network errors, etc.)
-    if (err.code === 'ECONNABORTED' || err.message?.includes('timeout')) {
-      throw new Error(`Request to ${url} timed out after ${source.timeout_ms}ms`);
+    // Aborted mid-body: report it as canceled rather than as a network failure
+    if (bodyOptions.signal?.aborted) {
+      err.code = 'ERR_CANCELED';
     }
-    if (err.response) {
-      // Check for challenge in error response
-      const contentType = err.response.headers['content-type'] || '';
-      const challenge = detectChallengePage(err.response.data, contentType, err.response.status);
-      
-      if (challenge.isChallenge && source.bypass_bot_detection && !retryWithBrowserHeaders) {
-        // Retry with browser headers
-        return await fetchFromSource(source, method, path, body, headers, true);
+    throw err;
+  }
+  if (responseBody.stream) {
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: null,
+      rawBody: null,
+      stream: responseBody.stream,
+      isJson: false,
+      contentType,
+      tooLarge: true,
+    };
+  }
+  
+  // Text becomes a string; images, PDFs, protobuf, archives etc. stay a Buffer
+  const rawBody = decodeBody(responseBody.buffer, contentType);
+  
+  // Check for challenge pages from various providers
+  const challenge = typeof rawBody === 'string'
+    ? detectChallengePage(rawBody, contentType, response.status)
+    : { isChallenge: false };
+  
+  // If challenge detected and bypass_bot_detection is enabled, retry with browser headers
+  if (challenge.isChallenge && source.bypass_bot_detection && !retryWithBrowserHeaders) {
+    // Retry once with browser headers
+    return await fetchFromSource(source, method, path, body, headers, true, bodyOptions);
+  }
+  
+  // If still a challenge after retry, throw error
+  if (challenge.isChallenge) {
+    const errorMsg = extractChallengeError(challenge, rawBody, source.bypass_bot_detection);
+    const challengeError = new Error(errorMsg);
+    challengeError.code = 'ECHALLENGE';
+    throw challengeError;
+  }
+  
+  // Try to parse as JSON
+  let data = rawBody;
+  let isJson = false;
+  if (typeof rawBody === 'string' && contentType.includes('application/json')) {
+    try {
+      data = JSON.parse(rawBody);
+      isJson = true;
+    } catch {
+      // Keep as string
+    }
+  }
+  
+  return {
+    status: response.status,
+    headers: response.headers,
+    data,
+    rawBody,
+    stream: null,
+    isJson,
+    contentType,
+    tooLarge: responseBody.tooLarge,
+  };
+}
+
+/**
+ * Release a response that is not going to be sent (retried, failed over or replaced)
+ * @param {object} response - Response from fetchFromSource
+ */
+function discardResponse(response) {
+  if (response?.stream) {
+    response.stream.destroy();
+  }
+}
+
+/**
+ * Fire a source's circuit breaker, retrying transient failures with backoff
+ * Network errors, 429 and 5xx are retried up to the source's retry_count. Only idempotent
+ * methods are retried unless the source opts in with retry_non_idempotent. An upstream
+ * Retry-After is honored; if it exceeds the maximum backoff the response is returned as is.
+ * Each retry is a separate breaker fire so failures still count towards opening the circuit.
+ * @param {CircuitBreaker} breaker - Circuit breaker wrapping fetchFromSource
+ * @param {object} source - Source config
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {object} body - Request body
+ * @param {object} headers - Request headers
+ * @param {object} bodyOptions - How to read the body (see fetchFromSource)
+ * @returns {object} - Response from fetchFromSource with `retries` set
+ */
+async function fireWithRetry(breaker, source, method, path, body, headers, bodyOptions = {}) {
+  const maxRetries = isRetryableMethod(method, source.retry_non_idempotent) ? (source.retry_count || 0) : 0;
+  const backoff = { baseMs: config.retryBackoffBaseMs, maxMs: config.retryBackoffMaxMs };
+  
+  for (let attempt = 0; ; attempt++) {
+    let delay;
+    try {
+      const response = await breaker.fire(source, method, path, body, headers, false, bodyOptions);
+      const retryable = isRetryableStatus(response.status);
+      if (attempt > 0) {
+        recordRetry(source.id, !retryable);
       }
       
-      if (challenge.isChallenge) {
-        const errorMsg = extractChallengeError(challenge, err.response.data, source.bypass_bot_detection);
-        throw new Error(errorMsg);
+      if (!retryable || attempt >= maxRetries || bodyOptions.signal?.aborted) {
+        response.retries = attempt;
+        return response;
       }
       
-      // HTTP error response
-      return {
-        status: err.response.status,
-        headers: err.response.headers,
-        data: err.response.data,
-        contentType: err.response.headers['content-type'],
-      };
+      const retryAfter = parseRetryAfter(response.headers['retry-after']);
+      if (retryAfter !== null && retryAfter > backoff.maxMs) {
+        // Upstream asked us to back off longer than we are willing to wait
+        response.retries = attempt;
+        return response;
+      }
+      delay = retryAfter ?? computeBackoffDelay(attempt + 1, backoff);
+      discardResponse(response);
+      logger.debug({ source: source.name, status: response.status, attempt: attempt + 1, delay }, '[cacheOrFetch] Retrying source');
+    } catch (err) {
+      if (attempt > 0) {
+        recordRetry(source.id, false);
+      }
+      if (!isRetryableError(err) || attempt >= maxRetries || bodyOptions.signal?.aborted) {
+        err.retries = attempt;
+        throw err;
+      }
+      delay = computeBackoffDelay(attempt + 1, backoff);
+      logger.debug({ source: source.name, err: err.message, attempt: attempt + 1, delay }, '[cacheOrFetch] Retrying source after error');
+    }
+    
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fire a source with retries while tracking its in-flight count and latency
+ * These feed the least-outstanding and ewma-latency selection modes; failures and 5xx
+ * count as a full timeout so a failing source sinks. Canceled requests are not sampled.
+ * Arguments as for fireWithRetry.
+ * @returns {object} - Response from fetchFromSource with `retries` set
+ */
+async function fireTracked(breaker, source, method, path, body, headers, bodyOptions = {}) {
+  const upstreamStart = Date.now();
+  const tracked = trackRequestStart(source.id);
+  try {
+    const response = await fireWithRetry(breaker, source, method, path, body, headers, bodyOptions);
+    recordSourceLatency(source.id, response.status >= 500 ? (source.timeout_ms || 30000) : Date.now() - upstreamStart);
+    return response;
+  } catch (err) {
+    if (!bodyOptions.signal?.aborted) {
+      recordSourceLatency(source.id, source.timeout_ms || 30000);
     }
-    // Network or other errors
     throw err;
+  } finally {
+    trackRequestEnd(tracked);
   }
 }
 
 /**
- * Main cache-or-fetch logic
+ * Check whether a failed source has an alternative fallback source left to try
+ * @param {object} source - Source config
+ * @param {Set} attemptedSourceIds - Sources already tried for this request
+ * @returns {boolean} - True if the fallback source should be tried
+ */
+function canUseFallbackSource(source, attemptedSourceIds) {
+  return source.fallback_mode === 'alternative_source'
+    && !!source.fallback_source_id
+    && !attemptedSourceIds.has(source.fallback_source_id);
+}
+
+/**
+ * Rewrite a request path for an alternative fallback source
+ * Supported placeholders: {path} (path without query) and {query} (query string without "?").
+ * When the template has no {query} placeholder the original query string is appended.
+ * @param {string|null} template - Path template, e.g. "/v2{path}"
+ * @param {string} path - Original request path (may include query string)
+ * @returns {string} - Rewritten path
+ */
+export function applyFallbackPathTemplate(template, path) {
+  if (!template) {
+    return path;
+  }
+  
+  const queryIndex = path.indexOf('?');
+  const pathname = queryIndex === -1 ? path : path.substring(0, queryIndex);
+  const queryString = queryIndex === -1 ? '' : path.substring(queryIndex + 1);
+  
+  const rewritten = template
+    .replace(/\{path\}/g, pathname)
+    .replace(/\{query\}/g, queryString);
+  
+  if (template.includes('{query}') || !queryString) {
+    return rewritten;
+  }
+  return `${rewritten}${rewritten.includes('?') ? '&' : '?'}${queryString}`;
+}
+
+/**
+ * Build conditional request headers from a stored entry's validators
+ * @param {object|null} entry - Stored cache entry
+ * @returns {object|null} - If-None-Match / If-Modified-Since headers, or null if the entry has no validators
+ */
+function buildConditionalHeaders(entry) {
+  const storedHeaders = entry?.response_headers || {};
+  const conditionalHeaders = {};
+  if (storedHeaders.etag) {
+    conditionalHeaders['If-None-Match'] = storedHeaders.etag;
+  }
+  if (storedHeaders['last-modified']) {
+    conditionalHeaders['If-Modified-Since'] = storedHeaders['last-modified'];
+  }
+  return Object.keys(conditionalHeaders).length > 0 ? conditionalHeaders : null;
+}
+
+/**
+ * Cap a TTL at a cache policy's max_ttl_seconds
+ * @param {number} ttl - TTL in seconds (0 = forever)
+ * @param {object|null} cachePolicy - Cache policy for the source
+ * @returns {number} - TTL in seconds
+ */
+function applyPolicyTtlLimit(ttl, cachePolicy) {
+  // If ttl is 0 (forever) or exceeds policy limit, use policy limit
+  if (cachePolicy && cachePolicy.max_ttl_seconds !== null && (ttl === 0 || ttl > cachePolicy.max_ttl_seconds)) {
+    return cachePolicy.max_ttl_seconds;
+  }
+  return ttl;
+}
+
+/**
+ * Resolve whether a response may be stored and for how long
+ * With an origin-driven policy (ttl_mode = 'origin') upstream Cache-Control / Expires decide;
+ * an explicit request TTL still overrides the origin TTL but not its no-store.
+ * @param {number} defaultTtl - TTL from the request, app config or default (0 = forever)
+ * @param {object|null} cachePolicy - Cache policy for the source
+ * @param {object} responseHeaders - Upstream response headers
+ * @param {number|null} requestTtl - Explicit TTL from the request
+ * @returns {object} - { cacheable, ttl, reason }
+ */
+function resolveEntryTtl(defaultTtl, cachePolicy, responseHeaders, requestTtl) {
+  if (cachePolicy?.ttl_mode !== 'origin') {
+    return { cacheable: true, ttl: applyPolicyTtlLimit(defaultTtl, cachePolicy), reason: 'fixed' };
+  }
+  
+  const origin = getOriginTtl(responseHeaders || {}, defaultTtl);
+  if (!origin.cacheable) {
+    return origin;
+  }
+  const ttl = requestTtl !== null ? requestTtl : origin.ttl;
+  return { cacheable: true, ttl: applyPolicyTtlLimit(ttl, cachePolicy), reason: origin.reason };
+}
+
+/**
+ * Check whether a cache policy negatively caches an upstream status
+ * @param {number} status - Upstream response status
+ * @param {object|null} cachePolicy - Cache policy for the source
+ * @returns {boolean}
+ */
+function isNegativeCacheStatus(status, cachePolicy) {
+  return Array.isArray(cachePolicy?.negative_cache_statuses)
+    && cachePolicy.negative_cache_statuses.includes(status);
+}
+
+/**
+ * Get the header names that make up a source's cache key
+ * Origin-driven policies add the headers learned from upstream Vary.
+ * @param {object} source - Source config
+ * @param {object|null} cachePolicy - Cache policy for the source
+ * @returns {array|null} - Header names (null = defaults)
+ */
+function getEffectiveVaryHeaders(source, cachePolicy) {
+  const varyHeaders = source.vary_headers || null;
+  if (cachePolicy?.ttl_mode !== 'origin') {
+    return varyHeaders;
+  }
+  return mergeVaryHeaders(varyHeaders, source.origin_vary_headers);
+}
+
+/**
+ * Preview the cache key a sample request would get from a source
+ * Mirrors the key computation in cacheOrFetch without fetching anything.
  * @param {string} appId - App ID
- * @param {object} request - Request parameters
- * @returns {object} - Response with cache info
+ * @param {object} source - Source config
+ * @param {object} request - Sample request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path relative to the source's base_url (or request.url)
+ * @param {object|string|null} request.body - Request body
+ * @param {object} request.headers - Request headers
+ * @param {object} request.cache_key_rules - Optional rules to try instead of the saved ones
+ * @returns {object} - { cache_key, url, storage_mode, components }
  */
-export async function cacheOrFetch(appId, request) {
-  const { method, url, body = null, headers = {}, force_refresh = false, ttl = null } = request;
+export async function previewCacheKey(appId, source, request) {
+  const { method = 'GET', path = null, body = null, headers = {} } = request;
+  const keyRules = request.cache_key_rules !== undefined ? request.cache_key_rules : (source.cache_key_rules || null);
+  validateCacheKeyRules(keyRules);
   
-  // Validate URL to prevent SSRF attacks
+  let cachePolicy = null;
   try {
-    validateDataUrl(url);
+    cachePolicy = await getCachePolicy(appId, source.id);
   } catch (err) {
-    throw new Error(`Invalid or blocked URL: ${err.message}`);
+    logger.warn({ sourceId: source.id, err: err.message }, '[previewCacheKey] Error fetching cache policy');
   }
   
-  // Check app-level kill switch
-  const killSwitchEnabled = await getConfigValue(appId, 'kill_switch_enabled');
-  let bypassCache = killSwitchEnabled === 'true' || killSwitchEnabled === true;
+  const url = path !== null ? buildSourceUrl(source, path) : request.url;
+  const storageMode = source.storage_mode || 'dedicated';
+  const lowercaseHeaders = Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
   
-  // Get active sources first
-  const sources = await getActiveSourcesByPriority(appId);
-  if (sources.length === 0) {
-    throw new Error('No active sources configured');
+  const preview = describeCacheKey(
+    method,
+    url,
+    body,
+    lowercaseHeaders,
+    storageMode === 'dedicated' ? source.id : null,
+    getEffectiveVaryHeaders(source, cachePolicy),
+    keyRules
+  );
+  
+  return {
+    cache_key: preview.cache_key,
+    url,
+    storage_mode: storageMode,
+    components: preview.components,
+  };
+}
+
+/**
+ * Record that an alternative fallback source served a request
+ * @param {string} appId - App ID
+ * @param {object} failedSource - Source that failed
+ * @param {object} fallbackSource - Fallback source that was used
+ * @param {string} url - Upstream URL requested from the fallback source
+ * @param {array} failedAttempts - Failed attempts so far
+ */
+async function recordFallbackLineage(appId, failedSource, fallbackSource, url, failedAttempts) {
+  try {
+    const { logLineageEvent } = await import('./lineageService.js');
+    const failure = failedAttempts.filter(attempt => attempt.source_id === failedSource.id).pop();
+    await logLineageEvent({
+      app_id: appId,
+      cache_entry_id: null,
+      event_type: 'fallback',
+      source_id: fallbackSource.id,
+      action: 'alternative_source',
+      metadata: {
+        failed_source_id: failedSource.id,
+        failed_source_name: failedSource.name,
+        failure: failure?.error || null,
+        fallback_source_name: fallbackSource.name,
+        url,
+      },
+    });
+  } catch (err) {
+    logger.warn({ err: err.message }, '[cacheOrFetch] Failed to log fallback lineage event');
+  }
+}
+
+/**
+ * Record a lineage event for a hedged request, naming the source that answered first
+ * @param {string} appId - App ID
+ * @param {object} primarySource - Group's primary source
+ * @param {object} hedgeSource - Source that received the duplicate request
+ * @param {string} winner - 'primary' or 'hedge'
+ * @param {string} url - Request URL
+ * @param {number} delayMs - Delay before the hedge request was sent
+ */
+async function recordHedgeLineage(appId, primarySource, hedgeSource, winner, url, delayMs) {
+  try {
+    const { logLineageEvent } = await import('./lineageService.js');
+    await logLineageEvent({
+      app_id: appId,
+      cache_entry_id: null,
+      event_type: 'hedge',
+      source_id: winner === 'hedge' ? hedgeSource.id : primarySource.id,
+      action: `${winner}_won`,
+      metadata: {
+        primary_source_id: primarySource.id,
+        primary_source_name: primarySource.name,
+        hedge_source_id: hedgeSource.id,
+        hedge_source_name: hedgeSource.name,
+        winner,
+        delay_ms: delayMs,
+        url,
+      },
+    });
+  } catch (err) {
+    logger.warn({ err: err.message }, '[cacheOrFetch] Failed to log hedge lineage event');
   }
+}
+
+/**
+ * Resolve the ordered list of candidate sources for a request
+ * Explicit sources (e.g. from the transparent proxy) are used as given; otherwise
+ * the source whose base_url domain matches the request URL is tried first. Sources
+ * marked unhealthy by their health check are skipped unless every candidate is.
+ * @param {string} appId - App ID
+ * @param {string|null} url - Request URL
+ * @param {array|null} explicitSources - Pre-selected source rows in failover order
+ * @returns {array} - Source rows in the order they should be tried
+ */
+async function resolveCandidateSources(appId, url, explicitSources) {
+  if (explicitSources) {
+    return filterHealthySources(explicitSources);
+  }
+  
+  const sources = filterHealthySources(await getActiveSourcesByPriority(appId));
   
   // Parse URL to extract domain for source matching
-  let parsedUrl;
   let requestDomain = null;
   try {
-    parsedUrl = new URL(url);
-    requestDomain = parsedUrl.hostname.toLowerCase();
+    requestDomain = new URL(url).hostname.toLowerCase();
   } catch {
-    // Invalid URL, will use first source
+    // Invalid URL, will use priority order
   }
   
   // Try to find a source that matches the request domain first
   // This ensures requests go to the correct source's pool
-  let matchedSourceRow = null;
-  if (requestDomain) {
-    for (const sourceRow of sources) {
-      try {
-        const sourceUrl = new URL(sourceRow.base_url);
-        const sourceDomain = sourceUrl.hostname.toLowerCase();
-        if (sourceDomain === requestDomain) {
-          matchedSourceRow = sourceRow;
-          break;
+  const matchedSourceRow = requestDomain
+    ? sources.find((sourceRow) => {
+        try {
+          return new URL(sourceRow.base_url).hostname.toLowerCase() === requestDomain;
+        } catch {
+          // Invalid base_url, skip
+          return false;
         }
-      } catch {
-        // Invalid base_url, skip
-        continue;
-      }
+      })
+    : null;
+  
+  // Reorder sources: matched source first (if found), then others by priority
+  if (!matchedSourceRow) {
+    return sources;
+  }
+  return [matchedSourceRow, ...sources.filter(sourceRow => sourceRow.id !== matchedSourceRow.id)];
+}
+
+/**
+ * Build an uncached fetch result
+ * @param {string} cacheKey - Cache key
+ * @param {object} source - Source that produced the response
+ * @param {object} response - Response from fetchFromSource
+ * @param {object} meta - Additional meta fields
+ * @returns {object} - Result in cacheOrFetch format
+ */
+function buildFetchResult(cacheKey, source, response, meta = {}) {
+  return {
+    cached: false,
+    cache_key: cacheKey,
+    response: {
+      status: response.status,
+      headers: response.headers,
+      body: response.stream || response.data,
+      content_type: response.contentType,
+    },
+    meta: {
+      source_id: source.id,
+      source_name: source.name,
+      hit_count: 0,
+      expires_at: null,
+      created_at: new Date(),
+      retry_attempts: response.retries || 0,
+      streamed: !!response.stream,
+      transform_headers: getTransformHeaderNames(source.transform_rules),
+      ...meta,
+    },
+  };
+}
+
+/**
+ * Build a result from a stored cache entry
+ * @param {string} cacheKey - Cache key
+ * @param {object} cached - Cache entry row
+ * @param {object} meta - Additional meta fields
+ * @param {string|null} acceptEncoding - Client Accept-Encoding (compressed bodies are served as stored if accepted)
+ * @returns {object} - Result in cacheOrFetch format
+ */
+async function buildCachedResult(cacheKey, cached, meta = {}, acceptEncoding = null) {
+  // Get source name (and the headers its transform sets) if available
+  let sourceName = null;
+  let transformRules = null;
+  if (cached.source_id) {
+    try {
+      const sourceResult = await query('SELECT name, transform_rules FROM app_sources WHERE id = $1', [cached.source_id]);
+      sourceName = sourceResult.rows[0]?.name || null;
+      transformRules = sourceResult.rows[0]?.transform_rules || null;
+    } catch (err) {
+      // Ignore error, source_name will be null
     }
   }
   
-  // Use matched source if found, otherwise use first source
-  const primarySourceRow = matchedSourceRow || sources[0];
-  const primarySource = await getSourceWithAuth(primarySourceRow.id);
+  const { body, content_encoding } = await getEntryBody(cached, acceptEncoding);
+  
+  return {
+    cached: true,
+    cache_key: cacheKey,
+    response: {
+      status: cached.response_status,
+      headers: cached.response_headers,
+      body,
+      content_type: cached.content_type,
+      content_encoding,
+    },
+    meta: {
+      source_id: cached.source_id,
+      source_name: sourceName,
+      hit_count: cached.hit_count,
+      expires_at: cached.expires_at,
+      created_at: cached.created_at,
+      last_hit_at: cached.last_hit_at,
+      ttl_seconds: cached.ttl_seconds,
+      negative: !!cached.is_negative,
+      transform_headers: getTransformHeaderNames(transformRules),
+      ...meta,
+    },
+  };
+}
+
+/**
+ * Build a result from a mock response
+ * @param {string} cacheKey - Cache key
+ * @param {object} source - Source the mock belongs to
+ * @param {object} mockResponse - Mock from getMockResponse
+ * @param {object} meta - Additional meta fields
+ * @returns {object} - Result in cacheOrFetch format
+ */
+function buildMockResult(cacheKey, source, mockResponse, meta = {}) {
+  return buildFetchResult(cacheKey, source, {
+    status: mockResponse.status,
+    headers: mockResponse.headers,
+    data: mockResponse.body,
+    contentType: mockResponse.headers['content-type'] || 'application/json',
+  }, {
+    is_mock: true,
+    mock_id: mockResponse.mock_id,
+    ...meta,
+  });
+}
+
+/**
+ * Main cache-or-fetch logic
+ *
+ * This is the single request pipeline shared by `POST /api/v1/data` and the
+ * transparent `/proxy/*` route: kill switches, cache policies, compliance checks,
+ * mock fallback, failover and lineage apply identically to both entry points.
+ *
+ * @param {string} appId - App ID
+ * @param {object} request - Request parameters
+ * @param {string} request.method - HTTP method
+ * @param {string} [request.url] - Full upstream URL (required unless `path` is given)
+ * @param {string} [request.path] - Path (with query) relative to each source's base_url
+ * @param {array} [request.sources] - Pre-selected source rows in failover order
+ * @param {object} [request.group] - Source group the sources were selected from (group policies)
+ * @returns {object} - Response with cache info
+ */
+export async function cacheOrFetch(appId, request) {
+  const { method, body = null, headers = {}, force_refresh = false, ttl = null, path: sourcePath = null, allow_stream = false, accept_encoding = null } = request;
+  const upperMethod = method.toUpperCase();
+  
+  // Check app-level kill switch
+  const killSwitchEnabled = await getConfigValue(appId, 'kill_switch_enabled');
+  let bypassCache = killSwitchEnabled === 'true' || killSwitchEnabled === true;
+  
+  // Get candidate sources in the order they should be tried
+  const orderedSources = await resolveCandidateSources(appId, request.url, request.sources || null);
+  if (orderedSources.length === 0) {
+    throw new Error('No active sources configured');
+  }
+  
+  const primarySource = await getSourceWithAuth(orderedSources[0].id);
   if (!primarySource) {
     throw new Error('Source not found or inaccessible');
   }
   
-  // Check source-level kill switch (overrides app-level)
-  if (primarySource.kill_switch_enabled) {
+  // In path mode the URL is derived from each source's base_url
+  const url = sourcePath !== null ? buildSourceUrl(primarySource, sourcePath) : request.url;
+  
+  // Validate URL to prevent SSRF attacks
+  try {
+    if (sourcePath !== null) {
+      validateUrl(url, primarySource.base_url);
+    } else {
+      validateDataUrl(url);
+    }
+  } catch (err) {
+    throw new Error(`Invalid or blocked URL: ${err.message}`);
+  }
+  
+  // Check group- and source-level kill switches (override app-level)
+  if (request.group?.kill_switch_enabled || primarySource.kill_switch_enabled) {
     bypassCache = true;
   }
   
   const storageMode = primarySource.storage_mode || 'dedicated';
   const storagePoolId = primarySource.storage_pool_id || null;
   
-  // Generate cache key (include sourceId for dedicated mode, use source vary headers)
-  const varyHeaders = primarySource.vary_headers || null;
+  // Check cache policy FIRST so a no_cache policy is respected even if entries exist
+  let primaryPolicy = null;
+  let policyNoCache = false;
+  try {
+    primaryPolicy = await getCachePolicy(appId, primarySource.id);
+    policyNoCache = !!primaryPolicy?.no_cache;
+  } catch (err) {
+    logger.warn({ sourceId: primarySource.id, err: err.message }, '[cacheOrFetch] Error fetching cache policy');
+  }
+  
+  // Generate cache key (include sourceId for dedicated mode, use source vary headers and key rules)
+  const varyHeaders = getEffectiveVaryHeaders(primarySource, primaryPolicy);
   const cacheKey = generateCacheKey(
     method, 
     url, 
     body, 
     headers,
     storageMode === 'dedicated' ? primarySource.id : null,
-    varyHeaders
+    varyHeaders,
+    primarySource.cache_key_rules || null
   );
   const bodyHash = hashBody(body);
   
-  // Check cache first (unless force refresh or kill switch enabled)
-  if (!force_refresh && !bypassCache) {
+  const isCacheable = CACHEABLE_METHODS.includes(upperMethod);
+  
+  // Stale-if-error window (policy overrides source): serve a recently expired entry
+  // instead of an error when the upstream is down
+  const staleIfErrorSeconds = primaryPolicy?.stale_if_error_seconds ?? primarySource.stale_if_error_seconds ?? 0;
+  const serveStaleIfError = async (reason, failedAttempts) => {
+    if (bypassCache || !isCacheable || policyNoCache || staleIfErrorSeconds <= 0) {
+      return null;
+    }
+    
+    const stale = await getStaleCacheEntry(
+      appId,
+      cacheKey,
+      storageMode === 'dedicated' ? primarySource.id : null,
+      storageMode,
+      storagePoolId,
+      staleIfErrorSeconds
+    );
+    if (!stale) {
+      return null;
+    }
+    
+    logger.warn({ cacheKey, reason, expiresAt: stale.expires_at }, '[cacheOrFetch] Serving stale entry after upstream failure');
+    return buildCachedResult(cacheKey, stale, {
+      stale: true,
+      stale_if_error: true,
+      stale_reason: reason,
+      failed_attempts: failedAttempts,
+    });
+  };
+  
+  // Check cache first (unless force refresh, kill switch, non-cacheable method or no_cache policy)
+  if (!force_refresh && !bypassCache && isCacheable && !policyNoCache) {
+    const staleWhileRevalidateSeconds = primaryPolicy?.stale_while_revalidate_seconds || 0;
     const cached = await getCacheEntry(
       appId, 
       cacheKey, 
       storageMode === 'dedicated' ? primarySource.id : null,
       storageMode,
-      storagePoolId
+      storagePoolId,
+      staleWhileRevalidateSeconds
     );
-    if (cached) {
-      // Check if entry is stale and needs revalidation (stale-while-revalidate)
-      const isStale = cached.expires_at && new Date(cached.expires_at) < new Date();
-      const needsRevalidation = isStale && (!cached.revalidate_at || new Date(cached.revalidate_at) < new Date(Date.now() - 3600000)); // 1 hour threshold
-      
-      // Trigger background revalidation if stale
-      if (needsRevalidation) {
-        // Don't await - let it run in background
-        const { revalidateCacheEntry } = await import('./revalidationService.js');
-        revalidateCacheEntry(appId, cacheKey).catch(err => {
-          logger.error({ cacheKey, err: err.message }, '[cacheOrFetch] Background revalidation failed');
-        });
+    // Written under an older transform version of this source (racing the invalidation on update)
+    const isOutdatedTransform = !!cached && cached.source_id === primarySource.id
+      && (cached.transform_version || 0) !== (primarySource.transform_version || 0);
+    if (cached && !isOutdatedTransform) {
+      // Expired but inside the stale-while-revalidate window: serve now, refresh in background
+      const isStale = !!cached.expires_at && new Date(cached.expires_at) <= new Date();
+      if (isStale) {
+        const { scheduleBackgroundRevalidation } = await import('./revalidationService.js');
+        await scheduleBackgroundRevalidation(appId, cacheKey, { source_id: cached.source_id, storage_pool_id: cached.storage_pool_id });
       }
       
-      // Get source name if available
-      let sourceName = null;
-      if (cached.source_id) {
-        try {
-          const sourceResult = await query('SELECT name FROM app_sources WHERE id = $1', [cached.source_id]);
-          sourceName = sourceResult.rows[0]?.name || null;
-        } catch (err) {
-          // Ignore error, source_name will be null
-        }
-      }
-      
-      return {
-        cached: true,
-        cache_key: cacheKey,
-        response: {
-          status: cached.response_status,
-          headers: cached.response_headers,
-          body: cached.response_body || cached.response_body_raw,
-          content_type: cached.content_type,
-        },
-        meta: {
-          source_id: cached.source_id,
-          source_name: sourceName,
-          hit_count: cached.hit_count,
-          expires_at: cached.expires_at,
-          created_at: cached.created_at,
-          last_hit_at: cached.last_hit_at,
-          stale: isStale,
-          ttl_seconds: cached.ttl_seconds,
-        },
-      };
-    }
-  }
-  
-  // Get TTL from request, config, or default (0 = forever)
-  let cacheTtl = ttl !== null 
-    ? ttl 
-    : parseInt(await getConfigValue(appId, 'cache_ttl') || config.defaultCacheTtl, 10);
-  
-  // Parse URL to extract path (parsedUrl already set above)
-  let path;
-  try {
-    if (!parsedUrl) {
-      parsedUrl = new URL(url);
-    }
-    path = parsedUrl.pathname + parsedUrl.search;
-  } catch {
-    path = url;
-  }
-  
-  // Reorder sources: matched source first (if found), then others by priority
-  const reorderedSources = [];
-  if (matchedSourceRow) {
-    reorderedSources.push(matchedSourceRow);
-    for (const sourceRow of sources) {
-      if (sourceRow.id !== matchedSourceRow.id) {
-        reorderedSources.push(sourceRow);
-      }
+      return buildCachedResult(cacheKey, cached, {
+        stale: isStale,
+        stale_while_revalidate: isStale,
+      }, accept_encoding);
     }
-  } else {
-    // No match found, use original priority order
-    reorderedSources.push(...sources);
   }
   
-  // Try sources in reordered priority (matched source first)
-  let lastError = null;
-  
-  for (let i = 0; i < reorderedSources.length; i++) {
-    const sourceRow = reorderedSources[i];
-    const source = await getSourceWithAuth(sourceRow.id);
-    const isLastSource = i === reorderedSources.length - 1;
+  // Fetch from upstream sources (runs once per key when concurrent misses are coalesced)
+  const fetchFromSources = async () => {
+    // Get TTL from request, config, or default (0 = forever)
+    const cacheTtl = ttl !== null 
+      ? ttl 
+      : parseInt(await getConfigValue(appId, 'cache_ttl') || config.defaultCacheTtl, 10);
     
-    // Check fallback mode - if mock mode, try to get mock response first
-    if (source.fallback_mode === 'mock') {
+    // Path relative to the source base_url for data requests
+    let path = sourcePath;
+    if (path === null) {
       try {
-        const { getMockResponse } = await import('./mockService.js');
-        const mockResponse = await getMockResponse(appId, source.id, method, url, body);
-        if (mockResponse) {
-          return {
-            cached: false,
-            cache_key: cacheKey,
-            response: {
-              status: mockResponse.status,
-              headers: mockResponse.headers,
-              body: mockResponse.body,
-              content_type: mockResponse.headers['content-type'] || 'application/json',
-            },
-            meta: {
-              source_id: source.id,
-              source_name: source.name,
-              hit_count: 0,
-              expires_at: null,
-              created_at: new Date(),
-              is_mock: true,
-              mock_id: mockResponse.mock_id,
-            },
-          };
-        }
-      } catch (err) {
-        logger.warn({ err: err.message }, '[cacheOrFetch] Failed to get mock response');
-        // Continue to try real source
+        const parsedUrl = new URL(url);
+        path = parsedUrl.pathname + parsedUrl.search;
+      } catch {
+        path = url;
       }
     }
     
-    // Create fetch function for circuit breaker
-    const fetchFn = async () => fetchFromSource(source, method, path, body, headers);
+    // Try sources in order (matched/selected source first)
+    // Alternative fallback sources are inserted right after the source that failed
+    let lastError = null;
+    const failedAttempts = [];
+    const candidates = [...orderedSources];
+    const attemptedSourceIds = new Set();
     
-    // Get or create circuit breaker for this source
-    const breaker = getCircuitBreaker(source.id, fetchFn, {
+    // The group's failover rules decide which outcomes move on to the next source;
+    // once max_failover_ms has passed since the first attempt no further source is tried
+    const failoverRules = resolveFailoverRules(request.group?.failover_rules);
+    const failoverStart = Date.now();
+    const withinFailoverBudget = () => failoverRules.max_failover_ms === null
+      || Date.now() - failoverStart < failoverRules.max_failover_ms;
+    
+    // Get or create a source's circuit breaker
+    // The breaker wraps fetchFromSource itself so each fire() gets this request's arguments
+    const getSourceBreaker = (source) => getCircuitBreaker(source.id, fetchFromSource, {
       timeout: source.timeout_ms,
       volumeThreshold: source.circuit_breaker_threshold,
     });
     
-    try {
-      const response = await breaker.fire();
-      
-      // Log attempt for debugging
-      logger.debug({ source: source.name, index: i + 1, total: sources.length, status: response.status, url: `${source.base_url}${path}` }, '[cacheOrFetch] Source response');
-      
-      // If we get a 404 error, try next source for failover (if not the last source)
-      // This allows failover when a source doesn't have the requested resource
-      // Other 4xx errors (401, 403, etc.) are returned immediately as they indicate
-      // authentication/authorization issues, not missing resources
-      if (response.status === 404 && !isLastSource) {
-        logger.warn({ source: source.name, url: `${source.base_url}${path}`, remaining: sources.length - i - 1 }, '[cacheOrFetch] Source returned 404, trying next source for failover');
-        lastError = new Error(`Source ${source.name} returned 404: Not Found`);
-        continue;
-      }
-      
-      // If last source also returns 404, log it
-      if (response.status === 404 && isLastSource) {
-        logger.warn({ source: source.name, url: `${source.base_url}${path}` }, '[cacheOrFetch] Last source returned 404 - no more sources to try');
+    // Bodies over the source's size limit are never cached; the proxy streams them
+    // (and anything it won't cache) instead of buffering, unless the source transforms
+    // bodies or the group's failover rules test them
+    const buildBodyOptions = (source, cachePolicy) => ({
+      maxBytes: source.max_cacheable_bytes ?? config.maxCacheableBodyBytes,
+      allowStream: allow_stream && !hasBodyTransformRules(source.transform_rules) && !hasBodyPredicates(failoverRules),
+      passThrough: !isCacheable || bypassCache || !!cachePolicy?.no_cache,
+    });
+    
+    // Hedging (opt-in per group): the group's next source gets the same request when the
+    // primary is slow. Only requests that are safe to send twice are hedged.
+    let hedgeMeta = null;
+    const prepareHedgeTarget = async (sourceRow) => {
+      const source = await getSourceWithAuth(sourceRow.id);
+      if (!source) {
+        return null;
       }
-      
-      // Check compliance before caching
-      let complianceCheck = { allowed: true };
-      try {
-        const { checkCompliance } = await import('./complianceService.js');
-        complianceCheck = await checkCompliance(appId, source.id, { method, url, body, headers, region: headers['x-region'] }, {
-          status: response.status,
-          headers: response.headers,
-          body: response.data,
-        });
-        
-        if (!complianceCheck.allowed) {
-          logger.warn({ reason: complianceCheck.reason }, '[cacheOrFetch] Compliance check failed');
-          // Return response but don't cache
-          // Use cacheKey here since entryCacheKey hasn't been calculated yet
-          return {
-            cached: false,
-            cache_key: cacheKey,
-            response: {
-              status: response.status,
-              headers: response.headers,
-              body: response.data,
-              content_type: response.contentType,
-            },
-            meta: {
-              source_id: source.id,
-              source_name: source.name,
-              hit_count: 0,
-              expires_at: null,
-              created_at: new Date(),
-              compliance_blocked: true,
-              compliance_reason: complianceCheck.reason,
-            },
-          };
+      if (sourcePath !== null) {
+        try {
+          validateUrl(buildSourceUrl(source, path), source.base_url);
+        } catch {
+          return null;
         }
-      } catch (err) {
-        logger.warn({ err: err.message }, '[cacheOrFetch] Error checking compliance');
-        // Continue without compliance check - use default behavior
       }
-      
-      // Apply cache policy limits if policy exists
       let cachePolicy = null;
       try {
         cachePolicy = await getCachePolicy(appId, source.id);
       } catch (err) {
         logger.warn({ sourceId: source.id, err: err.message }, '[cacheOrFetch] Error fetching cache policy');
-        // Continue without policy - use default behavior
       }
+      return { source, cachePolicy, breaker: getSourceBreaker(source), bodyOptions: buildBodyOptions(source, cachePolicy) };
+    };
+    
+    for (let i = 0; i < candidates.length; i++) {
+      const sourceRow = candidates[i];
+      const fallbackFor = sourceRow.fallback_for || null;
+      // Set when this source already received the request as the hedge of the previous one
+      const hedged = sourceRow.hedged || null;
+      const source = i === 0 ? primarySource : (hedged ? hedged.source : await getSourceWithAuth(sourceRow.id));
+      let isLastSource = i === candidates.length - 1;
+      attemptedSourceIds.add(sourceRow.id);
       
-      if (cachePolicy) {
-        // If policy says no_cache, don't store but still return response
-        if (cachePolicy.no_cache) {
-          return {
-            cached: false,
-            cache_key: cacheKey,
-            response: {
-              status: response.status,
-              headers: response.headers,
-              body: response.data,
-              content_type: response.contentType,
-            },
-            meta: {
-              source_id: source.id,
-              source_name: source.name,
-              hit_count: 0,
-              expires_at: null,
-              created_at: new Date(),
-            },
-          };
+      // Fallback sources are loaded by ID, so make sure they belong to this app and are usable
+      if (!source || (fallbackFor && (source.app_id !== appId || !source.is_active))) {
+        lastError = new Error(`Source ${source?.name || sourceRow.name || sourceRow.id} not found or inaccessible`);
+        failedAttempts.push({ source_id: sourceRow.id, source_name: source?.name || sourceRow.name, error: lastError.message });
+        continue;
+      }
+      
+      // Fallback sources may live under a different base URL and path layout
+      const sourceRequestPath = fallbackFor ? applyFallbackPathTemplate(fallbackFor.fallback_path_template, path) : path;
+      const sourceUrl = sourcePath !== null || fallbackFor ? buildSourceUrl(source, sourceRequestPath) : url;
+      if ((sourcePath !== null && i > 0) || fallbackFor) {
+        try {
+          validateUrl(sourceUrl, source.base_url);
+        } catch (err) {
+          throw new Error(`Invalid or blocked URL: ${err.message}`);
         }
-        
-        // Apply max_ttl_seconds limit if policy has one
-        if (cachePolicy.max_ttl_seconds !== null) {
-          // If cacheTtl is 0 (forever) or exceeds policy limit, use policy limit
-          if (cacheTtl === 0 || cacheTtl > cachePolicy.max_ttl_seconds) {
-            cacheTtl = cachePolicy.max_ttl_seconds;
+      }
+      
+      const attemptMeta = fallbackFor
+        ? { failed_attempts: failedAttempts, fallback_source: source.name, fallback_for: fallbackFor.name }
+        : { failed_attempts: failedAttempts };
+      if (hedgeMeta) {
+        attemptMeta.hedge = hedgeMeta;
+      }
+      
+      // Check fallback mode - if mock mode, try to get mock response first
+      if (source.fallback_mode === 'mock' && !hedged) {
+        try {
+          const { getMockResponse } = await import('./mockService.js');
+          const mockResponse = await getMockResponse(appId, source.id, method, sourceUrl, body);
+          if (mockResponse) {
+            return buildMockResult(cacheKey, source, mockResponse, attemptMeta);
           }
+        } catch (err) {
+          logger.warn({ err: err.message }, '[cacheOrFetch] Failed to get mock response');
+          // Continue to try real source
+        }
+      }
+      
+      // Cache policy for the source that handles the request
+      let cachePolicy = null;
+      if (source.id === primarySource.id) {
+        cachePolicy = primaryPolicy;
+      } else if (hedged) {
+        cachePolicy = hedged.cachePolicy;
+      } else {
+        try {
+          cachePolicy = await getCachePolicy(appId, source.id);
+        } catch (err) {
+          logger.warn({ sourceId: source.id, err: err.message }, '[cacheOrFetch] Error fetching cache policy');
+          // Continue without policy - use default behavior
         }
       }
       
@@ -456,130 +956,411 @@ export async function cacheOrFetch(appId, request) {
       
       // For shared mode: use the same cache key and pool_id from the source that handled the request
       // For dedicated mode: each source has its own cache key and no pool_id
-      const sourceVaryHeaders = source.vary_headers || null;
-      const entryCacheKey = sourceStorageMode === 'shared' 
-        ? cacheKey  // Use the same key for all sources in shared mode
+      let sourceVaryHeaders = getEffectiveVaryHeaders(source, cachePolicy);
+      const buildEntryCacheKey = () => (sourceStorageMode === 'shared'
+        ? generateCacheKey(method, url, body, headers, null, sourceVaryHeaders, source.cache_key_rules || null)  // Same URL-based key for all sources in shared mode
         : generateCacheKey(
             method,
-            url,
+            sourceUrl,
             body,
             headers,
             source.id,  // Include source_id for dedicated mode
-            sourceVaryHeaders  // Use source-specific vary headers
-          );
+            sourceVaryHeaders,  // Use source-specific vary headers
+            source.cache_key_rules || null
+          ));
+      let entryCacheKey = sourceStorageMode === 'shared' ? cacheKey : buildEntryCacheKey();
+      
+      // Refreshing a stored entry: send its validators so an unchanged resource
+      // comes back as 304 Not Modified instead of a full body
+      let validatorEntry = null;
+      let upstreamHeaders = headers;
+      const clientIsConditional = Object.keys(headers).some(name => CLIENT_CONDITIONAL_HEADERS.includes(name.toLowerCase()));
+      if (CONDITIONAL_METHODS.includes(upperMethod) && !bypassCache && !policyNoCache && !clientIsConditional && !hedged) {
+        const storedEntry = await getStoredCacheEntry(
+          appId,
+          entryCacheKey,
+          sourceStorageMode === 'dedicated' ? source.id : null,
+          sourceStorageMode,
+          sourceStoragePoolId
+        );
+        // Only this source's validators for a body under its current transform can be extended;
+        // a 304 must not revive an entry written under older transform rules
+        const isCurrentEntry = !!storedEntry && storedEntry.source_id === source.id
+          && (storedEntry.transform_version || 0) === (source.transform_version || 0);
+        const conditionalHeaders = isCurrentEntry ? buildConditionalHeaders(storedEntry) : null;
+        if (conditionalHeaders) {
+          validatorEntry = storedEntry;
+          upstreamHeaders = { ...headers, ...conditionalHeaders };
+        }
+      }
       
-      // IMPORTANT: Use the pool_id from the source that actually handled the request,
-      // not from the first source. This ensures cache entries are stored in the correct pool.
-      // For dedicated mode, pool_id may be set for management/organization, but cache is still isolated per source
-      const entryPoolId = sourceStoragePoolId;  // Use pool_id if available (for both shared and dedicated)
+      const breaker = getSourceBreaker(source);
+      const bodyOptions = buildBodyOptions(source, cachePolicy);
       
-      // Log which source handled the request for debugging
-      logger.debug({ method, url, source: source.name, sourceId: source.id, storageMode: sourceStorageMode, poolId: entryPoolId }, '[cacheOrFetch] Request handled by source');
+      const hedgeTarget = i === 0 && request.group?.hedging_enabled && candidates.length > 1
+        && isRetryableMethod(upperMethod, source.retry_non_idempotent)
+        ? await prepareHedgeTarget(candidates[1])
+        : null;
       
-      // Store in cache (unless kill switch is enabled)
-      if (bypassCache) {
-        // Kill switch enabled - return response without caching
-        return {
-          cached: false,
-          cache_key: entryCacheKey,
-          response: {
+      try {
+        let response;
+        if (hedged) {
+          // Answered (or failed) while hedging the previous source
+          if (hedged.outcome.error) {
+            throw hedged.outcome.error;
+          }
+          response = hedged.outcome.response;
+        } else if (hedgeTarget) {
+          const delayMs = getHedgeDelay(request.group, source.id);
+          const race = await raceHedged({
+            firePrimary: signal => fireTracked(breaker, source, upperMethod, sourceRequestPath, body, upstreamHeaders, { ...bodyOptions, signal }),
+            fireHedge: signal => fireTracked(hedgeTarget.breaker, hedgeTarget.source, upperMethod, path, body, headers, { ...hedgeTarget.bodyOptions, signal }),
+            delayMs,
+            // Responses the failover rules reject never win the race
+            isFailure: candidate => !!getResponseFailoverReason(candidate, failoverRules),
+            discard: discardResponse,
+          });
+          
+          if (race.hedged) {
+            const winnerSource = race.winner === 'hedge' ? hedgeTarget.source : source;
+            hedgeMeta = { winner: winnerSource.name, primary_source: source.name, hedge_source: hedgeTarget.source.name, delay_ms: delayMs };
+            attemptMeta.hedge = hedgeMeta;
+            recordHedgeOutcome(appId, race.winner, winnerSource.id);
+            await recordHedgeLineage(appId, source, hedgeTarget.source, race.winner, sourceUrl, delayMs);
+            logger.debug({ primary: source.name, hedge: hedgeTarget.source.name, winner: race.winner, delayMs }, '[cacheOrFetch] Hedged request');
+          }
+          
+          if (race.winner === 'hedge') {
+            // The primary is only a failed attempt if it failed before the hedge answered
+            const primaryOutcome = race.otherOutcome;
+            if (primaryOutcome) {
+              discardResponse(primaryOutcome.response);
+              lastError = primaryOutcome.error || new Error(`Source ${source.name} returned ${primaryOutcome.response.status}`);
+              failedAttempts.push({
+                source_id: source.id,
+                source_name: source.name,
+                error: lastError.message,
+                status: primaryOutcome.response?.status,
+                retries: (primaryOutcome.response || primaryOutcome.error).retries || 0,
+              });
+            }
+            candidates[i + 1] = { ...candidates[i + 1], hedged: { ...hedgeTarget, outcome: race.outcome } };
+            continue;
+          }
+          
+          // Both failed: failing over to the hedge source reuses its outcome instead of
+          // sending the request again (streamed bodies are released and refetched)
+          const hedgeOutcome = race.otherOutcome;
+          if (hedgeOutcome && race.outcome.failed && !hedgeOutcome.response?.stream) {
+            candidates[i + 1] = { ...candidates[i + 1], hedged: { ...hedgeTarget, outcome: hedgeOutcome } };
+          } else if (hedgeOutcome) {
+            discardResponse(hedgeOutcome.response);
+          }
+          if (race.outcome.error) {
+            throw race.outcome.error;
+          }
+          response = race.outcome.response;
+        } else {
+          response = await fireTracked(breaker, source, upperMethod, sourceRequestPath, body, upstreamHeaders, bodyOptions);
+        }
+        
+        // A source with an alternative fallback treats upstream 5xx as a failure
+        if (response.status >= 500 && canUseFallbackSource(source, attemptedSourceIds)) {
+          discardResponse(response);
+          const upstreamError = new Error(`Source ${source.name} returned ${response.status}`);
+          upstreamError.retries = response.retries;
+          throw upstreamError;
+        }
+        
+        // Statuses and body predicates from the group's failover rules
+        const failoverReason = getResponseFailoverReason(response, failoverRules);
+        const canFailOver = !isLastSource && withinFailoverBudget();
+        
+        // Last chance (no source left, or the failover budget is spent) failed with a server
+        // error: prefer a stale entry over the error response
+        if (response.status >= 500 && (isLastSource || (failoverReason && !canFailOver))) {
+          const staleResult = await serveStaleIfError(`Source ${source.name} returned ${response.status}`, failedAttempts);
+          if (staleResult) {
+            discardResponse(response);
+            return staleResult;
+          }
+        }
+        
+        // Try the next source when the response matches the failover rules (by default only 404:
+        // a source without the resource; 401, 403 etc. point at credentials and are returned)
+        if (failoverReason && canFailOver) {
+          logger.warn({ source: source.name, url: sourceUrl, reason: failoverReason.message, remaining: candidates.length - i - 1 }, '[cacheOrFetch] Source response matched failover rules, trying next source');
+          lastError = new Error(`Source ${source.name} ${failoverReason.message}`);
+          failedAttempts.push({ source_id: source.id, source_name: source.name, error: lastError.message, status: response.status, retries: response.retries });
+          discardResponse(response);
+          continue;
+        }
+        
+        if (failoverReason) {
+          logger.warn({ source: source.name, url: sourceUrl, reason: failoverReason.message, budgetSpent: !isLastSource }, '[cacheOrFetch] Source response matched failover rules - no more sources to try');
+        }
+        
+        if (fallbackFor) {
+          await recordFallbackLineage(appId, fallbackFor, source, sourceUrl, failedAttempts);
+        }
+        
+        // Log attempt for debugging
+        logger.debug({ source: source.name, index: i + 1, total: orderedSources.length, status: response.status, url: sourceUrl }, '[cacheOrFetch] Source response');
+        
+        // Upstream confirmed the stored entry is unchanged: extend it without rewriting the body
+        if (response.status === 304 && validatorEntry) {
+          const refreshed = resolveEntryTtl(cacheTtl, cachePolicy, response.headers, ttl);
+          if (!refreshed.cacheable) {
+            // The 304's headers say the body may no longer be stored (origin mode): serve the
+            // stored body for this request only and drop the entry
+            await invalidateCacheEntry(appId, entryCacheKey, sourceStorageMode === 'dedicated' ? source.id : null, sourceStorageMode, sourceStoragePoolId);
+            return buildCachedResult(entryCacheKey, validatorEntry, {
+              revalidated: true,
+              not_cacheable: true,
+              origin_not_cacheable: refreshed.reason,
+              retry_attempts: response.retries || 0,
+              ...attemptMeta,
+            });
+          }
+          const revalidated = await extendCacheEntry(appId, validatorEntry.id, refreshed.ttl, response.headers);
+          if (revalidated) {
+            return buildCachedResult(entryCacheKey, revalidated, {
+              revalidated: true,
+              retry_attempts: response.retries || 0,
+              ...attemptMeta,
+            });
+          }
+        }
+        
+        // Source transform (projection, renames, redaction, headers) shapes what is stored
+        // and returned; a failing transform counts as a source failure rather than leaking the raw body
+        try {
+          response = applyResponseTransform(response, source.transform_rules);
+        } catch (err) {
+          discardResponse(response);
+          throw new Error(`Transform failed for source ${source.name}: ${err.message}`);
+        }
+        
+        // Check compliance before caching
+        let complianceCheck = { allowed: true };
+        try {
+          const { checkCompliance } = await import('./complianceService.js');
+          complianceCheck = await checkCompliance(appId, source.id, { method: upperMethod, url: sourceUrl, body, headers, region: headers['x-region'] }, {
             status: response.status,
             headers: response.headers,
             body: response.data,
-            content_type: response.contentType,
-          },
-          meta: {
-            source_id: source.id,
-            source_name: source.name,
-            hit_count: 0,
-            expires_at: null,
-            created_at: new Date(),
+          });
+          
+          if (!complianceCheck.allowed) {
+            logger.warn({ reason: complianceCheck.reason }, '[cacheOrFetch] Compliance check failed');
+            // Return response but don't cache
+            return buildFetchResult(cacheKey, source, response, {
+              compliance_blocked: true,
+              compliance_reason: complianceCheck.reason,
+              ...attemptMeta,
+            });
+          }
+        } catch (err) {
+          logger.warn({ err: err.message }, '[cacheOrFetch] Error checking compliance');
+          // Continue without compliance check - use default behavior
+        }
+        
+        // Body matched a failover predicate with no source left to try: return it without storing
+        if (failoverReason?.kind === 'body') {
+          return buildFetchResult(cacheKey, source, response, {
+            not_cacheable: true,
+            failover_exhausted: true,
+            ...attemptMeta,
+          });
+        }
+        
+        // If policy says no_cache, don't store but still return response
+        // This only affects THIS source, other sources in failover still cache normally
+        if (cachePolicy?.no_cache) {
+          return buildFetchResult(cacheKey, source, response, {
+            policy_no_cache: true,
+            ...attemptMeta,
+          });
+        }
+        
+        // Error statuses the policy caches negatively get the policy's short negative TTL;
+        // everything else gets the policy TTL (max_ttl_seconds limit) or upstream headers in origin mode
+        const isNegative = isCacheable && isNegativeCacheStatus(response.status, cachePolicy);
+        const entryTtl = isNegative
+          ? { cacheable: true, ttl: cachePolicy.negative_ttl_seconds || 60, reason: 'negative' }
+          : resolveEntryTtl(cacheTtl, cachePolicy, response.headers, ttl);
+        
+        // Origin mode: upstream Vary headers become part of this source's cache key
+        if (cachePolicy?.ttl_mode === 'origin') {
+          const vary = parseVary(response.headers?.vary);
+          const learned = source.origin_vary_headers || [];
+          if (vary.headers.some(name => !learned.includes(name))) {
+            source.origin_vary_headers = await addOriginVaryHeaders(source.id, vary.headers);
+            sourceVaryHeaders = getEffectiveVaryHeaders(source, cachePolicy);
+            entryCacheKey = buildEntryCacheKey();
+          }
+        }
+        
+        // IMPORTANT: Use the pool_id from the source that actually handled the request,
+        // not from the first source. This ensures cache entries are stored in the correct pool.
+        // For dedicated mode, pool_id may be set for management/organization, but cache is still isolated per source
+        const entryPoolId = sourceStoragePoolId;  // Use pool_id if available (for both shared and dedicated)
+        
+        // Log which source handled the request for debugging
+        logger.debug({ method, url: sourceUrl, source: source.name, sourceId: source.id, storageMode: sourceStorageMode, poolId: entryPoolId }, '[cacheOrFetch] Request handled by source');
+        
+        // Store in cache (unless kill switch is enabled)
+        if (bypassCache) {
+          // Kill switch enabled - return response without caching
+          return buildFetchResult(entryCacheKey, source, response, {
             last_hit_at: null,
-            ttl_seconds: cacheTtl,
+            ttl_seconds: entryTtl.ttl,
             kill_switch: true,
-          },
-        };
-      }
-      
-      const isJson = response.contentType?.includes('application/json');
-      
-      const entry = await storeCacheEntry({
-        app_id: appId,
-        source_id: source.id,
-        cache_key: entryCacheKey,
-        request_method: method.toUpperCase(),
-        request_url: url,
-        request_body_hash: bodyHash,
-        response_status: response.status,
-        response_headers: response.headers,
-        response_body: isJson ? response.data : null,
-        response_body_raw: isJson ? null : (typeof response.data === 'string' ? response.data : JSON.stringify(response.data)),
-        content_type: response.contentType,
-        ttl_seconds: cacheTtl,
-        storage_pool_id: entryPoolId,
-      });
-      
-      return {
-        cached: false,
-        cache_key: entryCacheKey,
-        response: {
-          status: response.status,
-          headers: response.headers,
-          body: response.data,
-          content_type: response.contentType,
-        },
-        meta: {
+            ...attemptMeta,
+          });
+        }
+        
+        // Only successful and redirect responses for cacheable methods are stored, plus the
+        // policy's negative statuses (304 has no body to store)
+        if (!isNegative && (!isCacheable || response.status < 200 || response.status >= 400 || response.status === 304)) {
+          return buildFetchResult(entryCacheKey, source, response, {
+            not_cacheable: true,
+            ...attemptMeta,
+          });
+        }
+        
+        // Body larger than the source's max_cacheable_bytes (X-Cache: BYPASS-SIZE)
+        if (response.tooLarge) {
+          logger.debug({ source: source.name, url: sourceUrl, maxBytes: bodyOptions.maxBytes }, '[cacheOrFetch] Response too large to cache');
+          return buildFetchResult(entryCacheKey, source, response, {
+            not_cacheable: true,
+            bypass_size: true,
+            ...attemptMeta,
+          });
+        }
+        
+        // Origin said not to store it (no-store, private, no-cache, already expired, Vary: *)
+        if (!entryTtl.cacheable) {
+          return buildFetchResult(entryCacheKey, source, response, {
+            not_cacheable: true,
+            origin_not_cacheable: entryTtl.reason,
+            ...attemptMeta,
+          });
+        }
+        
+        const entry = await storeCacheEntry({
+          app_id: appId,
           source_id: source.id,
-          source_name: source.name,
-          hit_count: 0,
+          cache_key: entryCacheKey,
+          request_method: upperMethod,
+          request_url: sourceUrl,
+          request_body_hash: bodyHash,
+          request_body: body,
+          request_headers: getVaryHeaders(headers, sourceVaryHeaders, source.cache_key_rules || null),
+          response_status: response.status,
+          response_headers: response.headers,
+          response_body: response.isJson ? response.data : null,
+          response_body_raw: !response.isJson && typeof response.rawBody === 'string' ? response.rawBody : null,
+          response_body_binary: Buffer.isBuffer(response.rawBody) ? response.rawBody : null,
+          content_type: response.contentType,
+          ttl_seconds: entryTtl.ttl,
+          storage_pool_id: entryPoolId,
+          is_negative: isNegative,
+          transform_version: source.transform_version || 0,
+        });
+        
+        // A valid positive entry exists for this key; the error response is returned but not stored
+        if (!entry) {
+          return buildFetchResult(entryCacheKey, source, response, {
+            negative_not_stored: true,
+            ...attemptMeta,
+          });
+        }
+        
+        return buildFetchResult(entryCacheKey, source, response, {
+          negative: isNegative,
           expires_at: entry.expires_at,
           created_at: entry.created_at,
           last_hit_at: entry.last_hit_at,
           ttl_seconds: entry.ttl_seconds,
-        },
-      };
-    } catch (err) {
-      lastError = err;
-      logger.warn({ source: source.name, err: err.message, code: err.code, stack: err.stack?.substring(0, 200) }, 'Source failed');
-      
-      // If fallback mode is mock and this is the last source, try mock
-      if (isLastSource && source.fallback_mode === 'mock') {
-        try {
-          const { getMockResponse } = await import('./mockService.js');
-          const mockResponse = await getMockResponse(appId, source.id, method, url, body);
-          if (mockResponse) {
-            return {
-              cached: false,
-              cache_key: cacheKey,
-              response: {
-                status: mockResponse.status,
-                headers: mockResponse.headers,
-                body: mockResponse.body,
-                content_type: mockResponse.headers['content-type'] || 'application/json',
-              },
-              meta: {
-                source_id: source.id,
-                source_name: source.name,
-                hit_count: 0,
-                expires_at: null,
-                created_at: new Date(),
-                is_mock: true,
-                mock_id: mockResponse.mock_id,
+          ...attemptMeta,
+        });
+      } catch (err) {
+        lastError = err;
+        failedAttempts.push({ source_id: source.id, source_name: source.name, error: err.message, retries: err.retries || 0 });
+        logger.warn({ source: source.name, err: err.message, code: err.code, stack: err.stack?.substring(0, 200) }, 'Source failed');
+        
+        // The group's rules may end the request on a timeout or challenge page, and the
+        // failover budget caps how long sources are tried
+        const stopFailover = !shouldFailOverOnError(err, failoverRules) || !withinFailoverBudget();
+        if (stopFailover) {
+          isLastSource = true;
+        }
+        
+        // Failed (or circuit open) with an explicit alternative: try it next
+        if (!stopFailover && canUseFallbackSource(source, attemptedSourceIds)) {
+          const queuedIndex = candidates.findIndex(candidate => candidate.id === source.fallback_source_id);
+          if (queuedIndex > i) {
+            candidates.splice(queuedIndex, 1);
+          }
+          candidates.splice(i + 1, 0, { id: source.fallback_source_id, fallback_for: source });
+          isLastSource = false;
+          logger.info({ source: source.name, fallbackSourceId: source.fallback_source_id }, '[cacheOrFetch] Using alternative fallback source');
+        }
+        
+        // If fallback mode is mock and this is the last source, try mock
+        if (isLastSource && source.fallback_mode === 'mock') {
+          try {
+            const { getMockResponse } = await import('./mockService.js');
+            const mockResponse = await getMockResponse(appId, source.id, method, sourceUrl, body);
+            if (mockResponse) {
+              return buildMockResult(cacheKey, source, mockResponse, {
                 fallback: true,
-              },
-            };
+                ...attemptMeta,
+              });
+            }
+          } catch (mockErr) {
+            logger.warn({ err: mockErr.message }, '[cacheOrFetch] Mock fallback also failed');
           }
-        } catch (mockErr) {
-          logger.warn({ err: mockErr.message }, '[cacheOrFetch] Mock fallback also failed');
         }
+        
+        if (stopFailover) {
+          logger.warn({ source: source.name, code: err.code }, '[cacheOrFetch] Failover stopped by group failover rules');
+          break;
+        }
+        
+        // Continue to next source
       }
-      
-      // Continue to next source
     }
+    
+    // All sources failed - serve stale if allowed
+    const staleResult = await serveStaleIfError(lastError?.message || 'All sources failed', failedAttempts);
+    if (staleResult) {
+      return staleResult;
+    }
+    
+    const error = lastError || new Error('All sources failed');
+    error.failedAttempts = failedAttempts;
+    throw error;
+  };
+  
+  // Non-cacheable traffic is never shared between requests
+  if (!isCacheable || bypassCache || policyNoCache) {
+    return fetchFromSources();
   }
   
-  // All sources failed
-  throw lastError || new Error('All sources failed');
+  // Concurrent misses for the same key share one upstream fetch (single-flight)
+  // Shared results are always decompressed; only the cache hit above uses the client's encoding
+  return coalesceRequest(appId, cacheKey, fetchFromSources, async () => {
+    const cached = await getCacheEntry(
+      appId,
+      cacheKey,
+      storageMode === 'dedicated' ? primarySource.id : null,
+      storageMode,
+      storagePoolId
+    );
+    return cached ? buildCachedResult(cacheKey, cached) : null;
+  });
 }
 
 /**
@@ -657,6 +1438,7 @@ export async function listCacheEntriesByPool(appId, poolId, options = {}) {
 
 export default {
   getCacheEntry,
+  getStaleCacheEntry,
   storeCacheEntry,
   invalidateCacheEntry,
   purgeCache,
@@ -669,6 +1451,7 @@ export default {
   getCacheStats,
   listCacheEntries,
   cacheOrFetch,
+  previewCacheKey,
   listCacheEntriesByPool,
   purgePoolCache,
   getPoolCacheStats,
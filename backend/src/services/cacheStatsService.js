@@ -88,6 +88,10 @@ export function calculateCacheEntrySize(entry) {
     size += Buffer.byteLength(entry.response_body_raw, 'utf8');
   }
   
+  if (entry.response_body_binary) {
+    size += entry.response_body_binary.length;
+  }
+  
   return size;
 }
 
@@ -104,8 +108,8 @@ export async function getPoolStorageSize(appId, poolId = null) {
     const result = await query(
       `SELECT 
          COUNT(*) as entry_count,
-         COALESCE(SUM(COALESCE(pg_column_size(response_body), 0) + COALESCE(octet_length(COALESCE(response_body_raw, '')), 0)), 0) as total_size_bytes,
-         COALESCE(AVG(COALESCE(pg_column_size(response_body), 0) + COALESCE(octet_length(COALESCE(response_body_raw, '')), 0)), 0) as average_size_bytes
+         COALESCE(SUM(COALESCE(pg_column_size(response_body), 0) + COALESCE(octet_length(COALESCE(response_body_raw, '')), 0) + COALESCE(octet_length(response_body_binary), 0)), 0) as total_size_bytes,
+         COALESCE(AVG(COALESCE(pg_column_size(response_body), 0) + COALESCE(octet_length(COALESCE(response_body_raw, '')), 0) + COALESCE(octet_length(response_body_binary), 0)), 0) as average_size_bytes
        FROM cache_entries
        WHERE app_id = $1 AND storage_pool_id IS NULL`,
       params
@@ -123,8 +127,8 @@ export async function getPoolStorageSize(appId, poolId = null) {
     const result = await query(
       `SELECT 
          COUNT(*) as entry_count,
-         COALESCE(SUM(COALESCE(pg_column_size(ce.response_body), 0) + COALESCE(octet_length(COALESCE(ce.response_body_raw, '')), 0)), 0) as total_size_bytes,
-         COALESCE(AVG(COALESCE(pg_column_size(ce.response_body), 0) + COALESCE(octet_length(COALESCE(ce.response_body_raw, '')), 0)), 0) as average_size_bytes
+         COALESCE(SUM(COALESCE(pg_column_size(ce.response_body), 0) + COALESCE(octet_length(COALESCE(ce.response_body_raw, '')), 0) + COALESCE(octet_length(ce.response_body_binary), 0)), 0) as total_size_bytes,
+         COALESCE(AVG(COALESCE(pg_column_size(ce.response_body), 0) + COALESCE(octet_length(COALESCE(ce.response_body_raw, '')), 0) + COALESCE(octet_length(ce.response_body_binary), 0)), 0) as average_size_bytes
        FROM cache_entries ce
        INNER JOIN app_sources src ON ce.source_id = src.id AND src.storage_pool_id = $2 AND src.app_id = $1
        WHERE ce.app_id = $1 AND ce.storage_pool_id = $2`,
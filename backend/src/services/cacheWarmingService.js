@@ -0,0 +1,445 @@
+import axios from 'axios';
+import { query } from '../db/pool.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { validateDataUrl } from '../utils/urlValidation.js';
+import { isRedisAvailable } from '../db/redis.js';
+import { sleep } from '../utils/retry.js';
+import { cacheOrFetch } from './cacheService.js';
+import { buildReplayRequest } from './revalidationService.js';
+import { getSourceById } from './sourceService.js';
+
+/**
+ * Cache Warming Service
+ * Pre-populates the cache by running request lists, sitemaps or historical hot keys
+ * through cacheOrFetch as a tracked, throttled and cancelable background job.
+ */
+
+// Jobs running in this process: key = job ID, value = { cancelled }
+const activeJobs = new Map();
+
+// Failures kept in the final report
+const MAX_REPORTED_FAILURES = 50;
+
+// Fields a warm request may carry (same as the route schema's request items)
+const WARM_REQUEST_FIELDS = ['method', 'url', 'path', 'source_id', 'body', 'headers'];
+
+// A job whose heartbeat is older than this is no longer run by any instance
+const ORPHANED_JOB_SECONDS = 600;
+
+/**
+ * Parse a JSONL document into warm requests (one request object per line)
+ * @param {string} text - JSONL text
+ * @returns {Array} - Request objects
+ */
+export function parseJsonlRequests(text) {
+  const requests = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid JSONL on line ${i + 1}: ${err.message}`);
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`Invalid JSONL on line ${i + 1}: expected a request object`);
+    }
+    const unknown = Object.keys(item).filter(field => !WARM_REQUEST_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid JSONL on line ${i + 1}: unknown field ${unknown[0]}`);
+    }
+    requests.push(item);
+  }
+
+  return requests;
+}
+
+/**
+ * Fetch a sitemap and turn each <loc> URL into a GET warm request
+ * @param {string} sitemapUrl - Sitemap URL
+ * @returns {Array} - Request objects
+ */
+export async function fetchSitemapRequests(sitemapUrl) {
+  try {
+    validateDataUrl(sitemapUrl);
+  } catch (err) {
+    throw new Error(`Invalid or blocked URL: ${err.message}`);
+  }
+
+  const response = await axios.get(sitemapUrl, {
+    timeout: 30000,
+    responseType: 'text',
+    maxContentLength: 10 * 1024 * 1024,
+  });
+
+  const requests = [];
+  const locPattern = /<loc>\s*([^<]+?)\s*<\/loc>/gi;
+  let match;
+  while ((match = locPattern.exec(response.data)) !== null) {
+    const url = match[1]
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'");
+    requests.push({ method: 'GET', url });
+  }
+
+  return requests;
+}
+
+/**
+ * Build warm requests from the most-hit cache entries of the last N days
+ * Hits are counted from `accessed` lineage events inside the window (hit_count resets
+ * when an entry is refreshed). Entries are replayed with their stored body and vary headers.
+ * @param {string} appId - App ID
+ * @param {object} options - Options
+ * @param {number} options.top_n - Number of keys
+ * @param {number} options.days - Look-back window in days
+ * @returns {Array} - Request objects
+ */
+export async function getHotKeyRequests(appId, { top_n = 100, days = 7 } = {}) {
+  const result = await query(
+    `SELECT * FROM (
+       SELECT DISTINCT ON (ce.cache_key) ce.*, hits.window_hits
+       FROM (
+         SELECT cache_entry_id, COUNT(*) as window_hits
+         FROM lineage_events
+         WHERE app_id = $1 AND event_type = 'accessed'
+         AND created_at >= NOW() - make_interval(days => $2)
+         GROUP BY cache_entry_id
+       ) hits
+       JOIN cache_entries ce ON ce.id = hits.cache_entry_id
+       WHERE ce.source_id IS NOT NULL
+       ORDER BY ce.cache_key, hits.window_hits DESC
+     ) hot
+     ORDER BY window_hits DESC
+     LIMIT $3`,
+    [appId, days, top_n]
+  );
+
+  const sources = new Map();
+  const requests = [];
+  for (const entry of result.rows) {
+    if (!sources.has(entry.source_id)) {
+      sources.set(entry.source_id, await getSourceById(entry.source_id, appId));
+    }
+    const source = sources.get(entry.source_id);
+    if (!source) continue;
+
+    // Replayed as plain warm requests so they go through the app-scoped source lookup;
+    // force_refresh is decided per job when the request runs
+    const replay = buildReplayRequest(entry, source);
+    const request = { method: replay.method, body: replay.body, headers: replay.headers };
+    requests.push(replay.sources ? { ...request, path: replay.path, source_id: source.id } : { ...request, url: replay.url });
+  }
+
+  return requests;
+}
+
+/**
+ * Resolve a warm request into cacheOrFetch parameters
+ * Requests either carry a full `url`, or a `path` relative to `source_id`'s base_url.
+ * @param {string} appId - App ID
+ * @param {object} item - Warm request
+ * @param {boolean} forceRefresh - Refetch even if a fresh entry exists
+ * @returns {object} - cacheOrFetch request
+ */
+async function resolveWarmRequest(appId, item, forceRefresh) {
+  const request = {
+    method: (item.method || 'GET').toUpperCase(),
+    body: item.body ?? null,
+    headers: item.headers || {},
+    force_refresh: forceRefresh,
+  };
+
+  if (item.path !== undefined && item.path !== null) {
+    if (!item.source_id) {
+      throw new Error('source_id is required for path requests');
+    }
+    const source = await getSourceById(item.source_id, appId);
+    if (!source) {
+      throw new Error('Source not found');
+    }
+    return { ...request, path: item.path, sources: [source] };
+  }
+
+  if (!item.url) {
+    throw new Error('Request requires url, or path and source_id');
+  }
+  return { ...request, url: item.url };
+}
+
+/**
+ * Describe a warm request for reports and logs
+ * @param {object} item - Warm request
+ * @returns {string} - "METHOD url-or-path"
+ */
+function describeRequest(item) {
+  return `${(item.method || 'GET').toUpperCase()} ${item.url || item.path}`;
+}
+
+/**
+ * Run a warm job: process requests with bounded concurrency and a per-worker delay
+ * Progress is written after every request; the job stops early if it is canceled.
+ * @param {object} job - Job row
+ * @param {Array} requests - Warm requests
+ * @param {object} options - { concurrency, delay_ms, force_refresh }
+ */
+async function runWarmJob(job, requests, { concurrency, delay_ms, force_refresh }) {
+  const state = { cancelled: false };
+  activeJobs.set(job.id, state);
+
+  const startedAt = Date.now();
+  const counts = { processed: 0, succeeded: 0, failed: 0, cache_hits: 0, fetched: 0, not_cached: 0 };
+  const failures = [];
+  let next = 0;
+
+  await query(
+    `UPDATE cache_warm_jobs SET status = 'running', started_at = NOW(), heartbeat_at = NOW() WHERE id = $1 AND status = 'pending'`,
+    [job.id]
+  );
+
+  const worker = async () => {
+    while (!state.cancelled && next < requests.length) {
+      const item = requests[next++];
+
+      try {
+        const request = await resolveWarmRequest(job.app_id, item, force_refresh);
+        const result = await cacheOrFetch(job.app_id, request);
+
+        if (result.response.status >= 400) {
+          throw new Error(`Upstream responded with ${result.response.status}`);
+        }
+
+        counts.succeeded++;
+        if (result.cached) {
+          counts.cache_hits++;
+        } else if (result.meta?.not_cacheable || result.meta?.kill_switch) {
+          counts.not_cached++;
+        } else {
+          counts.fetched++;
+        }
+      } catch (err) {
+        counts.failed++;
+        if (failures.length < MAX_REPORTED_FAILURES) {
+          failures.push({ request: describeRequest(item), error: err.message });
+        }
+      }
+      counts.processed++;
+
+      // Persist progress; a cancel from another instance shows up in the returned status
+      const progress = await query(
+        `UPDATE cache_warm_jobs
+         SET processed = GREATEST(processed, $2), succeeded = GREATEST(succeeded, $3), failed = GREATEST(failed, $4),
+             heartbeat_at = NOW()
+         WHERE id = $1
+         RETURNING status`,
+        [job.id, counts.processed, counts.succeeded, counts.failed]
+      );
+      if (progress.rows[0]?.status === 'cancelled') {
+        state.cancelled = true;
+      }
+
+      if (delay_ms > 0 && !state.cancelled && next < requests.length) {
+        await sleep(delay_ms);
+      }
+    }
+  };
+
+  try {
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, requests.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    const report = {
+      ...counts,
+      skipped: requests.length - counts.processed,
+      duration_ms: Date.now() - startedAt,
+      failures,
+    };
+
+    await query(
+      `UPDATE cache_warm_jobs
+       SET status = CASE WHEN status = 'cancelled' THEN status ELSE 'completed' END,
+           report = $2, finished_at = COALESCE(finished_at, NOW())
+       WHERE id = $1`,
+      [job.id, JSON.stringify(report)]
+    );
+
+    logger.info({ jobId: job.id, appId: job.app_id, ...counts, cancelled: state.cancelled }, '[cacheWarming] Warm job finished');
+  } catch (err) {
+    logger.error({ jobId: job.id, err: err.message }, '[cacheWarming] Warm job failed');
+    await query(
+      `UPDATE cache_warm_jobs SET status = 'failed', report = $2, finished_at = NOW() WHERE id = $1`,
+      [job.id, JSON.stringify({ ...counts, error: err.message, failures })]
+    ).catch(() => {});
+  } finally {
+    activeJobs.delete(job.id);
+  }
+}
+
+/**
+ * Create a warm job and start it in the background
+ * @param {string} appId - App ID
+ * @param {string} userId - User who started the job
+ * @param {object} spec - Job spec: one of requests, jsonl, sitemap_url or hot_keys, plus throttling options
+ * @returns {object} - Created job
+ */
+export async function createWarmJob(appId, userId, spec) {
+  const {
+    requests: requestList,
+    jsonl,
+    sitemap_url,
+    hot_keys,
+    concurrency = 2,
+    delay_ms = 0,
+    force_refresh = false,
+  } = spec;
+
+  const inputs = [requestList, jsonl, sitemap_url, hot_keys].filter(input => input !== undefined && input !== null);
+  if (inputs.length !== 1) {
+    throw new Error('Exactly one of requests, jsonl, sitemap_url or hot_keys is required');
+  }
+
+  let sourceType;
+  let requests;
+  if (requestList) {
+    sourceType = 'requests';
+    requests = requestList;
+  } else if (jsonl) {
+    sourceType = 'jsonl';
+    requests = parseJsonlRequests(jsonl);
+  } else if (sitemap_url) {
+    sourceType = 'sitemap';
+    requests = await fetchSitemapRequests(sitemap_url);
+  } else {
+    sourceType = 'hot_keys';
+    requests = await getHotKeyRequests(appId, hot_keys);
+  }
+
+  if (requests.length === 0) {
+    throw new Error('No requests to warm');
+  }
+  const truncated = requests.length > config.cacheWarmMaxRequests;
+  requests = requests.slice(0, config.cacheWarmMaxRequests);
+
+  const options = {
+    concurrency,
+    delay_ms,
+    force_refresh,
+    ...(sitemap_url && { sitemap_url }),
+    ...(hot_keys && { hot_keys }),
+    ...(truncated && { truncated_to: config.cacheWarmMaxRequests }),
+  };
+
+  const result = await query(
+    `INSERT INTO cache_warm_jobs (app_id, source_type, options, total, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [appId, sourceType, JSON.stringify(options), requests.length, userId]
+  );
+  const job = result.rows[0];
+
+  // Don't await - progress is tracked on the job row
+  runWarmJob(job, requests, { concurrency, delay_ms, force_refresh }).catch(err => {
+    logger.error({ jobId: job.id, err: err.message }, '[cacheWarming] Warm job crashed');
+  });
+
+  return job;
+}
+
+/**
+ * Get a warm job
+ * @param {string} appId - App ID
+ * @param {string} jobId - Job ID
+ * @returns {object|null} - Job or null
+ */
+export async function getWarmJob(appId, jobId) {
+  const result = await query(
+    'SELECT * FROM cache_warm_jobs WHERE id = $1 AND app_id = $2',
+    [jobId, appId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List recent warm jobs for an app
+ * @param {string} appId - App ID
+ * @param {number} limit - Maximum number of jobs
+ * @returns {Array} - Jobs, newest first
+ */
+export async function listWarmJobs(appId, limit = 20) {
+  const result = await query(
+    `SELECT * FROM cache_warm_jobs WHERE app_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [appId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Cancel a pending or running warm job
+ * Requests already in flight finish; no new ones are started.
+ * @param {string} appId - App ID
+ * @param {string} jobId - Job ID
+ * @returns {object|null} - Canceled job or null if not found / already finished
+ */
+export async function cancelWarmJob(appId, jobId) {
+  const result = await query(
+    `UPDATE cache_warm_jobs SET status = 'cancelled', finished_at = NOW()
+     WHERE id = $1 AND app_id = $2 AND status IN ('pending', 'running')
+     RETURNING *`,
+    [jobId, appId]
+  );
+
+  const state = activeJobs.get(jobId);
+  if (state && result.rows.length > 0) {
+    state.cancelled = true;
+  }
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark warm jobs left pending or running by a stopped instance as interrupted
+ * Jobs only run in the process that created them, so after a restart nothing resumes
+ * them. Without Redis this is the only instance and every unfinished job is orphaned;
+ * with Redis other replicas may still be running theirs, so only jobs whose heartbeat
+ * is stale are marked.
+ * @returns {Promise<number>} - Number of jobs marked interrupted
+ */
+export async function recoverInterruptedWarmJobs() {
+  const staleSeconds = isRedisAvailable() ? ORPHANED_JOB_SECONDS : 0;
+  const result = await query(
+    `UPDATE cache_warm_jobs
+     SET status = 'interrupted', finished_at = NOW(),
+         report = jsonb_build_object('processed', processed, 'succeeded', succeeded, 'failed', failed,
+           'error', 'Interrupted: the instance running the job stopped')
+     WHERE status IN ('pending', 'running')
+       AND COALESCE(heartbeat_at, started_at, created_at) <= NOW() - make_interval(secs => $1)
+     RETURNING id`,
+    [staleSeconds]
+  );
+  if (result.rowCount > 0) {
+    logger.warn({ jobIds: result.rows.map(row => row.id) }, '[cacheWarming] Marked orphaned warm jobs as interrupted');
+  }
+  return result.rowCount;
+}
+
+export default {
+  parseJsonlRequests,
+  fetchSitemapRequests,
+  getHotKeyRequests,
+  createWarmJob,
+  getWarmJob,
+  listWarmJobs,
+  cancelWarmJob,
+  recoverInterruptedWarmJobs,
+};
@@ -0,0 +1,156 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { acquireLock, releaseLock, isRedisAvailable } from '../db/redis.js';
+
+/**
+ * Request Coalescing Service
+ * Single-flight for cache misses: concurrent requests for the same cache key share
+ * one upstream fetch instead of each calling the source.
+ */
+
+// In-flight upstream fetches in this process: key = `${appId}:${cacheKey}`, value = promise
+const inFlight = new Map();
+
+// Coalesced request counters per app
+const coalescedCounts = new Map();
+
+// Cross-instance leader lock TTL (should be longer than a slow upstream fetch)
+const LOCK_TTL_SECONDS = 30;
+
+// How often followers on other instances check whether the leader stored the entry
+const POLL_INTERVAL_MS = 100;
+
+/**
+ * Increment the coalesced request counter for an app
+ * @param {string} appId - App ID
+ */
+function recordCoalesced(appId) {
+  coalescedCounts.set(appId, (coalescedCounts.get(appId) || 0) + 1);
+}
+
+/**
+ * Mark a shared result as coalesced without mutating the leader's copy
+ * The leader's failed attempts stay with the leader so they are audited once.
+ * @param {object} result - cacheOrFetch result
+ * @returns {object} - Result with meta.coalesced set and meta.failed_attempts removed
+ */
+function markCoalesced(result) {
+  const meta = { ...result.meta, coalesced: true };
+  delete meta.failed_attempts;
+  return { ...result, meta };
+}
+
+/**
+ * Copy the leader's error for a follower, marked coalesced and without the leader's
+ * failed attempts (those are audited once, by the leader)
+ * @param {Error} err - Error thrown by the leader's fetch
+ * @returns {Error} - Copy to throw to the follower
+ */
+function copyCoalescedError(err) {
+  const copy = Object.assign(new Error(err.message, { cause: err }), err);
+  copy.name = err.name;
+  copy.coalesced = true;
+  delete copy.failedAttempts;
+  return copy;
+}
+
+/**
+ * Run the upstream fetch as leader, coordinating with other instances via Redis
+ * If another instance holds the lock, wait for it to store the entry and serve that instead.
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {Function} fetchFn - Performs the upstream fetch
+ * @param {Function} waitForCachedFn - Returns the stored result for the key, or null
+ * @returns {object} - cacheOrFetch result
+ */
+async function runLeader(appId, cacheKey, fetchFn, waitForCachedFn) {
+  if (!config.coalesceAcrossInstances || !isRedisAvailable()) {
+    return fetchFn();
+  }
+
+  const lockKey = `coalesce:lock:${appId}:${cacheKey}`;
+  const hasLock = await acquireLock(lockKey, LOCK_TTL_SECONDS);
+  if (hasLock) {
+    try {
+      return await fetchFn();
+    } finally {
+      await releaseLock(lockKey);
+    }
+  }
+
+  // Another instance is fetching this key - poll for its result
+  const deadline = Date.now() + config.coalesceWaitMs;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    const cached = await waitForCachedFn();
+    if (cached) {
+      recordCoalesced(appId);
+      return markCoalesced(cached);
+    }
+  }
+
+  // Leader didn't store anything in time (error, uncacheable response) - fetch ourselves
+  logger.debug({ appId, cacheKey }, '[coalescingService] Timed out waiting for remote fetch');
+  return fetchFn();
+}
+
+/**
+ * Coalesce concurrent cache misses for the same key
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {Function} fetchFn - Performs the upstream fetch
+ * @param {Function} waitForCachedFn - Returns the stored result for the key, or null
+ * @returns {object} - cacheOrFetch result (meta.coalesced set for followers)
+ */
+export async function coalesceRequest(appId, cacheKey, fetchFn, waitForCachedFn) {
+  const flightKey = `${appId}:${cacheKey}`;
+
+  const existing = inFlight.get(flightKey);
+  if (existing) {
+    let shared;
+    try {
+      shared = await existing;
+    } catch (err) {
+      throw copyCoalescedError(err);
+    }
+    // A streamed body can only be read once - fetch our own copy
+    if (shared.meta?.streamed) {
+      return fetchFn();
+    }
+    recordCoalesced(appId);
+    return markCoalesced(shared);
+  }
+
+  const promise = runLeader(appId, cacheKey, fetchFn, waitForCachedFn);
+  inFlight.set(flightKey, promise);
+  try {
+    return await promise;
+  } finally {
+    inFlight.delete(flightKey);
+  }
+}
+
+/**
+ * Get coalescing statistics for an app
+ * @param {string} appId - App ID
+ * @returns {object} - Coalesced request count and current in-flight fetches
+ */
+export function getCoalescingStats(appId) {
+  let inFlightCount = 0;
+  for (const key of inFlight.keys()) {
+    if (key.startsWith(`${appId}:`)) {
+      inFlightCount++;
+    }
+  }
+
+  return {
+    coalesced_requests: coalescedCounts.get(appId) || 0,
+    in_flight: inFlightCount,
+    across_instances: config.coalesceAcrossInstances,
+  };
+}
+
+export default {
+  coalesceRequest,
+  getCoalescingStats,
+};
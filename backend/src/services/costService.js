@@ -73,6 +73,7 @@ export async function calculateSavedCost(appId, options = {}) {
          ce.source_id,
          COALESCE(src.name, 'Unknown') as source_name,
          COALESCE(SUM(ce.hit_count), 0)::bigint as total_hits,
+         COALESCE(SUM(ce.revalidated_count), 0)::bigint as total_revalidations,
          COUNT(*)::bigint as entry_count
        FROM cache_entries ce
        LEFT JOIN app_sources src ON ce.source_id = src.id
@@ -88,13 +89,16 @@ export async function calculateSavedCost(appId, options = {}) {
       try {
         const costPerCall = await getCostPerCall(appId, row.source_id);
         const hits = parseInt(row.total_hits || 0, 10);
-        const savedCost = hits * costPerCall;
+        const revalidations = parseInt(row.total_revalidations || 0, 10);
+        // 304 revalidations are counted like hits: no full response was fetched
+        const savedCost = (hits + revalidations) * costPerCall;
         totalSavedCost += savedCost;
         
         breakdown.push({
           source_id: row.source_id,
           source_name: row.source_name || 'Unknown',
           hits: hits,
+          revalidations: revalidations,
           cost_per_call: costPerCall,
           saved_cost: savedCost,
         });
@@ -236,7 +240,8 @@ export async function getCostSavingsBySource(appId, options = {}) {
     // Note on terminology:
     // - cached_requests = SUM(ce.hit_count) = total cache hits (requests served from cache)
     // - api_calls_made = COUNT(*) = number of cache entries = initial API calls that created cache entries
-    // - Total requests = cached_requests + api_calls_made (when using cache-based calculation)
+    // - revalidated_requests = SUM(ce.revalidated_count) = refreshes answered with 304 Not Modified
+    // - Total requests = cached_requests + revalidated_requests + api_calls_made (when using cache-based calculation)
     // Handle case where cost_per_request column might not exist (use COALESCE)
     const result = await query(
       `SELECT 
@@ -244,6 +249,7 @@ export async function getCostSavingsBySource(appId, options = {}) {
          COALESCE(src.name, 'Unknown') as source_name,
          COALESCE(src.cost_per_request, 0) as cost_per_request,
          COALESCE(SUM(ce.hit_count), 0)::bigint as cached_requests,
+         COALESCE(SUM(ce.revalidated_count), 0)::bigint as revalidated_requests,
          COUNT(*)::bigint as api_calls_made
        FROM cache_entries ce
        LEFT JOIN app_sources src ON ce.source_id = src.id
@@ -255,6 +261,7 @@ export async function getCostSavingsBySource(appId, options = {}) {
     
     let totalSaved = 0;
     let totalCachedRequests = 0;
+    let totalRevalidatedRequests = 0;
     let totalApiCalls = 0;
     let totalWouldHaveCost = 0;
     const breakdown = [];
@@ -276,15 +283,18 @@ export async function getCostSavingsBySource(appId, options = {}) {
       // cached_requests = SUM(hit_count) = cache hits
       // api_calls_made = COUNT(*) = cache entries = initial API calls
       const cachedRequests = parseInt(row.cached_requests || 0, 10);
+      const revalidatedRequests = parseInt(row.revalidated_requests || 0, 10);
       const apiCallsMade = parseInt(row.api_calls_made || 0, 10);
-      // Total saved = cache hits * cost per request (these requests didn't hit the API)
-      const totalSavedForSource = cachedRequests * costPerRequest;
-      // Would have cost = (cache hits + initial API calls) * cost per request
-      const wouldHaveCost = (cachedRequests + apiCallsMade) * costPerRequest;
+      // Total saved = (cache hits + 304 revalidations) * cost per request
+      // (hits didn't reach the API; 304s didn't transfer or bill a full response)
+      const totalSavedForSource = (cachedRequests + revalidatedRequests) * costPerRequest;
+      // Would have cost = (cache hits + revalidations + initial API calls) * cost per request
+      const wouldHaveCost = (cachedRequests + revalidatedRequests + apiCallsMade) * costPerRequest;
       const savingsPercent = wouldHaveCost > 0 ? (totalSavedForSource / wouldHaveCost) * 100 : 0;
       
       totalSaved += totalSavedForSource;
       totalCachedRequests += cachedRequests;
+      totalRevalidatedRequests += revalidatedRequests;
       totalApiCalls += apiCallsMade;
       totalWouldHaveCost += wouldHaveCost;
       
@@ -293,6 +303,7 @@ export async function getCostSavingsBySource(appId, options = {}) {
         source_name: row.source_name || 'Unknown',
         cost_per_request: costPerRequest,
         cached_requests: cachedRequests,
+        revalidated_requests: revalidatedRequests,
         api_calls_made: apiCallsMade,
         total_saved: totalSavedForSource,
         would_have_cost: wouldHaveCost,
@@ -317,6 +328,7 @@ export async function getCostSavingsBySource(appId, options = {}) {
       summary: {
         total_saved: totalSaved,
         total_cached_requests: totalCachedRequests, // SUM(hit_count) = cache hits
+        total_revalidated_requests: totalRevalidatedRequests, // SUM(revalidated_count) = 304 refreshes
         total_api_calls: totalApiCalls, // COUNT(*) = cache entries = initial API calls
         total_would_have_cost: totalWouldHaveCost,
         overall_savings_percent: overallSavingsPercent,
@@ -332,6 +344,7 @@ export async function getCostSavingsBySource(appId, options = {}) {
       summary: {
         total_saved: 0,
         total_cached_requests: 0,
+        total_revalidated_requests: 0,
         total_api_calls: 0,
         total_would_have_cost: 0,
         overall_savings_percent: 0,
@@ -0,0 +1,221 @@
+import cron from 'node-cron';
+import { query } from '../db/pool.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { acquireLock, releaseLock } from '../db/redis.js';
+import { invalidateL1Entries } from './l1CacheService.js';
+
+/**
+ * Eviction Service
+ * Keeps storage pools within their quotas (max_size_bytes, max_entries) by deleting
+ * entries in the order of the pool's eviction policy. A write only counts the pool when
+ * this process's usage estimate puts it near its quota; the background sweeper catches
+ * pools that grew through other replicas or while a write-time run was busy.
+ */
+
+// Victim order per policy (first rows are evicted first)
+const EVICTION_ORDER = {
+  lru: 'last_hit_at ASC NULLS FIRST, created_at ASC',
+  lfu: 'hit_count ASC, last_hit_at ASC NULLS FIRST, created_at ASC',
+  oldest_first: 'created_at ASC',
+  ttl_nearest: 'expires_at ASC NULLS LAST, created_at ASC',
+};
+
+export const EVICTION_POLICIES = Object.keys(EVICTION_ORDER);
+
+// Lock TTL in seconds for the sweeper (should be longer than expected sweep duration)
+const SWEEP_LOCK_TTL_SECONDS = 300;
+
+let sweepTask = null;
+
+// Pools being enforced in this process; a concurrent write skips and leaves it to that run
+const enforcingPools = new Set();
+
+// Share of a quota above which a write counts the pool exactly
+const NEAR_QUOTA_RATIO = 0.9;
+
+// Pool ID -> { entries, bytes }: last exact count plus what this process wrote since.
+// Upserts and deletes make it overestimate, which only brings the exact count forward.
+const usageEstimates = new Map();
+
+/**
+ * Check whether a pool has any quota configured
+ * @param {object} pool - Storage pool row
+ * @returns {boolean}
+ */
+export function hasPoolQuota(pool) {
+  return !!pool && (pool.max_size_bytes != null || pool.max_entries != null);
+}
+
+/**
+ * Add a write to a pool's usage estimate and check whether the pool should be counted
+ * @param {object} pool - Storage pool row
+ * @param {number} sizeBytes - Size of the entry just written
+ * @returns {boolean} - True when the pool has no estimate yet or is near its quota
+ */
+export function notePoolWrite(pool, sizeBytes) {
+  const estimate = usageEstimates.get(pool.id);
+  if (!estimate) {
+    return true;
+  }
+  estimate.entries += 1;
+  estimate.bytes += sizeBytes || 0;
+  return (pool.max_entries != null && estimate.entries >= pool.max_entries * NEAR_QUOTA_RATIO)
+    || (pool.max_size_bytes != null && estimate.bytes >= parseInt(pool.max_size_bytes, 10) * NEAR_QUOTA_RATIO);
+}
+
+/**
+ * Evict entries from a pool until it is within its quota
+ * @param {string} appId - App ID
+ * @param {object} pool - Storage pool row (id, max_size_bytes, max_entries, eviction_policy)
+ * @param {string} protectedEntryId - Entry that must not be evicted (the one just written)
+ * @returns {Promise<object>} - { evicted, evicted_bytes }
+ */
+export async function enforcePoolQuota(appId, pool, protectedEntryId = null) {
+  if (!hasPoolQuota(pool) || enforcingPools.has(pool.id)) {
+    return { evicted: 0, evicted_bytes: 0 };
+  }
+
+  enforcingPools.add(pool.id);
+  try {
+    const usageResult = await query(
+      `SELECT COUNT(*) as entry_count, COALESCE(SUM(entry_size_bytes), 0) as total_bytes
+       FROM cache_entries
+       WHERE app_id = $1 AND storage_pool_id = $2`,
+      [appId, pool.id]
+    );
+    const usage = usageResult.rows[0] || {};
+    const estimate = { entries: parseInt(usage.entry_count || 0, 10), bytes: parseInt(usage.total_bytes || 0, 10) };
+    usageEstimates.set(pool.id, estimate);
+    const excessEntries = pool.max_entries != null
+      ? Math.max(0, estimate.entries - pool.max_entries)
+      : 0;
+    const excessBytes = pool.max_size_bytes != null
+      ? Math.max(0, estimate.bytes - parseInt(pool.max_size_bytes, 10))
+      : 0;
+
+    if (excessEntries === 0 && excessBytes === 0) {
+      return { evicted: 0, evicted_bytes: 0 };
+    }
+
+    // Take victims in policy order until both the entry and the byte excess are covered
+    const order = EVICTION_ORDER[pool.eviction_policy] || EVICTION_ORDER.lru;
+    const result = await query(
+      `WITH ranked AS (
+         SELECT id,
+                ROW_NUMBER() OVER (ORDER BY ${order}) as position,
+                SUM(COALESCE(entry_size_bytes, 0)) OVER (ORDER BY ${order} ROWS UNBOUNDED PRECEDING)
+                  - COALESCE(entry_size_bytes, 0) as bytes_before
+         FROM cache_entries
+         WHERE app_id = $1 AND storage_pool_id = $2 AND ($5::uuid IS NULL OR id != $5)
+       )
+       DELETE FROM cache_entries ce
+       USING ranked r
+       WHERE ce.id = r.id AND (r.position <= $3 OR r.bytes_before < $4)
+       RETURNING ce.cache_key, ce.source_id, ce.storage_pool_id, ce.entry_size_bytes`,
+      [appId, pool.id, excessEntries, excessBytes, protectedEntryId]
+    );
+
+    const evicted = result.rowCount;
+    const evictedBytes = result.rows.reduce((sum, row) => sum + (row.entry_size_bytes || 0), 0);
+    estimate.entries -= evicted;
+    estimate.bytes -= evictedBytes;
+    if (evicted > 0) {
+      await invalidateL1Entries(appId, result.rows);
+      await query(
+        `UPDATE storage_pools SET
+           evicted_count = COALESCE(evicted_count, 0) + $2,
+           evicted_bytes = COALESCE(evicted_bytes, 0) + $3,
+           last_evicted_at = NOW()
+         WHERE id = $1`,
+        [pool.id, evicted, evictedBytes]
+      );
+      logger.info({ appId, poolId: pool.id, evicted, evictedBytes, policy: pool.eviction_policy }, 'Evicted cache entries over pool quota');
+    }
+
+    return { evicted, evicted_bytes: evictedBytes };
+  } finally {
+    enforcingPools.delete(pool.id);
+  }
+}
+
+/**
+ * Enforce quotas on every pool that has one
+ * @returns {Promise<object>} - { pools, evicted }
+ */
+export async function sweepPoolQuotas() {
+  const lockKey = 'eviction-sweep-lock';
+
+  // Try to acquire lock (prevents duplicate runs across instances)
+  const hasLock = await acquireLock(lockKey, SWEEP_LOCK_TTL_SECONDS);
+  if (!hasLock) {
+    logger.debug('Skipping eviction sweep - another instance holds the lock');
+    return { pools: 0, evicted: 0 };
+  }
+
+  let evicted = 0;
+  try {
+    const result = await query(
+      `SELECT id, app_id, max_size_bytes, max_entries, eviction_policy
+       FROM storage_pools
+       WHERE max_size_bytes IS NOT NULL OR max_entries IS NOT NULL`
+    );
+
+    for (const pool of result.rows) {
+      try {
+        const counts = await enforcePoolQuota(pool.app_id, pool);
+        evicted += counts.evicted;
+      } catch (err) {
+        logger.error({ poolId: pool.id, err: err.message }, '[sweepPoolQuotas] Failed to enforce pool quota');
+      }
+    }
+
+    return { pools: result.rows.length, evicted };
+  } finally {
+    await releaseLock(lockKey);
+  }
+}
+
+/**
+ * Start the background eviction sweeper
+ */
+export function startEvictionSweeper() {
+  if (sweepTask) {
+    return;
+  }
+  if (!cron.validate(config.evictionSweepSchedule)) {
+    logger.warn({ cronExpression: config.evictionSweepSchedule }, 'Invalid EVICTION_SWEEP_SCHEDULE, eviction sweeper disabled');
+    return;
+  }
+
+  sweepTask = cron.schedule(config.evictionSweepSchedule, async () => {
+    try {
+      await sweepPoolQuotas();
+    } catch (err) {
+      logger.error({ err }, 'Error in eviction sweep');
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+}
+
+/**
+ * Stop the background eviction sweeper
+ */
+export function stopEvictionSweeper() {
+  if (sweepTask) {
+    sweepTask.stop();
+    sweepTask = null;
+  }
+}
+
+export default {
+  EVICTION_POLICIES,
+  hasPoolQuota,
+  notePoolWrite,
+  enforcePoolQuota,
+  sweepPoolQuotas,
+  startEvictionSweeper,
+  stopEvictionSweeper,
+};
@@ -0,0 +1,393 @@
+import axios from 'axios';
+import { query } from '../db/pool.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { acquireLock, releaseLock } from '../db/redis.js';
+import { getSourceWithAuth } from './sourceService.js';
+import { buildSourceUrl } from './cacheService.js';
+import { applySourceAuthHeaders } from '../utils/httpHeaders.js';
+import { validateUrl } from '../utils/urlValidation.js';
+
+/**
+ * Health Check Service
+ * Probes every active source with a health_check_config on the source's own interval.
+ * A source turns unhealthy after unhealthy_threshold consecutive failed checks and
+ * healthy again after healthy_threshold consecutive passes; selection and failover skip
+ * unhealthy sources (filterHealthySources). Every check is kept in source_health_checks
+ * for healthCheckHistoryDays.
+ */
+
+// Used for fields missing from a source's health_check_config
+const HEALTH_CHECK_DEFAULTS = {
+  enabled: true,
+  path: '/',
+  method: 'GET',
+  expected_status: [], // empty = any 2xx or 3xx
+  body_contains: null,
+  interval_seconds: 30,
+  timeout_ms: 5000,
+  unhealthy_threshold: 3,
+  healthy_threshold: 2,
+};
+
+// Sources probed at the same time by one run
+const CHECK_CONCURRENCY = 5;
+
+// Body bytes read for the body_contains match
+const MAX_BODY_BYTES = 65536;
+
+// Lock TTL in seconds for a run (should be longer than expected run duration)
+const RUN_LOCK_TTL_SECONDS = 120;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let tickTimer = null;
+let currentRun = null;
+let lastPruneAt = 0;
+
+/**
+ * Get a source's health check settings with defaults applied
+ * @param {object|null} healthCheckConfig - Source health_check_config
+ * @returns {object|null} - Settings, or null when the source has no health check
+ */
+export function getHealthCheckSettings(healthCheckConfig) {
+  if (!healthCheckConfig) {
+    return null;
+  }
+  return { ...HEALTH_CHECK_DEFAULTS, ...healthCheckConfig };
+}
+
+/**
+ * Read the start of a response stream and discard the rest
+ * The axios timeout stops at the response headers, so a source that trickles its body
+ * would otherwise hold the run open: past the deadline the stream is destroyed.
+ * @param {Readable} stream - Response body stream
+ * @param {number} timeoutMs - Time left for reading the body
+ * @returns {Promise<string>} - Up to MAX_BODY_BYTES of the body as UTF-8
+ */
+function readBodyPrefix(stream, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error(`Response body not read within ${timeoutMs}ms`));
+    }, Math.max(timeoutMs, 0));
+    const finish = (body) => {
+      clearTimeout(timer);
+      resolve(body);
+    };
+    stream.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= MAX_BODY_BYTES) {
+        stream.destroy();
+        finish(Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES).toString('utf8'));
+      }
+    });
+    stream.on('end', () => finish(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Probe a source once
+ * @param {object} source - Source with decrypted auth
+ * @param {object} settings - Health check settings
+ * @returns {Promise<object>} - { success, status_code, latency_ms, error }
+ */
+async function probeSource(source, settings) {
+  const startTime = Date.now();
+  try {
+    const url = buildSourceUrl(source, settings.path);
+    validateUrl(url, source.base_url);
+
+    const response = await axios.request({
+      method: settings.method,
+      url,
+      headers: applySourceAuthHeaders(source),
+      timeout: settings.timeout_ms,
+      signal: AbortSignal.timeout(settings.timeout_ms),
+      responseType: 'stream',
+      validateStatus: () => true, // Judged against expected_status below
+    });
+
+    let error = null;
+    const expected = settings.expected_status || [];
+    const statusOk = expected.length > 0
+      ? expected.includes(response.status)
+      : response.status >= 200 && response.status < 400;
+
+    if (!statusOk) {
+      error = `Unexpected status ${response.status}`;
+      response.data.destroy();
+    } else if (settings.body_contains) {
+      const body = await readBodyPrefix(response.data, settings.timeout_ms - (Date.now() - startTime));
+      if (!body.includes(settings.body_contains)) {
+        error = 'Response body does not contain the expected text';
+      }
+    } else {
+      response.data.destroy();
+    }
+
+    return { success: !error, status_code: response.status, latency_ms: Date.now() - startTime, error };
+  } catch (err) {
+    return { success: false, status_code: null, latency_ms: Date.now() - startTime, error: err.message };
+  }
+}
+
+/**
+ * Apply a check result to a source's health state and add it to the history
+ * @param {object} source - Source row
+ * @param {object} settings - Health check settings
+ * @param {object} result - Probe result
+ * @returns {Promise<object>} - { health_status, previous_status }
+ */
+async function recordHealthCheckResult(source, settings, result) {
+  const stateResult = await query(
+    `UPDATE app_sources s SET
+       health_consecutive_successes = CASE WHEN $2 THEN COALESCE(n.successes, 0) + 1 ELSE 0 END,
+       health_consecutive_failures = CASE WHEN $2 THEN 0 ELSE COALESCE(n.failures, 0) + 1 END,
+       health_status = n.next_status,
+       health_changed_at = CASE WHEN n.next_status IS DISTINCT FROM n.previous_status THEN NOW() ELSE s.health_changed_at END,
+       health_checked_at = NOW()
+     FROM (
+       SELECT id,
+              health_consecutive_successes as successes,
+              health_consecutive_failures as failures,
+              health_status as previous_status,
+              CASE
+                WHEN $2 AND COALESCE(health_consecutive_successes, 0) + 1 >= $3 THEN 'healthy'
+                WHEN NOT $2 AND COALESCE(health_consecutive_failures, 0) + 1 >= $4 THEN 'unhealthy'
+                ELSE COALESCE(health_status, 'unknown')
+              END as next_status
+       FROM app_sources WHERE id = $1
+     ) n
+     WHERE s.id = n.id
+     RETURNING s.health_status, n.previous_status`,
+    [source.id, result.success, settings.healthy_threshold, settings.unhealthy_threshold]
+  );
+  const state = stateResult.rows[0] || { health_status: source.health_status, previous_status: source.health_status };
+
+  await query(
+    `INSERT INTO source_health_checks (app_id, source_id, success, status_code, latency_ms, error, health_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [source.app_id, source.id, result.success, result.status_code, result.latency_ms, result.error, state.health_status]
+  );
+
+  if (state.health_status !== state.previous_status) {
+    const log = state.health_status === 'unhealthy' ? logger.warn.bind(logger) : logger.info.bind(logger);
+    log({ sourceId: source.id, source: source.name, from: state.previous_status, to: state.health_status, error: result.error }, 'Source health changed');
+  }
+
+  return state;
+}
+
+/**
+ * Run a source's health check now and record the result
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<object|null>} - Check result with health_status, or null without a health check
+ */
+export async function checkSourceHealth(sourceId) {
+  const source = await getSourceWithAuth(sourceId);
+  const settings = getHealthCheckSettings(source?.health_check_config);
+  if (!settings) {
+    return null;
+  }
+
+  const result = await probeSource(source, settings);
+  const state = await recordHealthCheckResult(source, settings, result);
+  return { ...result, health_status: state.health_status };
+}
+
+/**
+ * Delete health check history past the retention
+ * @returns {Promise<number>} - Rows deleted
+ */
+async function pruneHealthHistory() {
+  const result = await query(
+    'DELETE FROM source_health_checks WHERE checked_at < NOW() - make_interval(days => $1)',
+    [config.healthCheckHistoryDays]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Check every source whose interval has elapsed
+ * @returns {Promise<object>} - { checked }
+ */
+export function runDueHealthChecks() {
+  if (currentRun) {
+    return currentRun;
+  }
+
+  currentRun = (async () => {
+    const lockKey = 'health-check-lock';
+
+    // Try to acquire lock (prevents duplicate checks across instances)
+    const hasLock = await acquireLock(lockKey, RUN_LOCK_TTL_SECONDS);
+    if (!hasLock) {
+      logger.debug('Skipping health checks - another instance holds the lock');
+      return { checked: 0 };
+    }
+
+    try {
+      const result = await query(
+        `SELECT id FROM app_sources
+         WHERE is_active = true
+         AND health_check_config IS NOT NULL
+         AND COALESCE((health_check_config->>'enabled')::boolean, true)
+         AND (health_checked_at IS NULL
+              OR health_checked_at <= NOW() - make_interval(secs => COALESCE((health_check_config->>'interval_seconds')::int, $1)))
+         ORDER BY health_checked_at ASC NULLS FIRST`,
+        [HEALTH_CHECK_DEFAULTS.interval_seconds]
+      );
+
+      for (let i = 0; i < result.rows.length; i += CHECK_CONCURRENCY) {
+        await Promise.all(result.rows.slice(i, i + CHECK_CONCURRENCY).map(row =>
+          checkSourceHealth(row.id).catch(err => {
+            logger.error({ sourceId: row.id, err: err.message }, '[runDueHealthChecks] Health check failed');
+          })
+        ));
+      }
+
+      if (Date.now() - lastPruneAt >= PRUNE_INTERVAL_MS) {
+        lastPruneAt = Date.now();
+        await pruneHealthHistory();
+      }
+
+      return { checked: result.rows.length };
+    } finally {
+      await releaseLock(lockKey);
+    }
+  })().catch(err => {
+    logger.error({ err: err.message }, 'Error running health checks');
+    return { checked: 0 };
+  }).finally(() => {
+    currentRun = null;
+  });
+
+  return currentRun;
+}
+
+/**
+ * Get a source's health state, recent checks and 24-hour summary
+ * @param {string} sourceId - Source ID
+ * @param {string} appId - App ID (for security)
+ * @param {number} limit - Most recent checks to return
+ * @returns {Promise<object|null>} - Health report or null if the source doesn't exist
+ */
+export async function getSourceHealth(sourceId, appId, limit = 50) {
+  const sourceResult = await query(
+    `SELECT id, name, is_active, health_check_config, health_status, health_consecutive_successes,
+            health_consecutive_failures, health_checked_at, health_changed_at
+     FROM app_sources
+     WHERE id = $1 AND app_id = $2`,
+    [sourceId, appId]
+  );
+  const source = sourceResult.rows[0];
+  if (!source) {
+    return null;
+  }
+
+  const [historyResult, summaryResult] = await Promise.all([
+    query(
+      `SELECT success, status_code, latency_ms, error, health_status, checked_at
+       FROM source_health_checks
+       WHERE source_id = $1
+       ORDER BY checked_at DESC
+       LIMIT $2`,
+      [sourceId, limit]
+    ),
+    query(
+      `SELECT COUNT(*) as checks,
+              COUNT(*) FILTER (WHERE success) as successes,
+              AVG(latency_ms) FILTER (WHERE success) as avg_latency_ms
+       FROM source_health_checks
+       WHERE source_id = $1 AND checked_at > NOW() - INTERVAL '24 hours'`,
+      [sourceId]
+    ),
+  ]);
+
+  const settings = getHealthCheckSettings(source.health_check_config);
+  const summary = summaryResult.rows[0] || {};
+  const checks = parseInt(summary.checks || 0, 10);
+  const successes = parseInt(summary.successes || 0, 10);
+
+  return {
+    source_id: source.id,
+    name: source.name,
+    enabled: !!settings?.enabled,
+    status: settings?.enabled ? (source.health_status || 'unknown') : 'unknown',
+    consecutive_successes: source.health_consecutive_successes || 0,
+    consecutive_failures: source.health_consecutive_failures || 0,
+    checked_at: source.health_checked_at,
+    changed_at: source.health_changed_at,
+    config: settings,
+    last_24h: {
+      checks,
+      successes,
+      uptime_percent: checks > 0 ? Math.round((successes / checks) * 10000) / 100 : null,
+      avg_latency_ms: summary.avg_latency_ms !== null && summary.avg_latency_ms !== undefined
+        ? Math.round(parseFloat(summary.avg_latency_ms))
+        : null,
+    },
+    history: historyResult.rows,
+  };
+}
+
+/**
+ * Count actively checked sources by health status (for readiness)
+ * @returns {Promise<object>} - { healthy, unhealthy, unknown }
+ */
+export async function getHealthSummary() {
+  const result = await query(
+    `SELECT COALESCE(health_status, 'unknown') as health_status, COUNT(*) as count
+     FROM app_sources
+     WHERE is_active = true
+     AND health_check_config IS NOT NULL
+     AND COALESCE((health_check_config->>'enabled')::boolean, true)
+     GROUP BY COALESCE(health_status, 'unknown')`
+  );
+  const summary = { healthy: 0, unhealthy: 0, unknown: 0 };
+  for (const row of result.rows) {
+    summary[row.health_status] = parseInt(row.count, 10);
+  }
+  return summary;
+}
+
+/**
+ * Start the periodic health checks
+ */
+export function startHealthChecks() {
+  if (tickTimer) {
+    return;
+  }
+  tickTimer = setInterval(() => {
+    runDueHealthChecks();
+  }, config.healthCheckTickMs);
+  tickTimer.unref();
+}
+
+/**
+ * Stop the periodic health checks
+ */
+export function stopHealthChecks() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+export default {
+  getHealthCheckSettings,
+  checkSourceHealth,
+  runDueHealthChecks,
+  getSourceHealth,
+  getHealthSummary,
+  startHealthChecks,
+  stopHealthChecks,
+};
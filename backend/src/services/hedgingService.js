@@ -0,0 +1,117 @@
+import config from '../config/index.js';
+import { getLatencyPercentile } from '../utils/circuitBreaker.js';
+
+/**
+ * Hedged Request Service
+ * For source groups with hedging enabled: when the primary source has not answered after
+ * the group's hedge delay (or the primary's p95 latency), the same request is sent to the
+ * next source and whichever answers first is used; the other request is canceled.
+ */
+
+// Hedging counters per app: { hedged_requests, primary_wins, hedge_wins, wins_by_source }
+const hedgeCounts = new Map();
+
+/**
+ * Get how long to wait for the primary before sending the hedge request
+ * @param {object} group - Source group row
+ * @param {string} primarySourceId - Primary source ID
+ * @returns {number} - Delay in milliseconds
+ */
+export function getHedgeDelay(group, primarySourceId) {
+  if (group.hedge_delay_ms !== null && group.hedge_delay_ms !== undefined) {
+    return group.hedge_delay_ms;
+  }
+  return getLatencyPercentile(primarySourceId, 0.95) ?? config.hedgeDefaultDelayMs;
+}
+
+/**
+ * Run a request against the primary source and, if it is still pending after delayMs,
+ * against the hedge source too. The first successful answer wins and the other request
+ * is aborted; when the first answer is a failure the other one decides. Each fire
+ * function receives an AbortSignal and must resolve with a response or reject.
+ * @param {object} options
+ * @param {function} options.firePrimary - signal => Promise<response>
+ * @param {function} options.fireHedge - signal => Promise<response>
+ * @param {number} options.delayMs - Delay before the hedge request
+ * @param {function} options.isFailure - response => true when the response counts as a failure
+ * @param {function} options.discard - Releases a response that is not going to be used
+ * @returns {Promise<object>} - { hedged, winner: 'primary'|'hedge', outcome, otherOutcome }
+ *   where an outcome is { response } or { error } (plus failed: true for failures) and
+ *   otherOutcome is the loser's outcome when it finished as a failure before being canceled
+ */
+export async function raceHedged({ firePrimary, fireHedge, delayMs, isFailure, discard }) {
+  const start = (fire, controller) => fire(controller.signal).then(
+    response => (isFailure(response) ? { response, failed: true } : { response }),
+    error => ({ error, failed: true })
+  );
+
+  const primaryController = new AbortController();
+  const primary = start(firePrimary, primaryController);
+
+  let timer;
+  const delay = new Promise(resolve => {
+    timer = setTimeout(resolve, delayMs);
+  });
+  const early = await Promise.race([primary, delay]);
+  clearTimeout(timer);
+  if (early) {
+    return { hedged: false, winner: 'primary', outcome: early, otherOutcome: null };
+  }
+
+  const hedgeController = new AbortController();
+  const hedge = start(fireHedge, hedgeController);
+
+  const first = await Promise.race([
+    primary.then(outcome => ({ winner: 'primary', outcome })),
+    hedge.then(outcome => ({ winner: 'hedge', outcome })),
+  ]);
+  if (!first.outcome.failed) {
+    const [loser, loserController] = first.winner === 'primary' ? [hedge, hedgeController] : [primary, primaryController];
+    loserController.abort();
+    loser.then(outcome => discard(outcome.response));
+    return { hedged: true, winner: first.winner, outcome: first.outcome, otherOutcome: null };
+  }
+
+  // The first answer failed: use the other one, and report both if it failed too
+  const [primaryOutcome, hedgeOutcome] = await Promise.all([primary, hedge]);
+  if (!hedgeOutcome.failed) {
+    return { hedged: true, winner: 'hedge', outcome: hedgeOutcome, otherOutcome: primaryOutcome };
+  }
+  return { hedged: true, winner: 'primary', outcome: primaryOutcome, otherOutcome: hedgeOutcome };
+}
+
+/**
+ * Count a hedged request and the source that won it
+ * @param {string} appId - App ID
+ * @param {string} winner - 'primary' or 'hedge'
+ * @param {string} winnerSourceId - Source that answered
+ */
+export function recordHedgeOutcome(appId, winner, winnerSourceId) {
+  const counts = hedgeCounts.get(appId) || { hedged_requests: 0, primary_wins: 0, hedge_wins: 0, wins_by_source: {} };
+  counts.hedged_requests++;
+  counts[winner === 'hedge' ? 'hedge_wins' : 'primary_wins']++;
+  counts.wins_by_source[winnerSourceId] = (counts.wins_by_source[winnerSourceId] || 0) + 1;
+  hedgeCounts.set(appId, counts);
+}
+
+/**
+ * Get hedging statistics for an app (in-process counters)
+ * @param {string} appId - App ID
+ * @returns {object} - Hedged request count, wins by role and by source ID
+ */
+export function getHedgingStats(appId) {
+  const counts = hedgeCounts.get(appId);
+  return {
+    hedged_requests: counts?.hedged_requests || 0,
+    primary_wins: counts?.primary_wins || 0,
+    hedge_wins: counts?.hedge_wins || 0,
+    wins_by_source: { ...(counts?.wins_by_source || {}) },
+  };
+}
+
+export default {
+  getHedgeDelay,
+  raceHedged,
+  recordHedgeOutcome,
+  getHedgingStats,
+};
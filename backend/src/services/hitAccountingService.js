@@ -0,0 +1,256 @@
+import { query } from '../db/pool.js';
+import { getRedisClient, isRedisAvailable } from '../db/redis.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { logLineageEvents } from './lineageService.js';
+
+/**
+ * Hit Accounting Service
+ * Buffers cache hits (hit_count, last_hit_at and "accessed" lineage) off the request path
+ * and writes them to Postgres in batches every hitFlushIntervalMs. Hits are buffered in
+ * Redis when it is available, so any instance's flush picks them up, else in memory.
+ * Reports, metrics and cost savings read Postgres and lag by at most one flush interval.
+ */
+
+const REDIS_COUNTS_KEY = 'hit-buffer:counts';
+const REDIS_LAST_HIT_KEY = 'hit-buffer:last-hit';
+const REDIS_EVENTS_KEY = 'hit-buffer:events';
+
+// Lineage rows per INSERT
+const EVENT_BATCH_SIZE = 1000;
+
+// entry ID -> { hits, lastHitAt (ms) }
+let pendingCounts = new Map();
+let pendingEvents = [];
+
+let flushTimer = null;
+let currentFlush = null;
+
+/**
+ * Add hits to a counts map
+ * @param {Map} counts - Entry ID -> { hits, lastHitAt }
+ * @param {string} entryId - Cache entry ID
+ * @param {number} hits - Number of hits
+ * @param {number} lastHitAt - Time of the latest hit (ms)
+ */
+function mergeCount(counts, entryId, hits, lastHitAt) {
+  const existing = counts.get(entryId);
+  if (existing) {
+    existing.hits += hits;
+    existing.lastHitAt = Math.max(existing.lastHitAt, lastHitAt);
+  } else {
+    counts.set(entryId, { hits, lastHitAt });
+  }
+}
+
+/**
+ * Buffer a hit in memory, flushing early when the buffer is full
+ * @param {object} event - Access lineage event with hit_at
+ */
+function bufferInMemory(event) {
+  mergeCount(pendingCounts, event.cache_entry_id, 1, event.hit_at);
+  pendingEvents.push(event);
+  if (pendingEvents.length >= config.hitBufferMaxEvents) {
+    flushHits();
+  }
+}
+
+/**
+ * Buffer a hit in Redis
+ * @param {object} event - Access lineage event with hit_at
+ * @returns {Promise<void>}
+ */
+async function bufferInRedis(event) {
+  const redis = await getRedisClient();
+  if (!redis) {
+    throw new Error('Redis client unavailable');
+  }
+  await redis.multi()
+    .hIncrBy(REDIS_COUNTS_KEY, event.cache_entry_id, 1)
+    .hSet(REDIS_LAST_HIT_KEY, event.cache_entry_id, String(event.hit_at))
+    .rPush(REDIS_EVENTS_KEY, JSON.stringify(event))
+    .exec();
+}
+
+/**
+ * Record a cache hit without waiting for it to be written
+ * @param {object} hit - Hit data
+ * @param {string} hit.app_id - App ID
+ * @param {string} hit.cache_entry_id - Cache entry ID
+ * @param {string} hit.source_id - Source ID of the entry
+ * @param {object} hit.metadata - Lineage metadata
+ * @param {number} hit.hit_at - Time of the hit (ms, defaults to now)
+ */
+export function recordHit(hit) {
+  const event = {
+    app_id: hit.app_id,
+    cache_entry_id: hit.cache_entry_id,
+    source_id: hit.source_id || null,
+    metadata: hit.metadata || null,
+    hit_at: hit.hit_at || Date.now(),
+  };
+
+  if (isRedisAvailable()) {
+    bufferInRedis(event).catch(err => {
+      logger.warn({ err: err.message }, '[recordHit] Redis buffer failed, buffering in memory');
+      bufferInMemory(event);
+    });
+    return;
+  }
+
+  bufferInMemory(event);
+}
+
+/**
+ * Take everything buffered in Redis (atomically, so concurrent flushes don't double count)
+ * @param {Map} counts - Counts map to merge into
+ * @param {Array<object>} events - Event list to append to
+ * @returns {Promise<void>}
+ */
+async function drainRedisBuffer(counts, events) {
+  if (!isRedisAvailable()) {
+    return;
+  }
+  const redis = await getRedisClient();
+  if (!redis) {
+    return;
+  }
+
+  const [redisCounts, , redisLastHits, , redisEvents] = await redis.multi()
+    .hGetAll(REDIS_COUNTS_KEY)
+    .del(REDIS_COUNTS_KEY)
+    .hGetAll(REDIS_LAST_HIT_KEY)
+    .del(REDIS_LAST_HIT_KEY)
+    .lRange(REDIS_EVENTS_KEY, 0, -1)
+    .del(REDIS_EVENTS_KEY)
+    .exec();
+
+  for (const [entryId, hits] of Object.entries(redisCounts || {})) {
+    mergeCount(counts, entryId, parseInt(hits, 10), parseInt(redisLastHits?.[entryId], 10) || Date.now());
+  }
+  for (const value of redisEvents || []) {
+    try {
+      events.push(JSON.parse(value));
+    } catch {
+      // Skip malformed events rather than failing the flush
+    }
+  }
+}
+
+/**
+ * Write a batch of hits and access events to Postgres
+ * Progress is recorded as each write commits so a failed flush retries only what is left.
+ * @param {Map} counts - Entry ID -> { hits, lastHitAt }
+ * @param {Array<object>} events - Access lineage events
+ * @param {object} progress - { countsWritten, eventsWritten }, updated in place
+ * @returns {Promise<void>}
+ */
+async function applyHits(counts, events, progress) {
+  if (counts.size > 0) {
+    const ids = [...counts.keys()];
+    await query(
+      `UPDATE cache_entries ce
+       SET hit_count = COALESCE(ce.hit_count, 0) + v.hits,
+           last_hit_at = GREATEST(ce.last_hit_at, v.last_hit_at)
+       FROM unnest($1::uuid[], $2::int[], $3::timestamp[]) AS v(id, hits, last_hit_at)
+       WHERE ce.id = v.id`,
+      [
+        ids,
+        ids.map(id => counts.get(id).hits),
+        ids.map(id => new Date(counts.get(id).lastHitAt)),
+      ]
+    );
+  }
+  progress.countsWritten = true;
+
+  for (let i = 0; i < events.length; i += EVENT_BATCH_SIZE) {
+    await logLineageEvents(events.slice(i, i + EVENT_BATCH_SIZE).map(event => ({
+      app_id: event.app_id,
+      cache_entry_id: event.cache_entry_id,
+      event_type: 'accessed',
+      source_id: event.source_id,
+      metadata: event.metadata,
+      created_at: new Date(event.hit_at),
+    })));
+    progress.eventsWritten = Math.min(events.length, i + EVENT_BATCH_SIZE);
+  }
+}
+
+/**
+ * Flush buffered hits to Postgres
+ * On failure the unwritten part of the batch goes back into the memory buffer and is retried
+ * on the next flush (counts that were already added are never re-queued).
+ * @returns {Promise<object>} - { entries, hits, events } written
+ */
+export function flushHits() {
+  if (currentFlush) {
+    return currentFlush;
+  }
+
+  currentFlush = (async () => {
+    const counts = pendingCounts;
+    const events = pendingEvents;
+    pendingCounts = new Map();
+    pendingEvents = [];
+    const progress = { countsWritten: false, eventsWritten: 0 };
+
+    try {
+      await drainRedisBuffer(counts, events);
+      await applyHits(counts, events, progress);
+    } catch (err) {
+      logger.error({ err: err.message, entries: counts.size, countsWritten: progress.countsWritten }, '[flushHits] Failed to write hit batch, will retry');
+      if (!progress.countsWritten) {
+        for (const [entryId, { hits, lastHitAt }] of counts) {
+          mergeCount(pendingCounts, entryId, hits, lastHitAt);
+        }
+      }
+      // Unwritten counts are always kept; lineage is capped so a long outage can't exhaust memory
+      pendingEvents = [...events.slice(progress.eventsWritten), ...pendingEvents].slice(-config.hitBufferMaxEvents);
+      return { entries: 0, hits: 0, events: 0 };
+    }
+
+    let hits = 0;
+    for (const { hits: entryHits } of counts.values()) {
+      hits += entryHits;
+    }
+    return { entries: counts.size, hits, events: events.length };
+  })().finally(() => {
+    currentFlush = null;
+  });
+
+  return currentFlush;
+}
+
+/**
+ * Start the periodic hit flush
+ */
+export function startHitAccounting() {
+  if (flushTimer) {
+    return;
+  }
+  flushTimer = setInterval(() => {
+    flushHits();
+  }, config.hitFlushIntervalMs);
+  flushTimer.unref();
+}
+
+/**
+ * Stop the periodic hit flush and write whatever is still buffered
+ * @returns {Promise<void>}
+ */
+export async function stopHitAccounting() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  // A flush may already be running; run one more for hits buffered since it started
+  await flushHits();
+  await flushHits();
+}
+
+export default {
+  recordHit,
+  flushHits,
+  startHitAccounting,
+  stopHitAccounting,
+};
@@ -0,0 +1,307 @@
+import { getRedisClient, isRedisAvailable } from '../db/redis.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * L1 cache tier: hot cache entries kept in Redis, or in an in-process LRU when Redis
+ * is not configured (single-instance mode). Postgres stays the durable tier.
+ *
+ * Entries are admitted when they are read from Postgres and fit l1CacheMaxEntryBytes.
+ * They never outlive their expires_at, and l1CacheTtlSeconds bounds how long a change
+ * made outside the invalidation functions (e.g. a cascading delete) can go unseen.
+ */
+
+const KEY_PREFIX = 'l1';
+
+// Columns returned as Date objects by pg; restored after a Redis round trip
+const DATE_FIELDS = ['expires_at', 'created_at', 'updated_at', 'last_hit_at', 'revalidate_at', 'last_revalidated_at'];
+
+// In-process LRU (Map keeps insertion order; the first key is the least recently used)
+const memoryEntries = new Map();
+let memoryBytes = 0;
+
+/**
+ * Get the Redis client when the Redis tier should be used
+ * With REDIS_URL set but Redis down the L1 tier is skipped rather than falling back to
+ * memory, because other instances could not invalidate this instance's copies.
+ * @returns {Promise<object|null|false>} - Redis client, null for the memory tier, false to skip L1
+ */
+async function getTier() {
+  if (!config.l1CacheEnabled) {
+    return false;
+  }
+  if (!config.redisUrl) {
+    return null;
+  }
+  if (!isRedisAvailable()) {
+    return false;
+  }
+  return (await getRedisClient()) || false;
+}
+
+/**
+ * Build the L1 key for a lookup, scoped the same way as the Postgres lookup
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {string} sourceId - Source ID for dedicated mode
+ * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
+ * @param {string} storagePoolId - Storage pool ID for shared mode
+ * @returns {string|null} - L1 key or null if the lookup has no scope
+ */
+function buildL1Key(appId, cacheKey, sourceId, storageMode, storagePoolId) {
+  if (storageMode === 'shared') {
+    return storagePoolId ? `${KEY_PREFIX}:${appId}:pool:${storagePoolId}:${cacheKey}` : null;
+  }
+  return sourceId ? `${KEY_PREFIX}:${appId}:source:${sourceId}:${cacheKey}` : null;
+}
+
+/**
+ * Estimate the memory an entry takes, used for admission and the LRU budget
+ * @param {object} entry - Cache entry row
+ * @returns {number} - Approximate size in bytes
+ */
+function estimateEntrySize(entry) {
+  let size = 512;
+  if (entry.response_body_binary) {
+    size += entry.response_body_binary.length;
+  }
+  if (entry.response_body_raw) {
+    size += Buffer.byteLength(entry.response_body_raw);
+  }
+  if (entry.response_body) {
+    size += Buffer.byteLength(JSON.stringify(entry.response_body));
+  }
+  if (entry.response_headers) {
+    size += Buffer.byteLength(JSON.stringify(entry.response_headers));
+  }
+  return size;
+}
+
+/**
+ * Seconds an entry may stay in L1: the L1 TTL, capped by the entry's own expiry
+ * @param {object} entry - Cache entry row
+ * @returns {number} - TTL in seconds (0 = already expired)
+ */
+function getL1Ttl(entry) {
+  if (!entry.expires_at) {
+    return config.l1CacheTtlSeconds;
+  }
+  const remaining = Math.floor((new Date(entry.expires_at).getTime() - Date.now()) / 1000);
+  return Math.max(0, Math.min(config.l1CacheTtlSeconds, remaining));
+}
+
+/**
+ * Serialize an entry for Redis (Buffers as base64)
+ * @param {object} entry - Cache entry row
+ * @returns {string}
+ */
+function serializeEntry(entry) {
+  return JSON.stringify({
+    ...entry,
+    response_body_binary: entry.response_body_binary ? entry.response_body_binary.toString('base64') : null,
+  });
+}
+
+/**
+ * Restore an entry serialized by serializeEntry
+ * @param {string} value - Serialized entry
+ * @returns {object}
+ */
+function deserializeEntry(value) {
+  const entry = JSON.parse(value);
+  if (entry.response_body_binary) {
+    entry.response_body_binary = Buffer.from(entry.response_body_binary, 'base64');
+  }
+  for (const field of DATE_FIELDS) {
+    if (entry[field]) {
+      entry[field] = new Date(entry[field]);
+    }
+  }
+  return entry;
+}
+
+/**
+ * Remove a key from the in-process LRU
+ * @param {string} key - L1 key
+ */
+function deleteMemoryEntry(key) {
+  const existing = memoryEntries.get(key);
+  if (existing) {
+    memoryBytes -= existing.size;
+    memoryEntries.delete(key);
+  }
+}
+
+/**
+ * Get a fresh entry from L1
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {string} sourceId - Source ID for dedicated mode
+ * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
+ * @param {string} storagePoolId - Storage pool ID for shared mode
+ * @returns {Promise<object|null>} - Cache entry or null on a miss
+ */
+export async function getL1Entry(appId, cacheKey, sourceId = null, storageMode = 'dedicated', storagePoolId = null) {
+  const key = buildL1Key(appId, cacheKey, sourceId, storageMode, storagePoolId);
+  const redis = key ? await getTier() : false;
+  if (redis === false) {
+    return null;
+  }
+
+  let entry = null;
+  if (redis) {
+    try {
+      const value = await redis.get(key);
+      entry = value ? deserializeEntry(value) : null;
+    } catch (err) {
+      logger.warn({ err: err.message }, '[getL1Entry] Redis read failed');
+      return null;
+    }
+  } else {
+    const cached = memoryEntries.get(key);
+    if (cached) {
+      if (cached.expiresAt <= Date.now()) {
+        deleteMemoryEntry(key);
+      } else {
+        // Move to the most recently used position
+        memoryEntries.delete(key);
+        memoryEntries.set(key, cached);
+        entry = { ...cached.entry };
+      }
+    }
+  }
+
+  // Never serve an entry past its own expiry from L1
+  if (entry?.expires_at && new Date(entry.expires_at) <= new Date()) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Admit an entry read from Postgres into L1
+ * Entries over l1CacheMaxEntryBytes or already expired are not admitted.
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {string} sourceId - Source ID for dedicated mode
+ * @param {string} storageMode - Storage mode: 'dedicated' or 'shared'
+ * @param {string} storagePoolId - Storage pool ID for shared mode
+ * @param {object} entry - Cache entry row
+ * @returns {Promise<boolean>} - True if admitted
+ */
+export async function setL1Entry(appId, cacheKey, sourceId, storageMode, storagePoolId, entry) {
+  const key = buildL1Key(appId, cacheKey, sourceId, storageMode, storagePoolId);
+  const ttl = getL1Ttl(entry);
+  const redis = key && ttl > 0 ? await getTier() : false;
+  if (redis === false) {
+    return false;
+  }
+
+  const size = estimateEntrySize(entry);
+  if (size > config.l1CacheMaxEntryBytes) {
+    return false;
+  }
+
+  if (redis) {
+    try {
+      await redis.set(key, serializeEntry(entry), { EX: ttl });
+    } catch (err) {
+      logger.warn({ err: err.message }, '[setL1Entry] Redis write failed');
+      return false;
+    }
+    return true;
+  }
+
+  deleteMemoryEntry(key);
+  memoryEntries.set(key, { entry: { ...entry }, size, expiresAt: Date.now() + ttl * 1000 });
+  memoryBytes += size;
+  // Evict least recently used entries until the budget fits
+  for (const oldestKey of memoryEntries.keys()) {
+    if (memoryBytes <= config.l1CacheMaxBytes) break;
+    deleteMemoryEntry(oldestKey);
+  }
+  return true;
+}
+
+/**
+ * Drop the L1 copies of cache entries
+ * Both the source and the pool key are removed since L1 doesn't know which lookup
+ * admitted the entry.
+ * @param {string} appId - App ID
+ * @param {Array<object>} rows - Entries with cache_key, source_id and storage_pool_id
+ * @returns {Promise<void>}
+ */
+export async function invalidateL1Entries(appId, rows) {
+  const redis = await getTier();
+  if (redis === false || !rows || rows.length === 0) {
+    return;
+  }
+
+  const keys = [];
+  for (const row of rows) {
+    if (row.source_id) {
+      keys.push(buildL1Key(appId, row.cache_key, row.source_id, 'dedicated', null));
+    }
+    if (row.storage_pool_id) {
+      keys.push(buildL1Key(appId, row.cache_key, null, 'shared', row.storage_pool_id));
+    }
+  }
+
+  if (!redis) {
+    keys.forEach(deleteMemoryEntry);
+    return;
+  }
+
+  try {
+    for (let i = 0; i < keys.length; i += 500) {
+      await redis.del(keys.slice(i, i + 500));
+    }
+  } catch (err) {
+    logger.error({ err: err.message, appId }, '[invalidateL1Entries] Redis delete failed');
+  }
+}
+
+/**
+ * Drop every L1 entry of an app
+ * @param {string} appId - App ID
+ * @returns {Promise<void>}
+ */
+export async function purgeL1App(appId) {
+  const redis = await getTier();
+  if (redis === false) {
+    return;
+  }
+
+  const prefix = `${KEY_PREFIX}:${appId}:`;
+  if (!redis) {
+    for (const key of memoryEntries.keys()) {
+      if (key.startsWith(prefix)) {
+        deleteMemoryEntry(key);
+      }
+    }
+    return;
+  }
+
+  try {
+    let batch = [];
+    for await (const key of redis.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) {
+      batch.push(key);
+      if (batch.length >= 500) {
+        await redis.del(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await redis.del(batch);
+    }
+  } catch (err) {
+    logger.error({ err: err.message, appId }, '[purgeL1App] Redis purge failed');
+  }
+}
+
+export default {
+  getL1Entry,
+  setL1Entry,
+  invalidateL1Entries,
+  purgeL1App,
+};
@@ -14,7 +14,7 @@ export async function logLineageEvent(event) {
   const {
     app_id,
     cache_entry_id,
-    event_type, // 'created', 'accessed', 'invalidated', 'updated', 'policy_changed'
+    event_type, // 'created', 'accessed', 'invalidated', 'updated', 'policy_changed', 'fallback', 'hedge', 'revalidated'
     user_id = null,
     source_id = null,
     action = null,
@@ -37,6 +37,38 @@ export async function logLineageEvent(event) {
   );
 }
 
+/**
+ * Log several lineage events in one statement
+ * Events whose cache entry has been deleted in the meantime are skipped.
+ * @param {Array<object>} events - Lineage events (as for logLineageEvent, plus optional created_at)
+ * @returns {Promise<number>} - Number of events inserted
+ */
+export async function logLineageEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 0;
+  }
+  
+  const result = await query(
+    `INSERT INTO lineage_events
+     (app_id, cache_entry_id, event_type, user_id, source_id, action, metadata, created_at)
+     SELECT v.app_id, v.cache_entry_id, v.event_type, v.user_id, v.source_id, v.action, v.metadata, v.created_at
+     FROM unnest($1::uuid[], $2::uuid[], $3::text[], $4::uuid[], $5::uuid[], $6::text[], $7::jsonb[], $8::timestamp[])
+       AS v(app_id, cache_entry_id, event_type, user_id, source_id, action, metadata, created_at)
+     WHERE EXISTS (SELECT 1 FROM cache_entries ce WHERE ce.id = v.cache_entry_id)`,
+    [
+      events.map(event => event.app_id),
+      events.map(event => event.cache_entry_id),
+      events.map(event => event.event_type),
+      events.map(event => event.user_id || null),
+      events.map(event => event.source_id || null),
+      events.map(event => event.action || null),
+      events.map(event => (event.metadata ? JSON.stringify(event.metadata) : null)),
+      events.map(event => event.created_at || new Date()),
+    ]
+  );
+  return result.rowCount;
+}
+
 /**
  * Get lineage for a cache entry
  * @param {string} appId - App ID
@@ -287,6 +319,7 @@ export async function queryLineage(appId, filters = {}) {
 
 export default {
   logLineageEvent,
+  logLineageEvents,
   getLineageForEntry,
   getLineageForCacheKey,
   getComprehensiveLineage,
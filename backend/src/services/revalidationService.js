@@ -1,21 +1,80 @@
 import { query } from '../db/pool.js';
 import logger from '../utils/logger.js';
 import { cacheOrFetch } from './cacheService.js';
+import { getStoredRequest } from './cacheEntryService.js';
 import { getSourceWithAuth } from './sourceService.js';
+import { acquireLock, releaseLock } from '../db/redis.js';
+
+// Keys with a background refresh running in this process
+const inFlightRevalidations = new Set();
+
+// Cross-instance lock TTL for a single background refresh
+const REVALIDATION_LOCK_TTL_SECONDS = 60;
+
+/**
+ * Rebuild the original upstream request for a cache entry
+ * Entries fetched through a source's base_url are replayed in path mode against
+ * that source so the same URL, body and vary headers produce the same cache key.
+ * @param {object} entry - Cache entry row
+ * @param {object} source - Source that served the entry
+ * @returns {object} - cacheOrFetch request
+ */
+export function buildReplayRequest(entry, source) {
+  const { body, headers } = getStoredRequest(entry);
+  const request = {
+    method: entry.request_method,
+    body,
+    headers,
+    force_refresh: true,
+  };
+  
+  const baseUrl = (source.base_url || '').replace(/\/+$/, '');
+  if (baseUrl && entry.request_url.startsWith(baseUrl)) {
+    request.path = entry.request_url.slice(baseUrl.length) || '/';
+    request.sources = [source];
+  } else {
+    request.url = entry.request_url;
+  }
+  
+  return request;
+}
+
+/**
+ * Build the WHERE clause that picks the entries of a key within a scope
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key
+ * @param {object|null} scope - { source_id, storage_pool_id } of one entry, or null for any
+ * @returns {object} - { whereClause, params }
+ */
+function buildEntryScope(appId, cacheKey, scope) {
+  let whereClause = 'app_id = $1 AND cache_key = $2';
+  const params = [appId, cacheKey];
+  if (scope) {
+    whereClause += ' AND source_id = $3 AND storage_pool_id IS NOT DISTINCT FROM $4';
+    params.push(scope.source_id, scope.storage_pool_id ?? null);
+  }
+  return { whereClause, params };
+}
 
 /**
  * Revalidate a cache entry (stale-while-revalidate pattern)
+ * The same key can exist once per dedicated source and per pool; a scope picks which one
+ * is refreshed, else the key's entry that expires first across sources and pools is.
  * @param {string} appId - App ID
  * @param {string} cacheKey - Cache key to revalidate
+ * @param {object|null} scope - { source_id, storage_pool_id } of the entry to refresh
  * @returns {object|null} - Updated cache entry or null
  */
-export async function revalidateCacheEntry(appId, cacheKey) {
-  // Get the cache entry
+export async function revalidateCacheEntry(appId, cacheKey, scope = null) {
+  const { whereClause, params } = buildEntryScope(appId, cacheKey, scope);
+  
+  // Get the cache entry (expired entries are the ones that need revalidating)
   const entryResult = await query(
     `SELECT * FROM cache_entries 
-     WHERE app_id = $1 AND cache_key = $2 
-     AND (expires_at > NOW() OR expires_at IS NULL)`,
-    [appId, cacheKey]
+     WHERE ${whereClause}
+     ORDER BY expires_at DESC NULLS FIRST
+     LIMIT 1`,
+    params
   );
   
   if (entryResult.rows.length === 0) {
@@ -30,25 +89,23 @@ export async function revalidateCacheEntry(appId, cacheKey) {
     return null;
   }
   
-  // Reconstruct request from cache entry
-  const request = {
-    method: entry.request_method,
-    url: entry.request_url,
-    body: entry.request_body_hash ? null : null, // We don't store body, so we'll use the URL
-    headers: {},
-    force_refresh: true, // Force refresh to get new data
-  };
+  // Reconstruct the original request (body and vary headers) from the cache entry
+  const request = buildReplayRequest(entry, source);
+  if (entry.request_body_hash && request.body === null) {
+    logger.warn({ cacheKey }, '[revalidationService] Entry has no stored request body, replaying without it');
+  }
   
   try {
     // Fetch fresh data
     const result = await cacheOrFetch(appId, request);
     
-    // Update revalidate_at timestamp
+    // Record the refresh (revalidate_at is left alone: it schedules the next one)
+    const refreshed = buildEntryScope(appId, cacheKey, { source_id: entry.source_id, storage_pool_id: entry.storage_pool_id });
     await query(
       `UPDATE cache_entries 
-       SET revalidate_at = NOW(), updated_at = NOW()
-       WHERE app_id = $1 AND cache_key = $2`,
-      [appId, cacheKey]
+       SET last_revalidated_at = NOW(), updated_at = NOW()
+       WHERE ${refreshed.whereClause}`,
+      refreshed.params
     );
     
     return result;
@@ -58,6 +115,43 @@ export async function revalidateCacheEntry(appId, cacheKey) {
   }
 }
 
+/**
+ * Schedule a single background refresh of a cache entry (stale-while-revalidate)
+ * Concurrent requests for the same entry share one refresh: in-process via a Set,
+ * across instances via a Redis lock.
+ * @param {string} appId - App ID
+ * @param {string} cacheKey - Cache key to refresh
+ * @param {object} scope - { source_id, storage_pool_id } of the stale entry that was served
+ * @returns {boolean} - True if a refresh was scheduled by this call
+ */
+export async function scheduleBackgroundRevalidation(appId, cacheKey, scope) {
+  const dedupeKey = `${appId}:${cacheKey}:${scope.source_id}:${scope.storage_pool_id || ''}`;
+  if (inFlightRevalidations.has(dedupeKey)) {
+    return false;
+  }
+  inFlightRevalidations.add(dedupeKey);
+  
+  const lockKey = `revalidate:lock:${dedupeKey}`;
+  const hasLock = await acquireLock(lockKey, REVALIDATION_LOCK_TTL_SECONDS);
+  if (!hasLock) {
+    // Another instance is already refreshing this entry
+    inFlightRevalidations.delete(dedupeKey);
+    return false;
+  }
+  
+  // Don't await - the caller has already been served the stale entry
+  revalidateCacheEntry(appId, cacheKey, scope)
+    .catch(err => {
+      logger.error({ cacheKey, err: err.message }, '[revalidationService] Background revalidation failed');
+    })
+    .finally(async () => {
+      inFlightRevalidations.delete(dedupeKey);
+      await releaseLock(lockKey);
+    });
+  
+  return true;
+}
+
 /**
  * Revalidate expired cache entries in background
  * @param {string} appId - Optional app ID to limit revalidation
@@ -65,7 +159,7 @@ export async function revalidateCacheEntry(appId, cacheKey) {
  * @returns {number} - Number of entries revalidated
  */
 export async function revalidateExpiredEntries(appId = null, limit = 10) {
-  let whereClause = 'WHERE (expires_at < NOW() OR expires_at IS NULL) AND (revalidate_at IS NULL OR revalidate_at < NOW() - INTERVAL \'1 hour\')';
+  let whereClause = 'WHERE (expires_at < NOW() OR expires_at IS NULL) AND (last_revalidated_at IS NULL OR last_revalidated_at < NOW() - INTERVAL \'1 hour\')';
   const params = [];
   
   if (appId) {
@@ -77,7 +171,7 @@ export async function revalidateExpiredEntries(appId = null, limit = 10) {
   
   // Get entries that need revalidation
   const result = await query(
-    `SELECT app_id, cache_key 
+    `SELECT app_id, cache_key, source_id, storage_pool_id
      FROM cache_entries 
      ${whereClause}
      ORDER BY expires_at ASC NULLS LAST
@@ -89,7 +183,7 @@ export async function revalidateExpiredEntries(appId = null, limit = 10) {
   
   for (const row of result.rows) {
     try {
-      const revalidatedEntry = await revalidateCacheEntry(row.app_id, row.cache_key);
+      const revalidatedEntry = await revalidateCacheEntry(row.app_id, row.cache_key, row);
       if (revalidatedEntry) {
         revalidated++;
       }
@@ -111,15 +205,15 @@ export async function getEntriesNeedingRevalidation(appId, options = {}) {
   const { limit = 100, stale_threshold_hours = 1 } = options;
   
   const result = await query(
-    `SELECT ce.id, ce.cache_key, ce.request_url, ce.expires_at, ce.revalidate_at,
+    `SELECT ce.id, ce.cache_key, ce.request_url, ce.expires_at, ce.revalidate_at, ce.last_revalidated_at,
             ce.created_at, src.name as source_name
      FROM cache_entries ce
      LEFT JOIN app_sources src ON ce.source_id = src.id
      WHERE ce.app_id = $1
      AND (
-       (expires_at < NOW() AND (revalidate_at IS NULL OR revalidate_at < NOW() - INTERVAL '${stale_threshold_hours} hours'))
+       (expires_at < NOW() AND (last_revalidated_at IS NULL OR last_revalidated_at < NOW() - INTERVAL '${stale_threshold_hours} hours'))
        OR
-       (expires_at IS NULL AND (revalidate_at IS NULL OR revalidate_at < NOW() - INTERVAL '${stale_threshold_hours} hours'))
+       (expires_at IS NULL AND (last_revalidated_at IS NULL OR last_revalidated_at < NOW() - INTERVAL '${stale_threshold_hours} hours'))
      )
      ORDER BY expires_at ASC NULLS LAST, created_at ASC
      LIMIT $2`,
@@ -145,7 +239,9 @@ export async function scheduleRevalidation(appId, cacheKey, revalidateAt) {
 }
 
 export default {
+  buildReplayRequest,
   revalidateCacheEntry,
+  scheduleBackgroundRevalidation,
   revalidateExpiredEntries,
   getEntriesNeedingRevalidation,
   scheduleRevalidation,
@@ -3,7 +3,7 @@ import { query } from '../db/pool.js';
 import logger from '../utils/logger.js';
 import { purgeExpiredEntries } from './cacheService.js';
 import { logAudit } from './auditService.js';
-import { getRedisClient, isRedisAvailable } from '../db/redis.js';
+import { acquireLock, releaseLock } from '../db/redis.js';
 
 let scheduledJobs = new Map();
 
@@ -24,55 +24,6 @@ function isValidCronExpression(cronExpression) {
   }
 }
 
-/**
- * Acquire a distributed lock using Redis
- * @param {string} lockKey - Lock key
- * @param {number} ttlSeconds - Lock TTL in seconds
- * @returns {boolean} - True if lock acquired
- */
-async function acquireLock(lockKey, ttlSeconds = LOCK_TTL_SECONDS) {
-  if (!isRedisAvailable()) {
-    // No Redis = single instance, always acquire
-    return true;
-  }
-
-  try {
-    const redis = await getRedisClient();
-    if (!redis) return true;
-
-    // SET NX with TTL - atomic lock acquisition
-    const result = await redis.set(lockKey, Date.now().toString(), {
-      NX: true,
-      EX: ttlSeconds,
-    });
-
-    return result === 'OK';
-  } catch (err) {
-    logger.error({ err }, 'Error acquiring lock');
-    // On error, allow execution (single instance behavior)
-    return true;
-  }
-}
-
-/**
- * Release a distributed lock
- * @param {string} lockKey - Lock key
- */
-async function releaseLock(lockKey) {
-  if (!isRedisAvailable()) {
-    return;
-  }
-
-  try {
-    const redis = await getRedisClient();
-    if (redis) {
-      await redis.del(lockKey);
-    }
-  } catch (err) {
-    logger.error({ err }, 'Error releasing lock');
-  }
-}
-
 /**
  * Start scheduled purge job for a cache policy
  * @param {string} policyId - Policy ID
@@ -93,7 +44,7 @@ function startScheduledPurge(policyId, appId, sourceId, cronExpression) {
     const lockKey = `purge-lock:${policyId}`;
 
     // Try to acquire lock (prevents duplicate runs across instances)
-    const hasLock = await acquireLock(lockKey);
+    const hasLock = await acquireLock(lockKey, LOCK_TTL_SECONDS);
     if (!hasLock) {
       logger.debug({ policyId }, 'Skipping scheduled purge - another instance holds the lock');
       return;
@@ -0,0 +1,331 @@
+import cron from 'node-cron';
+import { query } from '../db/pool.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { revalidateCacheEntry } from './revalidationService.js';
+import { logAudit } from './auditService.js';
+import { acquireLock, releaseLock } from '../db/redis.js';
+
+/**
+ * Scheduled Revalidation Service
+ * Refreshes cache entries in the background: entries whose revalidate_at is due
+ * (one global job) and all entries of a source on its policy's refresh_schedule.
+ */
+
+// Job key for the global revalidate_at job; policy jobs are keyed by policy ID
+const DUE_JOB_KEY = 'due';
+
+let scheduledJobs = new Map();
+
+// Last run per job: key = job key, value = { last_run_at, by_app: Map(appId -> counts) }
+const lastRuns = new Map();
+
+// Jobs currently executing in this process
+const runningJobs = new Set();
+
+// Lock TTL in seconds (should be longer than expected job duration)
+const LOCK_TTL_SECONDS = 300; // 5 minutes
+
+/**
+ * Validate cron expression
+ * @param {string} cronExpression - Cron expression to validate
+ * @returns {boolean} - True if valid
+ */
+function isValidCronExpression(cronExpression) {
+  try {
+    return cron.validate(cronExpression);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Revalidate entries with a per-source concurrency limit
+ * Sources are processed in parallel; each source runs at most `concurrency` refreshes at once.
+ * @param {Array} rows - Entries to revalidate ({ app_id, cache_key, source_id, storage_pool_id })
+ * @param {number} concurrency - Maximum concurrent refreshes per source
+ * @returns {object} - { byApp: Map(appId -> { revalidated, failed }), revalidatedRows }
+ */
+async function revalidateWithSourceConcurrency(rows, concurrency) {
+  const bySource = new Map();
+  for (const row of rows) {
+    const queue = bySource.get(row.source_id) || [];
+    queue.push(row);
+    bySource.set(row.source_id, queue);
+  }
+
+  const byApp = new Map();
+  const revalidatedRows = [];
+  const record = (row, succeeded) => {
+    const counts = byApp.get(row.app_id) || { revalidated: 0, failed: 0 };
+    if (succeeded) {
+      counts.revalidated++;
+      revalidatedRows.push(row);
+    } else {
+      counts.failed++;
+    }
+    byApp.set(row.app_id, counts);
+  };
+
+  const workers = [];
+  for (const queue of bySource.values()) {
+    const workerCount = Math.min(Math.max(concurrency, 1), queue.length);
+    for (let i = 0; i < workerCount; i++) {
+      workers.push((async () => {
+        while (queue.length > 0) {
+          const row = queue.shift();
+          try {
+            const result = await revalidateCacheEntry(row.app_id, row.cache_key, row);
+            record(row, !!result);
+          } catch (err) {
+            logger.error({ cacheKey: row.cache_key, err: err.message }, '[scheduledRevalidation] Failed to revalidate');
+            record(row, false);
+          }
+        }
+      })());
+    }
+  }
+  await Promise.all(workers);
+
+  return { byApp, revalidatedRows };
+}
+
+/**
+ * Run a revalidation job under a Redis lock, then audit and record the results
+ * @param {string} jobKey - Job key (DUE_JOB_KEY or policy ID)
+ * @param {Function} selectEntries - Returns the entries to revalidate
+ * @param {object} auditContext - Extra audit fields ({ resource_id, new_value })
+ * @param {Function} afterRun - Optional hook run with the rows that were refreshed
+ */
+async function runRevalidationJob(jobKey, selectEntries, auditContext = {}, afterRun = null) {
+  const lockKey = `revalidate-lock:${jobKey}`;
+
+  // Try to acquire lock (prevents duplicate runs across instances)
+  const hasLock = await acquireLock(lockKey, LOCK_TTL_SECONDS);
+  if (!hasLock) {
+    logger.debug({ jobKey }, 'Skipping scheduled revalidation - another instance holds the lock');
+    return;
+  }
+
+  runningJobs.add(jobKey);
+  try {
+    const rows = await selectEntries();
+    if (rows.length === 0) {
+      lastRuns.set(jobKey, { last_run_at: new Date(), by_app: new Map() });
+      return;
+    }
+
+    const { byApp, revalidatedRows } = await revalidateWithSourceConcurrency(rows, config.revalidationConcurrencyPerSource);
+    if (afterRun) {
+      await afterRun(revalidatedRows);
+    }
+    lastRuns.set(jobKey, { last_run_at: new Date(), by_app: byApp });
+
+    for (const [appId, counts] of byApp) {
+      await logAudit({
+        app_id: appId,
+        user_id: null, // System action
+        action: 'cache_scheduled_revalidation',
+        resource_type: 'cache',
+        resource_id: auditContext.resource_id || null,
+        new_value: {
+          ...auditContext.new_value,
+          entries_revalidated: counts.revalidated,
+          entries_failed: counts.failed,
+        },
+        ip_address: null,
+      });
+    }
+
+    logger.info({ jobKey, entries: rows.length }, 'Scheduled revalidation completed');
+  } catch (error) {
+    logger.error({ jobKey, err: error }, 'Error in scheduled revalidation');
+  } finally {
+    runningJobs.delete(jobKey);
+    // Release lock after job completes
+    await releaseLock(lockKey);
+  }
+}
+
+/**
+ * Revalidate entries whose revalidate_at has passed
+ * revalidate_at is a one-shot schedule: it is cleared once the entry has been refreshed.
+ */
+async function revalidateDueEntries() {
+  await runRevalidationJob(
+    DUE_JOB_KEY,
+    async () => {
+      const result = await query(
+        `SELECT app_id, cache_key, source_id, storage_pool_id, revalidate_at
+         FROM cache_entries
+         WHERE revalidate_at IS NOT NULL AND revalidate_at <= NOW() AND source_id IS NOT NULL
+         ORDER BY revalidate_at ASC
+         LIMIT $1`,
+        [config.revalidationBatchSize]
+      );
+      return result.rows;
+    },
+    { new_value: { trigger: 'revalidate_at' } },
+    async (rows) => {
+      // Clear the schedule of refreshed entries unless it was moved while the refresh was
+      // running; failed refreshes stay due and are retried on the next run
+      for (const row of rows) {
+        await query(
+          `UPDATE cache_entries SET revalidate_at = NULL
+           WHERE app_id = $1 AND cache_key = $2 AND source_id IS NOT DISTINCT FROM $3
+           AND storage_pool_id IS NOT DISTINCT FROM $4 AND revalidate_at <= NOW()`,
+          [row.app_id, row.cache_key, row.source_id, row.storage_pool_id]
+        );
+      }
+    }
+  );
+}
+
+/**
+ * Start scheduled refresh job for a cache policy
+ * @param {string} policyId - Policy ID
+ * @param {string} appId - App ID
+ * @param {string} sourceId - Source ID (optional)
+ * @param {string} cronExpression - Cron expression
+ */
+function startScheduledRefresh(policyId, appId, sourceId, cronExpression) {
+  // Stop existing job if any
+  stopScheduledRefresh(policyId);
+
+  if (!isValidCronExpression(cronExpression)) {
+    logger.warn({ policyId, cronExpression }, 'Invalid refresh cron expression for policy');
+    return;
+  }
+
+  const task = cron.schedule(cronExpression, async () => {
+    logger.info({ policyId, appId, sourceId }, 'Running scheduled refresh for policy');
+
+    await runRevalidationJob(
+      policyId,
+      async () => {
+        // Most-used entries first so a capped run refreshes what matters most
+        const result = await query(
+          `SELECT app_id, cache_key, source_id, storage_pool_id
+           FROM cache_entries
+           WHERE app_id = $1 AND ($2::uuid IS NULL OR source_id = $2)
+           ORDER BY hit_count DESC, created_at ASC
+           LIMIT $3`,
+          [appId, sourceId || null, config.revalidationBatchSize]
+        );
+        return result.rows;
+      },
+      {
+        resource_id: sourceId,
+        new_value: {
+          trigger: 'refresh_schedule',
+          policy_id: policyId,
+          cron_expression: cronExpression,
+        },
+      }
+    );
+  }, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  scheduledJobs.set(policyId, { task, app_id: appId, source_id: sourceId, cron_expression: cronExpression });
+  logger.info({ policyId, cronExpression }, 'Started scheduled refresh for policy');
+}
+
+/**
+ * Stop scheduled refresh job for a cache policy
+ * @param {string} policyId - Policy ID
+ */
+export function stopScheduledRefresh(policyId) {
+  const job = scheduledJobs.get(policyId);
+  if (job) {
+    job.task.stop();
+    scheduledJobs.delete(policyId);
+    lastRuns.delete(policyId);
+    logger.info({ policyId }, 'Stopped scheduled refresh for policy');
+  }
+}
+
+/**
+ * Update scheduled refresh job for a policy
+ * @param {string} policyId - Policy ID
+ * @param {string} appId - App ID
+ * @param {string} sourceId - Source ID (optional)
+ * @param {string|null} cronExpression - Cron expression or null to stop
+ */
+export function updateScheduledRefresh(policyId, appId, sourceId, cronExpression) {
+  stopScheduledRefresh(policyId);
+
+  if (cronExpression && cronExpression.trim() !== '') {
+    startScheduledRefresh(policyId, appId, sourceId, cronExpression);
+  }
+}
+
+/**
+ * Initialize the revalidate_at job and all policy refresh jobs from database
+ */
+export async function initializeScheduledRevalidations() {
+  try {
+    if (isValidCronExpression(config.revalidationSchedule)) {
+      const task = cron.schedule(config.revalidationSchedule, revalidateDueEntries, {
+        scheduled: true,
+        timezone: 'UTC',
+      });
+      scheduledJobs.set(DUE_JOB_KEY, { task, app_id: null, source_id: null, cron_expression: config.revalidationSchedule });
+    } else {
+      logger.warn({ cronExpression: config.revalidationSchedule }, 'Invalid REVALIDATION_SCHEDULE, revalidate_at job disabled');
+    }
+
+    // Get all cache policies with refresh schedules
+    const result = await query(
+      `SELECT id, app_id, source_id, refresh_schedule
+       FROM cache_policies
+       WHERE refresh_schedule IS NOT NULL AND refresh_schedule != ''`
+    );
+
+    logger.info({ count: result.rows.length }, 'Initializing scheduled refresh jobs');
+
+    for (const policy of result.rows) {
+      startScheduledRefresh(policy.id, policy.app_id, policy.source_id, policy.refresh_schedule);
+    }
+
+    logger.info({ count: scheduledJobs.size }, 'Initialized scheduled revalidation jobs');
+  } catch (error) {
+    logger.error({ err: error }, 'Error initializing scheduled revalidations');
+  }
+}
+
+/**
+ * Stop all scheduled revalidation jobs
+ */
+export function stopAllScheduledRevalidations() {
+  for (const [jobKey, job] of scheduledJobs) {
+    job.task.stop();
+    scheduledJobs.delete(jobKey);
+  }
+  lastRuns.clear();
+}
+
+/**
+ * Get status of scheduled revalidation jobs visible to an app
+ * @param {string} appId - App ID (the global revalidate_at job is included with this app's counts)
+ * @returns {Array} - Array of job statuses
+ */
+export function getScheduledRevalidationStatus(appId) {
+  return Array.from(scheduledJobs.entries())
+    .filter(([, job]) => job.app_id === null || job.app_id === appId)
+    .map(([jobKey, job]) => {
+      const lastRun = lastRuns.get(jobKey);
+      const counts = lastRun?.by_app.get(appId) || { revalidated: 0, failed: 0 };
+      return {
+        job: jobKey === DUE_JOB_KEY ? 'revalidate_at' : 'refresh_schedule',
+        policyId: jobKey === DUE_JOB_KEY ? null : jobKey,
+        source_id: job.source_id,
+        cron_expression: job.cron_expression,
+        running: runningJobs.has(jobKey),
+        last_run_at: lastRun?.last_run_at || null,
+        last_run_revalidated: counts.revalidated,
+        last_run_failed: counts.failed,
+      };
+    });
+}
@@ -0,0 +1,324 @@
+import { query, pool } from '../db/pool.js';
+import config from '../config/index.js';
+import { SELECTION_MODES } from './sourceSelectionService.js';
+import { validateFailoverRules } from '../utils/failoverRules.js';
+
+/**
+ * Source Group Service
+ * Proxy groups are explicit: a group has a stable slug used in /proxy/:slug/*, a selection
+ * mode and group-level policies, and members with their own priority and weight. Renaming
+ * a source never moves it between groups, and a source may belong to several groups.
+ */
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Suffixes tried for a free slug before giving up ("name", "name-2", ...)
+const MAX_SLUG_SUFFIX = 1000;
+
+// Group fields an update may change
+const UPDATABLE_FIELDS = ['name', 'slug', 'description', 'selection_mode', 'kill_switch_enabled', 'failover_rules', 'hedging_enabled', 'hedge_delay_ms', 'is_active'];
+
+/**
+ * Build a slug from a group name (same rule as the name-based group migration)
+ * Different names can share a slug ("API v1", "api_v1", names without Latin letters), so
+ * callers that create groups must not rely on it being unique.
+ * @param {string} name - Group name
+ * @returns {string} - Lowercase slug of letters, digits and single hyphens
+ */
+export function slugify(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'group';
+}
+
+/**
+ * Get the selection mode a group's requests use
+ * @param {object|null} group - Source group row
+ * @returns {string} - One of SELECTION_MODES
+ */
+export function getEffectiveSelectionMode(group) {
+  return group?.selection_mode || config.sourceSelectionMode || 'priority';
+}
+
+/**
+ * Validate group fields shared by create and update
+ * @param {object} data - Group fields
+ * @throws {Error} - When the slug, selection mode or failover rules are invalid
+ */
+function validateGroupData(data) {
+  if (data.slug !== undefined && !SLUG_PATTERN.test(data.slug)) {
+    throw new Error('Invalid slug: use lowercase letters, digits and single hyphens');
+  }
+  if (data.selection_mode !== undefined && data.selection_mode !== null && !SELECTION_MODES.includes(data.selection_mode)) {
+    throw new Error(`Invalid selection mode "${data.selection_mode}"`);
+  }
+  validateFailoverRules(data.failover_rules);
+}
+
+/**
+ * Select groups with their members
+ * @param {string} where - Condition on source_groups g
+ * @param {array} params - Query parameters
+ * @returns {Promise<array>}
+ */
+async function selectGroupsWithMembers(where, params) {
+  const result = await query(
+    `SELECT g.*,
+            COALESCE(json_agg(json_build_object(
+              'source_id', s.id, 'name', s.name, 'base_url', s.base_url, 'is_active', s.is_active,
+              'priority', m.priority, 'weight', m.weight
+            ) ORDER BY m.priority, s.name) FILTER (WHERE s.id IS NOT NULL), '[]') as members
+     FROM source_groups g
+     LEFT JOIN source_group_members m ON m.group_id = g.id
+     LEFT JOIN app_sources s ON s.id = m.source_id
+     WHERE ${where}
+     GROUP BY g.id
+     ORDER BY LOWER(g.name)`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * List the source groups of an app with their members
+ * @param {string} appId - App ID
+ * @returns {Promise<array>}
+ */
+export async function listSourceGroups(appId) {
+  return selectGroupsWithMembers('g.app_id = $1', [appId]);
+}
+
+/**
+ * Get a source group with its members
+ * @param {string} groupId - Group ID
+ * @param {string} appId - App ID (for security)
+ * @returns {Promise<object|null>}
+ */
+export async function getSourceGroupById(groupId, appId) {
+  const rows = await selectGroupsWithMembers('g.id = $1 AND g.app_id = $2', [groupId, appId]);
+  return rows[0] || null;
+}
+
+/**
+ * Find the active group a proxy path segment addresses: by slug, else by exact name
+ * (so /proxy/JSONPlaceholder/* keeps working for the migrated "jsonplaceholder" group)
+ * @param {string} appId - App ID
+ * @param {string} slugOrName - Path segment
+ * @returns {Promise<object|null>} - Group row without members
+ */
+export async function findProxyGroup(appId, slugOrName) {
+  const result = await query(
+    `SELECT * FROM source_groups
+     WHERE app_id = $1 AND is_active = true
+     AND (slug = LOWER($2) OR LOWER(name) = LOWER($2))
+     ORDER BY (slug = LOWER($2)) DESC
+     LIMIT 1`,
+    [appId, slugOrName]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a group's active member sources in member priority order
+ * Each row is the full source row plus member_priority and member_weight.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<array>}
+ */
+export async function getGroupSources(groupId) {
+  const result = await query(
+    `SELECT s.*, m.priority as member_priority, m.weight as member_weight
+     FROM source_group_members m
+     JOIN app_sources s ON s.id = m.source_id
+     WHERE m.group_id = $1 AND s.is_active = true
+     ORDER BY m.priority ASC, s.priority ASC, s.name`,
+    [groupId]
+  );
+  return result.rows;
+}
+
+/**
+ * Add a source to a group, or change its membership
+ * @param {string} groupId - Group ID
+ * @param {string} sourceId - Source ID
+ * @param {string} appId - App ID (the source must belong to it)
+ * @param {object} membership - { priority, weight }
+ * @param {object|null} client - Transaction client (see withTransaction), else the pool
+ * @returns {Promise<object|null>} - Member row, or null if the source is not in the app
+ */
+export async function setGroupMember(groupId, sourceId, appId, membership = {}, client = null) {
+  const { priority = 0, weight = 1 } = membership;
+  const result = await (client || pool).query(
+    `INSERT INTO source_group_members (group_id, source_id, priority, weight)
+     SELECT $1, s.id, $3, $4 FROM app_sources s WHERE s.id = $2 AND s.app_id = $5
+     ON CONFLICT (group_id, source_id) DO UPDATE SET
+       priority = EXCLUDED.priority,
+       weight = EXCLUDED.weight
+     RETURNING group_id, source_id, priority, weight, created_at`,
+    [groupId, sourceId, priority, weight, appId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove a source from a group
+ * @param {string} groupId - Group ID
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<boolean>} - True if the source was a member
+ */
+export async function removeGroupMember(groupId, sourceId) {
+  const result = await query(
+    'DELETE FROM source_group_members WHERE group_id = $1 AND source_id = $2',
+    [groupId, sourceId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Create a source group
+ * @param {string} appId - App ID
+ * @param {object} groupData - Group data (slug defaults to the slugified name)
+ * @returns {Promise<object>} - Created group with members
+ */
+export async function createSourceGroup(appId, groupData) {
+  const {
+    name,
+    slug = slugify(name),
+    description = null,
+    selection_mode = null,
+    kill_switch_enabled = false,
+    failover_rules = null,
+    hedging_enabled = false,
+    hedge_delay_ms = null,
+    is_active = true,
+    members = [],
+  } = groupData;
+
+  validateGroupData({ slug, selection_mode, failover_rules });
+
+  const result = await query(
+    `INSERT INTO source_groups (app_id, name, slug, description, selection_mode, kill_switch_enabled, failover_rules, hedging_enabled, hedge_delay_ms, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [appId, name, slug, description, selection_mode, kill_switch_enabled, failover_rules ? JSON.stringify(failover_rules) : null, hedging_enabled, hedge_delay_ms, is_active]
+  );
+  const group = result.rows[0];
+
+  for (const member of members) {
+    const saved = await setGroupMember(group.id, member.source_id, appId, member);
+    if (!saved) {
+      await query('DELETE FROM source_groups WHERE id = $1', [group.id]);
+      throw new Error(`Source ${member.source_id} not found`);
+    }
+  }
+
+  return getSourceGroupById(group.id, appId);
+}
+
+/**
+ * Find the group with exactly this name, creating it if needed
+ * Used when sources are created without an explicit group so they stay reachable by name.
+ * A new group gets the first free slug ("name", "name-2", ...): groups whose names only
+ * share a slug are never merged.
+ * @param {string} appId - App ID
+ * @param {string} name - Group name
+ * @param {object|null} client - Transaction client (see withTransaction), else the pool
+ * @returns {Promise<object>} - Group row
+ */
+export async function ensureSourceGroup(appId, name, client = null) {
+  const db = client || pool;
+
+  // Serializes concurrent creates of the same name (held until the transaction ends)
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`source-group:${appId}:${name}`]);
+  const existing = await db.query(
+    'SELECT * FROM source_groups WHERE app_id = $1 AND name = $2 ORDER BY created_at LIMIT 1',
+    [appId, name]
+  );
+  if (existing.rows[0]) {
+    return existing.rows[0];
+  }
+
+  const baseSlug = slugify(name);
+  for (let suffix = 1; suffix <= MAX_SLUG_SUFFIX; suffix++) {
+    const result = await db.query(
+      `INSERT INTO source_groups (app_id, name, slug)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (app_id, slug) DO NOTHING
+       RETURNING *`,
+      [appId, name, suffix === 1 ? baseSlug : `${baseSlug}-${suffix}`]
+    );
+    if (result.rows[0]) {
+      return result.rows[0];
+    }
+  }
+  throw new Error(`No free slug for source group "${name}"`);
+}
+
+/**
+ * Update a source group
+ * @param {string} groupId - Group ID
+ * @param {string} appId - App ID (for security)
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object|null>} - Updated group with members, or null if not found
+ */
+export async function updateSourceGroup(groupId, appId, updates) {
+  validateGroupData(updates);
+
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (UPDATABLE_FIELDS.includes(key)) {
+      fields.push(`${key} = $${paramIndex}`);
+      values.push(key === 'failover_rules' && value !== null ? JSON.stringify(value) : value);
+      paramIndex++;
+    }
+  }
+
+  if (fields.length > 0) {
+    fields.push('updated_at = NOW()');
+    values.push(groupId, appId);
+    const result = await query(
+      `UPDATE source_groups SET ${fields.join(', ')}
+       WHERE id = $${paramIndex} AND app_id = $${paramIndex + 1}
+       RETURNING id`,
+      values
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+  }
+
+  return getSourceGroupById(groupId, appId);
+}
+
+/**
+ * Delete a source group (its sources are kept)
+ * @param {string} groupId - Group ID
+ * @param {string} appId - App ID (for security)
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function deleteSourceGroup(groupId, appId) {
+  const result = await query(
+    'DELETE FROM source_groups WHERE id = $1 AND app_id = $2',
+    [groupId, appId]
+  );
+  return result.rowCount > 0;
+}
+
+export default {
+  slugify,
+  getEffectiveSelectionMode,
+  listSourceGroups,
+  getSourceGroupById,
+  findProxyGroup,
+  getGroupSources,
+  setGroupMember,
+  removeGroupMember,
+  createSourceGroup,
+  ensureSourceGroup,
+  updateSourceGroup,
+  deleteSourceGroup,
+};
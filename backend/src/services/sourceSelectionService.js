@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import { getRedisClient, isRedisAvailable } from '../db/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Source Selection Service
+ * Orders the member sources of a source group by the group's selection strategy.
+ * Round-robin counters, outstanding requests and latency averages live in Redis when
+ * it is available so every replica sees the same numbers, else in memory.
+ *
+ * priority           - failover in priority order
+ * round-robin        - one source per request in rotation (no failover)
+ * weighted           - rotation proportional to member weight, rest as failover
+ * least-outstanding  - fewest in-flight upstream requests first
+ * ewma-latency       - lowest moving average upstream latency first
+ * cost-aware         - cheapest cost_per_request first (unset costs last)
+ */
+
+export const SELECTION_MODES = ['priority', 'round-robin', 'weighted', 'least-outstanding', 'ewma-latency', 'cost-aware'];
+
+const REDIS_COUNTER_PREFIX = 'source-selection:counter';
+const REDIS_OUTSTANDING_PREFIX = 'source-selection:outstanding';
+const REDIS_LATENCY_KEY = 'source-selection:ewma';
+
+// Weight of the newest latency sample in the moving average
+const EWMA_ALPHA = 0.3;
+
+// In-flight requests older than this no longer count (a replica died mid-request)
+const OUTSTANDING_TTL_SECONDS = 300;
+
+const memoryCounters = new Map();
+const memoryOutstanding = new Map();
+const memoryLatency = new Map();
+
+/**
+ * Get the Redis client when selection state should be shared
+ * @returns {Promise<object|null>}
+ */
+async function getSharedClient() {
+  if (!isRedisAvailable()) {
+    return null;
+  }
+  return getRedisClient();
+}
+
+/**
+ * Take the next value of a group's rotation counter
+ * @param {string} appId - App ID
+ * @param {string} groupKey - Group ID (or source ID for a source outside any group)
+ * @returns {Promise<number>} - Counter value before the increment
+ */
+async function nextCounter(appId, groupKey) {
+  const key = `${appId}:${groupKey}`;
+  const redis = await getSharedClient();
+  if (redis) {
+    try {
+      return (await redis.incr(`${REDIS_COUNTER_PREFIX}:${key}`)) - 1;
+    } catch (err) {
+      logger.warn({ err: err.message }, '[nextCounter] Redis counter failed, using memory');
+    }
+  }
+  const value = memoryCounters.get(key) || 0;
+  memoryCounters.set(key, value + 1);
+  return value;
+}
+
+/**
+ * Read a per-source metric for the given sources
+ * @param {string} redisKey - Redis hash holding the metric
+ * @param {Map} memoryMap - In-memory fallback
+ * @param {array} sources - Sources
+ * @returns {Promise<Map>} - Source ID -> value (missing = 0)
+ */
+async function readSourceMetric(redisKey, memoryMap, sources) {
+  const values = new Map();
+  const redis = await getSharedClient();
+  if (redis) {
+    try {
+      const raw = await redis.hmGet(redisKey, sources.map(source => source.id));
+      sources.forEach((source, index) => values.set(source.id, parseFloat(raw[index]) || 0));
+      return values;
+    } catch (err) {
+      logger.warn({ err: err.message }, '[readSourceMetric] Redis read failed, using memory');
+    }
+  }
+  for (const source of sources) {
+    values.set(source.id, memoryMap.get(source.id) || 0);
+  }
+  return values;
+}
+
+/**
+ * Read the in-flight request count of the given sources
+ * Each source has a sorted set of in-flight request IDs scored by start time, so entries
+ * left by a dead replica age out on their own instead of keeping a shared counter alive.
+ * @param {array} sources - Sources
+ * @returns {Promise<Map>} - Source ID -> in-flight requests
+ */
+async function readOutstanding(sources) {
+  const values = new Map();
+  const redis = await getSharedClient();
+  if (redis) {
+    try {
+      const cutoff = Date.now() - OUTSTANDING_TTL_SECONDS * 1000;
+      const multi = redis.multi();
+      for (const source of sources) {
+        const key = `${REDIS_OUTSTANDING_PREFIX}:${source.id}`;
+        multi.zRemRangeByScore(key, '-inf', cutoff).zCard(key);
+      }
+      const replies = await multi.exec();
+      sources.forEach((source, index) => values.set(source.id, Number(replies[index * 2 + 1]) || 0));
+      return values;
+    } catch (err) {
+      logger.warn({ err: err.message }, '[readOutstanding] Redis read failed, using memory');
+    }
+  }
+  for (const source of sources) {
+    values.set(source.id, memoryOutstanding.get(source.id) || 0);
+  }
+  return values;
+}
+
+/**
+ * Sort sources by a metric, keeping priority order for ties
+ * @param {array} sources - Sources in priority order
+ * @param {function} metric - Source -> number (lower is preferred)
+ * @returns {array}
+ */
+function sortByMetric(sources, metric) {
+  return sources
+    .map((source, index) => ({ source, index, value: metric(source) }))
+    .sort((a, b) => (a.value - b.value) || (a.index - b.index))
+    .map(item => item.source);
+}
+
+/**
+ * Pick a source for a rotation position, proportional to member_weight
+ * @param {array} sources - Sources in priority order
+ * @param {number} position - Rotation counter value
+ * @returns {object|null} - Chosen source, or null if every weight is 0
+ */
+function pickWeighted(sources, position) {
+  const weights = sources.map(source => Math.max(0, source.member_weight ?? 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return null;
+  }
+  let offset = position % total;
+  for (let i = 0; i < sources.length; i++) {
+    if (offset < weights[i]) {
+      return sources[i];
+    }
+    offset -= weights[i];
+  }
+  return null;
+}
+
+/**
+ * Check whether a source's active health check currently marks it unhealthy
+ * @param {object} source - Source row
+ * @returns {boolean}
+ */
+export function isSourceUnhealthy(source) {
+  return source.health_status === 'unhealthy'
+    && !!source.health_check_config
+    && source.health_check_config.enabled !== false;
+}
+
+/**
+ * Drop sources marked unhealthy by their health check
+ * When every source is unhealthy the list is kept: trying them beats failing outright.
+ * @param {array} sources - Source rows
+ * @returns {array}
+ */
+export function filterHealthySources(sources) {
+  const healthy = sources.filter(source => !isSourceUnhealthy(source));
+  return healthy.length > 0 ? healthy : sources;
+}
+
+/**
+ * Order a group's sources for a request
+ * @param {string} appId - App ID
+ * @param {string} groupKey - Group ID (or source ID for a source outside any group)
+ * @param {array} sources - Active member sources in member priority order
+ * @param {string} selectionMode - One of SELECTION_MODES
+ * @returns {Promise<array>} - Sources to try, in order
+ */
+export async function orderGroupSources(appId, groupKey, sources, selectionMode) {
+  if (sources.length <= 1) {
+    return sources;
+  }
+
+  switch (selectionMode) {
+    case 'round-robin': {
+      const position = await nextCounter(appId, groupKey);
+      return [sources[position % sources.length]];
+    }
+    case 'weighted': {
+      const chosen = pickWeighted(sources, await nextCounter(appId, groupKey));
+      return chosen ? [chosen, ...sources.filter(source => source !== chosen)] : sources;
+    }
+    case 'least-outstanding': {
+      const outstanding = await readOutstanding(sources);
+      return sortByMetric(sources, source => outstanding.get(source.id));
+    }
+    case 'ewma-latency': {
+      // Sources without samples sort first so they get measured
+      const latency = await readSourceMetric(REDIS_LATENCY_KEY, memoryLatency, sources);
+      return sortByMetric(sources, source => latency.get(source.id));
+    }
+    case 'cost-aware':
+      return sortByMetric(sources, source => (source.cost_per_request === null || source.cost_per_request === undefined
+        ? Infinity
+        : parseFloat(source.cost_per_request)));
+    default:
+      return sources;
+  }
+}
+
+/**
+ * Count an upstream request to a source as in flight
+ * @param {string} sourceId - Source ID
+ * @returns {object} - Handle to pass to trackRequestEnd
+ */
+export function trackRequestStart(sourceId) {
+  memoryOutstanding.set(sourceId, (memoryOutstanding.get(sourceId) || 0) + 1);
+  const handle = { sourceId, requestId: crypto.randomUUID(), added: Promise.resolve() };
+  if (!isRedisAvailable()) {
+    return handle;
+  }
+  const key = `${REDIS_OUTSTANDING_PREFIX}:${sourceId}`;
+  handle.added = getRedisClient()
+    .then(redis => redis?.multi()
+      .zAdd(key, { score: Date.now(), value: handle.requestId })
+      .expire(key, OUTSTANDING_TTL_SECONDS)
+      .exec())
+    .catch(err => logger.debug({ err: err.message }, '[trackRequestStart] Redis update failed'));
+  return handle;
+}
+
+/**
+ * Count an upstream request to a source as finished
+ * The removal waits for the add so a fast request cannot leave its ID behind.
+ * @param {object} handle - Handle from trackRequestStart
+ */
+export function trackRequestEnd(handle) {
+  const { sourceId } = handle;
+  memoryOutstanding.set(sourceId, Math.max(0, (memoryOutstanding.get(sourceId) || 0) - 1));
+  if (!isRedisAvailable()) {
+    return;
+  }
+  handle.added
+    .then(() => getRedisClient())
+    .then(redis => redis?.zRem(`${REDIS_OUTSTANDING_PREFIX}:${sourceId}`, handle.requestId))
+    .catch(err => logger.debug({ err: err.message }, '[trackRequestEnd] Redis update failed'));
+}
+
+/**
+ * Fold an upstream latency sample into a source's moving average
+ * The Redis read-modify-write is not atomic; a lost sample only nudges the average.
+ * @param {string} sourceId - Source ID
+ * @param {number} latencyMs - Observed latency (failures count as the source timeout)
+ */
+export function recordSourceLatency(sourceId, latencyMs) {
+  const blend = (previous) => (previous ? EWMA_ALPHA * latencyMs + (1 - EWMA_ALPHA) * previous : latencyMs);
+  memoryLatency.set(sourceId, blend(memoryLatency.get(sourceId)));
+  if (!isRedisAvailable()) {
+    return;
+  }
+  getRedisClient()
+    .then(async redis => {
+      if (!redis) return;
+      const previous = parseFloat(await redis.hGet(REDIS_LATENCY_KEY, sourceId)) || 0;
+      await redis.hSet(REDIS_LATENCY_KEY, sourceId, String(Math.round(blend(previous))));
+    })
+    .catch(err => logger.debug({ err: err.message }, '[recordSourceLatency] Redis update failed'));
+}
+
+export default {
+  SELECTION_MODES,
+  isSourceUnhealthy,
+  filterHealthySources,
+  orderGroupSources,
+  trackRequestStart,
+  trackRequestEnd,
+  recordSourceLatency,
+};
@@ -1,6 +1,11 @@
-import { query } from '../db/pool.js';
+import { query, withTransaction } from '../db/pool.js';
 import logger from '../utils/logger.js';
 import { encrypt, decrypt, maskSecret } from '../utils/crypto.js';
+import { validateCacheKeyRules } from '../utils/cacheKey.js';
+import { validateTransformRules } from '../utils/responseTransform.js';
+import { purgeL1App } from './l1CacheService.js';
+import { invalidateOutdatedTransformEntries } from './cacheInvalidationService.js';
+import { ensureSourceGroup, setGroupMember } from './sourceGroupService.js';
 import axios from 'axios';
 
 // Hard-coded demo limit - DO NOT make this configurable
@@ -30,56 +35,27 @@ function extractHostname(url) {
   }
 }
 
-/**
- * Extract canonical name from source name
- * @param {string} sourceName - Source name
- * @returns {string} - Canonical name (base name before " - " or first word)
- */
-function extractCanonicalName(sourceName) {
-  const dashIndex = sourceName.indexOf(' - ');
-  const spaceIndex = sourceName.indexOf(' ');
-  
-  if (dashIndex > 0) {
-    return sourceName.substring(0, dashIndex);
-  } else if (spaceIndex > 0 && !sourceName.match(/^[A-Z][a-z]+ [A-Z]/)) {
-    // Only use first word if it's not a proper name (like "JSONPlaceholder API")
-    return sourceName.split(' ')[0];
-  }
-  return sourceName;
-}
-
-/**
- * Get sources by canonical name
- * @param {string} appId - App ID
- * @param {string} canonicalName - Canonical name to match
- * @returns {array} - List of related sources
- */
-export async function getSourcesByCanonicalName(appId, canonicalName) {
-  const result = await query(
-    `SELECT * FROM app_sources 
-     WHERE app_id = $1 
-     AND (
-       LOWER(name) = LOWER($2) 
-       OR LOWER(name) LIKE LOWER($2 || ' - %')
-       OR LOWER(name) LIKE LOWER($2 || ' %')
-     )
-     ORDER BY priority ASC`,
-    [appId, canonicalName]
-  );
-  return result.rows;
-}
-
 /**
  * Get sources for an app
  * @param {string} appId - App ID
- * @returns {array} - List of sources (with masked secrets)
+ * @returns {array} - List of sources (with masked secrets and their source groups)
  */
 export async function getSourcesByAppId(appId) {
   const result = await query(
     `SELECT id, app_id, name, base_url, auth_type, priority, timeout_ms, 
-            retry_count, circuit_breaker_threshold, is_active, storage_mode, 
+            retry_count, retry_non_idempotent, circuit_breaker_threshold, is_active, storage_mode, 
             storage_pool_id, vary_headers, kill_switch_enabled, bypass_bot_detection, 
-            fallback_mode, cost_per_request, created_at, updated_at
+            fallback_mode, fallback_source_id, fallback_path_template, stale_if_error_seconds, cost_per_request, cache_key_rules, max_cacheable_bytes, transform_rules, transform_version, 
+            health_check_config, health_status, health_checked_at, health_changed_at, created_at, updated_at,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                'id', g.id, 'name', g.name, 'slug', g.slug, 'selection_mode', g.selection_mode,
+                'hedging_enabled', g.hedging_enabled, 'priority', m.priority, 'weight', m.weight
+              ) ORDER BY m.created_at)
+              FROM source_group_members m
+              JOIN source_groups g ON g.id = m.group_id
+              WHERE m.source_id = app_sources.id
+            ), '[]') as groups
      FROM app_sources
      WHERE app_id = $1
      ORDER BY priority ASC`,
@@ -160,14 +136,26 @@ export async function createSource(appId, sourceData) {
     priority = 0,
     timeout_ms = 30000,
     retry_count = 3,
+    retry_non_idempotent = false,
     circuit_breaker_threshold = 5,
     storage_mode = 'dedicated',
     storage_pool_id = null,
     bypass_bot_detection = false,
     fallback_mode = 'none',
+    fallback_source_id = null,
+    fallback_path_template = null,
+    stale_if_error_seconds = null,
     cost_per_request = null,
+    cache_key_rules = null,
+    max_cacheable_bytes = null,
+    transform_rules = null,
+    health_check_config = null,
+    group_id = null,
   } = sourceData;
   
+  validateCacheKeyRules(cache_key_rules);
+  validateTransformRules(transform_rules);
+  
   // Validate storage mode
   if (storage_mode === 'shared' && !storage_pool_id) {
     throw new Error('storage_pool_id is required when storage_mode is "shared"');
@@ -218,18 +206,48 @@ export async function createSource(appId, sourceData) {
   
   const vary_headers = sourceData.vary_headers || ['accept', 'content-type', 'x-api-version'];
   
+  // The source and its group membership are created together or not at all
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO app_sources 
+       (app_id, name, base_url, auth_type, auth_config_encrypted, headers_encrypted,
+        priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, storage_pool_id, vary_headers, bypass_bot_detection, fallback_mode, cost_per_request, retry_non_idempotent, fallback_source_id, fallback_path_template, stale_if_error_seconds, cache_key_rules, max_cacheable_bytes, transform_rules, health_check_config)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+       RETURNING id, app_id, name, base_url, auth_type, priority, timeout_ms,
+                 retry_count, retry_non_idempotent, circuit_breaker_threshold, is_active, storage_mode, storage_pool_id, vary_headers, kill_switch_enabled, bypass_bot_detection, fallback_mode, fallback_source_id, fallback_path_template, stale_if_error_seconds, cost_per_request, cache_key_rules, max_cacheable_bytes, transform_rules, transform_version, health_check_config, health_status, created_at`,
+      [appId, name, base_url, auth_type, authConfigEncrypted, headersEncrypted,
+       priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, storage_pool_id, JSON.stringify(vary_headers), bypass_bot_detection, fallback_mode, cost_per_request, retry_non_idempotent, fallback_source_id, fallback_path_template, stale_if_error_seconds,
+       cache_key_rules ? JSON.stringify(cache_key_rules) : null, max_cacheable_bytes,
+       transform_rules ? JSON.stringify(transform_rules) : null,
+       health_check_config ? JSON.stringify(health_check_config) : null]
+    );
+    const source = result.rows[0];
+    
+    // Join the requested group, else the group named like the source so /proxy/<slug> reaches it
+    const groupId = group_id || (await ensureSourceGroup(appId, name, client)).id;
+    await setGroupMember(groupId, source.id, appId, { priority: source.priority }, client);
+    
+    return source;
+  });
+}
+
+/**
+ * Remember header names an upstream listed in Vary (origin-driven caching)
+ * @param {string} sourceId - Source ID
+ * @param {array} headerNames - Lowercase header names
+ * @returns {array} - All learned header names for the source
+ */
+export async function addOriginVaryHeaders(sourceId, headerNames) {
   const result = await query(
-    `INSERT INTO app_sources 
-     (app_id, name, base_url, auth_type, auth_config_encrypted, headers_encrypted,
-      priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, storage_pool_id, vary_headers, bypass_bot_detection, fallback_mode, cost_per_request)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-     RETURNING id, app_id, name, base_url, auth_type, priority, timeout_ms,
-               retry_count, circuit_breaker_threshold, is_active, storage_mode, storage_pool_id, vary_headers, kill_switch_enabled, bypass_bot_detection, fallback_mode, cost_per_request, created_at`,
-    [appId, name, base_url, auth_type, authConfigEncrypted, headersEncrypted,
-     priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, storage_pool_id, JSON.stringify(vary_headers), bypass_bot_detection, fallback_mode, cost_per_request]
+    `UPDATE app_sources SET origin_vary_headers = (
+       SELECT jsonb_agg(DISTINCT name ORDER BY name)
+       FROM jsonb_array_elements_text(COALESCE(origin_vary_headers, '[]'::jsonb) || $2::jsonb) AS name
+     )
+     WHERE id = $1
+     RETURNING origin_vary_headers`,
+    [sourceId, JSON.stringify(headerNames)]
   );
-  
-  return result.rows[0];
+  return result.rows[0]?.origin_vary_headers || headerNames;
 }
 
 /**
@@ -241,8 +259,8 @@ export async function createSource(appId, sourceData) {
  */
 export async function updateSource(sourceId, appId, updates) {
   const allowedFields = ['name', 'base_url', 'auth_type', 'priority', 'timeout_ms',
-                         'retry_count', 'circuit_breaker_threshold', 'is_active', 
-                         'storage_mode', 'storage_pool_id', 'vary_headers', 'kill_switch_enabled', 'bypass_bot_detection', 'fallback_mode', 'cost_per_request'];
+                         'retry_count', 'retry_non_idempotent', 'circuit_breaker_threshold', 'is_active', 
+                         'storage_mode', 'storage_pool_id', 'vary_headers', 'kill_switch_enabled', 'bypass_bot_detection', 'fallback_mode', 'fallback_source_id', 'fallback_path_template', 'stale_if_error_seconds', 'cost_per_request', 'max_cacheable_bytes'];
   
   const setClauses = [];
   const values = [];
@@ -334,6 +352,40 @@ export async function updateSource(sourceId, appId, updates) {
     paramIndex++;
   }
   
+  // Handle cache_key_rules (null clears the rules)
+  if (updates.cache_key_rules !== undefined) {
+    validateCacheKeyRules(updates.cache_key_rules);
+    setClauses.push(`cache_key_rules = $${paramIndex}`);
+    values.push(updates.cache_key_rules ? JSON.stringify(updates.cache_key_rules) : null);
+    paramIndex++;
+  }
+  
+  // Handle transform_rules (null clears the rules); a change bumps the version
+  if (updates.transform_rules !== undefined) {
+    validateTransformRules(updates.transform_rules);
+    const transformRules = updates.transform_rules ? JSON.stringify(updates.transform_rules) : null;
+    setClauses.push(`transform_rules = $${paramIndex}::jsonb`);
+    setClauses.push(`transform_version = CASE WHEN transform_rules IS DISTINCT FROM $${paramIndex}::jsonb
+                       THEN COALESCE(transform_version, 0) + 1 ELSE transform_version END`);
+    values.push(transformRules);
+    paramIndex++;
+  }
+  
+  // Handle health_check_config (null disables checks); a new config starts from unknown
+  if (updates.health_check_config !== undefined) {
+    setClauses.push(`health_check_config = $${paramIndex}::jsonb`);
+    setClauses.push(`health_status = CASE WHEN health_check_config IS DISTINCT FROM $${paramIndex}::jsonb
+                       THEN 'unknown' ELSE health_status END`);
+    setClauses.push(`health_consecutive_successes = CASE WHEN health_check_config IS DISTINCT FROM $${paramIndex}::jsonb
+                       THEN 0 ELSE health_consecutive_successes END`);
+    setClauses.push(`health_consecutive_failures = CASE WHEN health_check_config IS DISTINCT FROM $${paramIndex}::jsonb
+                       THEN 0 ELSE health_consecutive_failures END`);
+    setClauses.push(`health_checked_at = CASE WHEN health_check_config IS DISTINCT FROM $${paramIndex}::jsonb
+                       THEN NULL ELSE health_checked_at END`);
+    values.push(updates.health_check_config ? JSON.stringify(updates.health_check_config) : null);
+    paramIndex++;
+  }
+  
   if (setClauses.length === 0) {
     return getSourceById(sourceId, appId);
   }
@@ -345,12 +397,22 @@ export async function updateSource(sourceId, appId, updates) {
     `UPDATE app_sources SET ${setClauses.join(', ')}
      WHERE id = $${paramIndex} AND app_id = $${paramIndex + 1}
      RETURNING id, app_id, name, base_url, auth_type, priority, timeout_ms,
-               retry_count, circuit_breaker_threshold, is_active, storage_mode, storage_pool_id, vary_headers, kill_switch_enabled, fallback_mode, cost_per_request, updated_at`,
+               retry_count, retry_non_idempotent, circuit_breaker_threshold, is_active, storage_mode, storage_pool_id, vary_headers, kill_switch_enabled, fallback_mode, fallback_source_id, fallback_path_template, stale_if_error_seconds, cost_per_request, cache_key_rules, max_cacheable_bytes, transform_rules, transform_version, health_check_config, health_status, updated_at`,
     values
   );
   
   const updatedSource = result.rows[0] || null;
   
+  // Entries produced by the previous transform version must not be served again
+  if (updatedSource && updatedSource.transform_version !== currentSource.transform_version) {
+    try {
+      const invalidated = await invalidateOutdatedTransformEntries(appId, sourceId, updatedSource.transform_version);
+      logger.info({ sourceId, transformVersion: updatedSource.transform_version, invalidated }, '[updateSource] Invalidated entries of the previous transform version');
+    } catch (err) {
+      logger.error({ sourceId, err }, '[updateSource] Failed to invalidate entries of the previous transform version');
+    }
+  }
+  
   // If storage_pool_id changed, update all cache entries for this source
   if (updatedSource && (updates.storage_pool_id !== undefined || updates.storage_mode !== undefined)) {
     const oldPoolId = currentSource.storage_pool_id;
@@ -365,6 +427,8 @@ export async function updateSource(sourceId, appId, updates) {
            WHERE app_id = $2 AND source_id = $3`,
           [newPoolId, appId, sourceId]
         );
+        // Copies under the old pool key would otherwise keep serving from L1
+        await purgeL1App(appId);
         logger.info({ sourceId, oldPoolId, newPoolId }, '[updateSource] Migrated cache entries for source');
       } catch (err) {
         logger.error({ sourceId, err }, '[updateSource] Failed to migrate cache entries for source');
@@ -484,7 +548,14 @@ export async function createMultipleSources(appId, baseConfig, urlEntries) {
     cost_per_request = null,
     is_active = true,
     vary_headers = ['accept', 'content-type', 'x-api-version'],
+    cache_key_rules = null,
+    transform_rules = null,
+    health_check_config = null,
+    group_id = null,
   } = baseConfig;
+  
+  validateCacheKeyRules(cache_key_rules);
+  validateTransformRules(transform_rules);
 
   // Validate: multi-URL sources must use shared storage
   if (urlEntries.length > 1 && storage_mode === 'dedicated') {
@@ -563,11 +634,12 @@ export async function createMultipleSources(appId, baseConfig, urlEntries) {
     }
   }
 
-  // Create sources in transaction
-  const createdSources = [];
-  
-  // Use a transaction-like approach: create all or rollback on error
-  try {
+  // Create all sources and their group memberships in one transaction
+  return withTransaction(async (client) => {
+    // All URLs join one group: the requested one, else the group named like the base name
+    const groupId = group_id || (await ensureSourceGroup(appId, baseName, client)).id;
+    const createdSources = [];
+    
     for (let i = 0; i < urlEntries.length; i++) {
       const entry = urlEntries[i];
       const sourceName = sourceNames[i];
@@ -588,27 +660,26 @@ export async function createMultipleSources(appId, baseConfig, urlEntries) {
       const authConfigEncrypted = auth_config ? encrypt(JSON.stringify(auth_config)) : null;
       const headersEncrypted = headers ? encrypt(JSON.stringify(headers)) : null;
       
-      const result = await query(
+      const result = await client.query(
         `INSERT INTO app_sources 
          (app_id, name, base_url, auth_type, auth_config_encrypted, headers_encrypted,
-          priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, storage_pool_id, vary_headers, bypass_bot_detection, fallback_mode, cost_per_request, is_active)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+          priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, storage_pool_id, vary_headers, bypass_bot_detection, fallback_mode, cost_per_request, is_active, cache_key_rules, transform_rules, health_check_config)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
          RETURNING id, app_id, name, base_url, auth_type, priority, timeout_ms,
-                   retry_count, circuit_breaker_threshold, is_active, storage_mode, storage_pool_id, vary_headers, kill_switch_enabled, bypass_bot_detection, fallback_mode, cost_per_request, created_at`,
+                   retry_count, circuit_breaker_threshold, is_active, storage_mode, storage_pool_id, vary_headers, kill_switch_enabled, bypass_bot_detection, fallback_mode, cost_per_request, cache_key_rules, transform_rules, transform_version, health_check_config, health_status, created_at`,
         [appId, sourceName, base_url, auth_type, authConfigEncrypted, headersEncrypted,
-         priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, sharedPoolId, JSON.stringify(vary_headers), bypass_bot_detection, fallback_mode, cost_per_request, is_active]
+         priority, timeout_ms, retry_count, circuit_breaker_threshold, storage_mode, sharedPoolId, JSON.stringify(vary_headers), bypass_bot_detection, fallback_mode, cost_per_request, is_active,
+         cache_key_rules ? JSON.stringify(cache_key_rules) : null,
+         transform_rules ? JSON.stringify(transform_rules) : null,
+         health_check_config ? JSON.stringify(health_check_config) : null]
       );
       
+      await setGroupMember(groupId, result.rows[0].id, appId, { priority: result.rows[0].priority }, client);
       createdSources.push(result.rows[0]);
     }
-  } catch (err) {
-    // If any source creation fails, try to clean up created sources
-    // Note: In a real transaction, this would be automatic, but we're using individual queries
-    // For now, we'll let the error propagate - the user can retry
-    throw err;
-  }
-
-  return createdSources;
+    
+    return createdSources;
+  });
 }
 
 export default {
@@ -618,9 +689,9 @@ export default {
   createSource,
   createMultipleSources,
   updateSource,
+  addOriginVaryHeaders,
   deleteSource,
   testSourceConnectivity,
   getActiveSourcesByPriority,
-  getSourcesByCanonicalName,
 };
 
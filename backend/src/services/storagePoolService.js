@@ -1,6 +1,8 @@
 import { query } from '../db/pool.js';
 import logger from '../utils/logger.js';
 import { listCacheEntriesByPool, purgePoolCache, getPoolCacheStats, getPoolStorageSize } from './cacheService.js';
+import { invalidateL1Entries } from './l1CacheService.js';
+import { enforcePoolQuota } from './evictionService.js';
 
 /**
  * Create a new storage pool
@@ -9,13 +11,20 @@ import { listCacheEntriesByPool, purgePoolCache, getPoolCacheStats, getPoolStora
  * @returns {object} - Created pool
  */
 export async function createStoragePool(appId, poolData) {
-  const { name, description = null } = poolData;
+  const {
+    name,
+    description = null,
+    compression = 'none',
+    max_size_bytes = null,
+    max_entries = null,
+    eviction_policy = 'lru',
+  } = poolData;
   
   const result = await query(
-    `INSERT INTO storage_pools (app_id, name, description)
-     VALUES ($1, $2, $3)
+    `INSERT INTO storage_pools (app_id, name, description, compression, max_size_bytes, max_entries, eviction_policy)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
      RETURNING *`,
-    [appId, name, description]
+    [appId, name, description, compression, max_size_bytes, max_entries, eviction_policy]
   );
   
   return result.rows[0];
@@ -117,7 +126,7 @@ export async function getStoragePoolById(poolId, appId) {
  * @returns {object|null} - Updated pool or null
  */
 export async function updateStoragePool(poolId, appId, updates) {
-  const allowedFields = ['name', 'description'];
+  const allowedFields = ['name', 'description', 'compression', 'max_size_bytes', 'max_entries', 'eviction_policy'];
   const setClauses = [];
   const values = [];
   let paramIndex = 1;
@@ -143,8 +152,18 @@ export async function updateStoragePool(poolId, appId, updates) {
      RETURNING *`,
     values
   );
+  const pool = result.rows[0] || null;
+  
+  // A lowered quota takes effect now rather than on the next write or sweep
+  if (pool && (updates.max_size_bytes !== undefined || updates.max_entries !== undefined || updates.eviction_policy !== undefined)) {
+    try {
+      await enforcePoolQuota(appId, pool);
+    } catch (err) {
+      logger.error({ poolId, err: err.message }, '[updateStoragePool] Failed to enforce pool quota');
+    }
+  }
   
-  return result.rows[0] || null;
+  return pool;
 }
 
 /**
@@ -218,6 +237,27 @@ export async function getPoolStatistics(poolId, appId) {
   
   const stats = await getPoolCacheStats(appId, poolId);
   
+  // Compression savings (only bodies stored compressed are counted)
+  const compressionResult = await query(
+    `SELECT 
+       COUNT(*) as compressed_entries,
+       COALESCE(SUM(octet_length(response_body_binary)), 0) as stored_bytes,
+       COALESCE(SUM(uncompressed_size), 0) as uncompressed_bytes
+     FROM cache_entries
+     WHERE app_id = $1 AND storage_pool_id = $2 AND body_compression IS NOT NULL`,
+    [appId, poolId]
+  );
+  const compressionRow = compressionResult.rows[0] || {};
+  
+  // Quota usage, measured the way eviction measures it
+  const usageResult = await query(
+    `SELECT COUNT(*) as entry_count, COALESCE(SUM(entry_size_bytes), 0) as total_bytes
+     FROM cache_entries
+     WHERE app_id = $1 AND storage_pool_id = $2`,
+    [appId, poolId]
+  );
+  const usageRow = usageResult.rows[0] || {};
+  
   // Get sources using the pool
   const sourcesResult = await query(
     `SELECT 
@@ -265,6 +305,22 @@ export async function getPoolStatistics(poolId, appId) {
       ...stats,
       sources: sourcesResult.rows || [],
       age_info: ageResult.rows[0] || {},
+      compression: {
+        encoding: pool.compression || 'none',
+        compressed_entries: parseInt(compressionRow.compressed_entries || 0, 10),
+        stored_bytes: parseInt(compressionRow.stored_bytes || 0, 10),
+        uncompressed_bytes: parseInt(compressionRow.uncompressed_bytes || 0, 10),
+      },
+      eviction: {
+        policy: pool.eviction_policy || 'lru',
+        max_size_bytes: pool.max_size_bytes !== null ? parseInt(pool.max_size_bytes, 10) : null,
+        max_entries: pool.max_entries,
+        used_bytes: parseInt(usageRow.total_bytes || 0, 10),
+        used_entries: parseInt(usageRow.entry_count || 0, 10),
+        evicted_count: parseInt(pool.evicted_count || 0, 10),
+        evicted_bytes: parseInt(pool.evicted_bytes || 0, 10),
+        last_evicted_at: pool.last_evicted_at || null,
+      },
       top_urls: topUrlsResult.rows || [],
     };
   } catch (err) {
@@ -369,9 +425,10 @@ export async function bulkUpdatePoolCache(poolId, appId, entryIds, updates) {
      WHERE id IN (${placeholders}) 
      AND storage_pool_id = $${paramIndex + entryIds.length} 
      AND app_id = $${paramIndex + entryIds.length + 1}
-     RETURNING id`,
+     RETURNING cache_key, source_id, storage_pool_id`,
     values
   );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
@@ -443,9 +500,10 @@ export async function bulkUpdatePoolCacheByFilter(poolId, appId, filters, update
     `UPDATE cache_entries 
      SET ${setClauses.join(', ')}
      WHERE ${whereClause}
-     RETURNING id`,
+     RETURNING cache_key, source_id, storage_pool_id`,
     params
   );
+  await invalidateL1Entries(appId, result.rows);
   
   return result.rowCount;
 }
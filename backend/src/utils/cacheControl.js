@@ -0,0 +1,96 @@
+/**
+ * Utility functions for origin-driven caching: Cache-Control, Expires and Vary (RFC 9111)
+ */
+
+/**
+ * Parse a Cache-Control header into directives
+ * @param {string|null} value - Header value
+ * @returns {object} - Directives keyed by lowercase name (value string, or true if valueless)
+ */
+export function parseCacheControl(value) {
+  const directives = {};
+  if (!value) {
+    return directives;
+  }
+
+  for (const part of String(value).split(',')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (!name) continue;
+    directives[name.toLowerCase()] = rest.length > 0 ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+  }
+
+  return directives;
+}
+
+/**
+ * Parse a Vary header
+ * @param {string|null} value - Header value
+ * @returns {object} - { any: true if "Vary: *", headers: lowercase header names }
+ */
+export function parseVary(value) {
+  if (!value) {
+    return { any: false, headers: [] };
+  }
+
+  const headers = String(value)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    any: headers.includes('*'),
+    headers: headers.filter(name => name !== '*'),
+  };
+}
+
+/**
+ * Derive cacheability and TTL from upstream response headers
+ * s-maxage wins over max-age (we are a shared cache), both minus Age; otherwise Expires - Date.
+ * Without freshness information the fallback TTL is used.
+ * @param {object} headers - Upstream response headers (lowercase names)
+ * @param {number} fallbackTtl - TTL to use when the origin gives none (0 = forever)
+ * @returns {object} - { cacheable, ttl, reason }
+ */
+export function getOriginTtl(headers = {}, fallbackTtl = 0) {
+  const directives = parseCacheControl(headers['cache-control']);
+
+  for (const directive of ['no-store', 'private', 'no-cache']) {
+    if (directives[directive]) {
+      return { cacheable: false, ttl: null, reason: directive };
+    }
+  }
+
+  if (parseVary(headers.vary).any) {
+    return { cacheable: false, ttl: null, reason: 'vary-any' };
+  }
+
+  const age = parseInt(headers.age, 10) || 0;
+  const maxAge = directives['s-maxage'] ?? directives['max-age'];
+  if (maxAge !== undefined) {
+    const seconds = parseInt(maxAge, 10);
+    if (!Number.isFinite(seconds) || seconds - age <= 0) {
+      return { cacheable: false, ttl: null, reason: 'max-age' };
+    }
+    return { cacheable: true, ttl: seconds - age, reason: directives['s-maxage'] !== undefined ? 's-maxage' : 'max-age' };
+  }
+
+  if (headers.expires !== undefined) {
+    // An invalid Expires value means "already expired"
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date);
+    const now = Number.isNaN(date) ? Date.now() : date;
+    const seconds = Number.isNaN(expires) ? 0 : Math.floor((expires - now) / 1000);
+    if (seconds <= 0) {
+      return { cacheable: false, ttl: null, reason: 'expires' };
+    }
+    return { cacheable: true, ttl: seconds, reason: 'expires' };
+  }
+
+  return { cacheable: true, ttl: fallbackTtl, reason: 'default' };
+}
+
+export default {
+  parseCacheControl,
+  parseVary,
+  getOriginTtl,
+};
@@ -1,5 +1,12 @@
 import crypto from 'crypto';
 
+// Headers included in the key when a source configures no vary_headers
+export const DEFAULT_VARY_HEADERS = ['accept', 'content-type', 'x-api-version'];
+
+// Headers carrying the caller's APi-Saver key; the proxy strips them before keying, so
+// claim rules cannot read them
+export const CREDENTIAL_HEADERS = ['authorization', 'x-api-key'];
+
 /**
  * Generate a deterministic cache key from request parameters
  * @param {string} method - HTTP method
@@ -8,23 +15,52 @@ import crypto from 'crypto';
  * @param {object} headers - Significant headers to include in key
  * @param {string} sourceId - Optional source ID for dedicated storage mode
  * @param {array} varyHeaders - Optional array of header names to include in cache key (from source config)
+ * @param {object|null} keyRules - Optional cache key rules (from source config, see validateCacheKeyRules)
  * @returns {string} - SHA-256 hash as cache key
  */
-export function generateCacheKey(method, url, body = null, headers = {}, sourceId = null, varyHeaders = null) {
+export function generateCacheKey(method, url, body = null, headers = {}, sourceId = null, varyHeaders = null, keyRules = null) {
+  const keyString = JSON.stringify(buildKeyComponents(method, url, body, headers, sourceId, varyHeaders, keyRules));
+  return crypto.createHash('sha256').update(keyString).digest('hex');
+}
+
+/**
+ * Describe the normalized components a cache key is hashed from
+ * Same arguments as generateCacheKey; used to preview keys for a source.
+ * @returns {object} - { cache_key, components }
+ */
+export function describeCacheKey(method, url, body = null, headers = {}, sourceId = null, varyHeaders = null, keyRules = null) {
+  const components = buildKeyComponents(method, url, body, headers, sourceId, varyHeaders, keyRules);
+  return {
+    cache_key: crypto.createHash('sha256').update(JSON.stringify(components)).digest('hex'),
+    components,
+  };
+}
+
+/**
+ * Build the normalized object that is hashed into a cache key
+ */
+function buildKeyComponents(method, url, body, headers, sourceId, varyHeaders, keyRules) {
+  const rules = keyRules || {};
   const normalized = {
     method: method.toUpperCase(),
-    url: normalizeUrl(url),
-    body: normalizeBody(body),
-    headers: normalizeHeaders(headers, varyHeaders)
+    url: normalizeUrl(url, rules),
+    body: normalizeBody(applyBodyRules(body, rules.body)),
+    headers: normalizeHeaders(headers || {}, getKeyHeaderNames(varyHeaders, rules))
   };
   
+  // Claims are only added when rules ask for them so existing keys stay unchanged
+  const claims = extractClaims(headers || {}, rules.claims);
+  if (claims) {
+    normalized.claims = claims;
+    normalized.claim_tokens = hashClaimTokens(headers || {}, rules.claims);
+  }
+  
   // Include sourceId in key for dedicated storage mode
   if (sourceId) {
     normalized.sourceId = sourceId;
   }
   
-  const keyString = JSON.stringify(normalized);
-  return crypto.createHash('sha256').update(keyString).digest('hex');
+  return normalized;
 }
 
 /**
@@ -39,12 +75,42 @@ export function hashBody(body) {
   return crypto.createHash('sha256').update(normalized).digest('hex');
 }
 
+/**
+ * Pick the headers that participate in the cache key
+ * @param {object} headers - Request headers
+ * Headers named by cache key rules (extra headers, claim headers) are included so a
+ * stored request can be replayed to the same key.
+ * @param {array|null} varyHeaders - Optional array of header names (from source config)
+ * @param {object|null} keyRules - Optional cache key rules (from source config)
+ * @returns {object|null} - Vary-relevant headers (lowercase names) or null if none
+ */
+export function getVaryHeaders(headers = {}, varyHeaders = null, keyRules = null) {
+  const names = getKeyHeaderNames(varyHeaders, keyRules || {});
+  const claimHeaders = (keyRules?.claims || []).map(rule => rule.header);
+  return normalizeHeaders(headers || {}, mergeVaryHeaders(names, claimHeaders));
+}
+
+/**
+ * Combine a source's configured vary headers with headers learned from upstream Vary
+ * @param {array|null} varyHeaders - Configured vary headers (null = defaults)
+ * @param {array|null} originVaryHeaders - Header names from upstream Vary responses
+ * @returns {array|null} - Header names to include in the cache key
+ */
+export function mergeVaryHeaders(varyHeaders, originVaryHeaders) {
+  if (!originVaryHeaders || originVaryHeaders.length === 0) {
+    return varyHeaders;
+  }
+  const base = varyHeaders && varyHeaders.length > 0 ? varyHeaders : DEFAULT_VARY_HEADERS;
+  return [...new Set([...base, ...originVaryHeaders].map(h => h.toLowerCase()))];
+}
+
 /**
  * Normalize URL for consistent caching
  * - Sorts query parameters
  * - Normalizes trailing slashes (removes trailing slash from path, except for root)
+ * - Applies key rules: query include/exclude lists and path case folding
  */
-function normalizeUrl(url) {
+function normalizeUrl(url, rules = {}) {
   try {
     const parsed = new URL(url);
     
@@ -54,11 +120,16 @@ function normalizeUrl(url) {
     if (normalizedPath.length > 1 && normalizedPath.endsWith('/')) {
       normalizedPath = normalizedPath.slice(0, -1);
     }
+    if (rules.ignore_path_case) {
+      normalizedPath = normalizedPath.toLowerCase();
+    }
     parsed.pathname = normalizedPath;
     
-    // Sort query params for consistency
+    // Sort query params for consistency, keeping only those the rules key on
     const params = new URLSearchParams(parsed.search);
-    const sortedParams = new URLSearchParams([...params.entries()].sort());
+    const sortedParams = new URLSearchParams(
+      [...params.entries()].filter(([name]) => isQueryParamKeyed(name, rules.query)).sort()
+    );
     parsed.search = sortedParams.toString();
     
     return parsed.toString();
@@ -67,6 +138,257 @@ function normalizeUrl(url) {
   }
 }
 
+/**
+ * Check whether a query parameter participates in the key
+ * Patterns match whole names; "*" is a wildcard (e.g. "utm_*"). include wins over exclude.
+ * @param {string} name - Query parameter name
+ * @param {object|undefined} queryRules - { include, exclude }
+ * @returns {boolean}
+ */
+function isQueryParamKeyed(name, queryRules) {
+  if (!queryRules) return true;
+  const matches = (patterns) => patterns.some(pattern => globToRegExp(pattern).test(name));
+  if (Array.isArray(queryRules.include) && queryRules.include.length > 0) {
+    return matches(queryRules.include);
+  }
+  if (Array.isArray(queryRules.exclude) && queryRules.exclude.length > 0) {
+    return !matches(queryRules.exclude);
+  }
+  return true;
+}
+
+/**
+ * Convert a "*" wildcard pattern into an anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Parse a JSONPath expression (subset: $, .name, ['name'], [0], .* and [*])
+ * Also used by the response transform rules.
+ * @param {string} path - JSONPath, e.g. "$.filters.region" or "$.items[*].id"
+ * @returns {array} - Path segments (strings, numbers or "*")
+ */
+export function parseJsonPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Invalid JSONPath "${path}": must start with $`);
+  }
+  
+  const segments = [];
+  const rest = path.slice(1);
+  const pattern = /\.([A-Za-z_$][\w$-]*|\*)|\[(\d+|\*|'[^']*'|"[^"]*")\]/g;
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(rest)) !== null) {
+    if (match.index !== position) break;
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (/^\d+$/.test(match[2])) {
+      segments.push(Number(match[2]));
+    } else {
+      segments.push(match[2].replace(/^['"]|['"]$/g, ''));
+    }
+    position = pattern.lastIndex;
+  }
+  
+  if (position !== rest.length) {
+    throw new Error(`Invalid JSONPath "${path}"`);
+  }
+  return segments;
+}
+
+/**
+ * Copy the value at a path from source into target, creating containers as needed
+ */
+export function copyPath(source, target, segments) {
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(source) : [segment];
+  
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(source, key)) continue;
+    const value = source[key];
+    if (rest.length === 0) {
+      target[key] = value;
+      continue;
+    }
+    if (value === null || typeof value !== 'object') continue;
+    if (target[key] === undefined) {
+      target[key] = Array.isArray(value) ? [] : {};
+    }
+    copyPath(value, target[key], rest);
+  }
+}
+
+/**
+ * Remove the value at a path (array elements become null so indexes stay stable)
+ */
+function removePath(node, segments) {
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(node) : [segment];
+  
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+    if (rest.length > 0) {
+      if (node[key] !== null && typeof node[key] === 'object') {
+        removePath(node[key], rest);
+      }
+    } else if (Array.isArray(node)) {
+      node[key] = null;
+    } else {
+      delete node[key];
+    }
+  }
+}
+
+/**
+ * Apply body include/exclude JSONPath rules to a JSON body
+ * Non-JSON bodies are returned unchanged. include is applied first, then exclude.
+ * @param {object|string|null} body - Request body
+ * @param {object|undefined} bodyRules - { include, exclude } JSONPath lists
+ * @returns {object|string|null} - Body to hash
+ */
+function applyBodyRules(body, bodyRules) {
+  const include = bodyRules?.include || [];
+  const exclude = bodyRules?.exclude || [];
+  if (!body || (include.length === 0 && exclude.length === 0)) {
+    return body;
+  }
+  
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+  if (parsed === null || typeof parsed !== 'object') {
+    return body;
+  }
+  
+  let result;
+  if (include.length > 0) {
+    result = Array.isArray(parsed) ? [] : {};
+    for (const path of include) {
+      const segments = parseJsonPath(path);
+      if (segments.length === 0) {
+        result = parsed;
+        break;
+      }
+      copyPath(parsed, result, segments);
+    }
+  } else {
+    result = parsed;
+  }
+  
+  // Work on a copy so the caller's body (sent upstream) is untouched
+  result = JSON.parse(JSON.stringify(result));
+  for (const path of exclude) {
+    const segments = parseJsonPath(path);
+    if (segments.length > 0) {
+      removePath(result, segments);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get the header names that make up the key: vary headers plus rule headers
+ * @param {array|null} varyHeaders - Vary headers (null = defaults)
+ * @param {object} rules - Cache key rules
+ * @returns {array|null} - Header names
+ */
+function getKeyHeaderNames(varyHeaders, rules) {
+  return mergeVaryHeaders(varyHeaders, rules.headers);
+}
+
+/**
+ * Decode the payload of a JWT without verifying it (the token's hash is keyed too, see hashClaimTokens)
+ * @param {string} value - Header value, optionally prefixed with "Bearer "
+ * @returns {object|null} - Payload or null if not a JWT
+ */
+function decodeJwtPayload(value) {
+  const token = String(value).replace(/^Bearer\s+/i, '').trim();
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract JWT claims named by the key rules
+ * @param {object} headers - Request headers
+ * @param {array|undefined} claimRules - [{ header, claim }]
+ * @returns {object|null} - { "<header>:<claim>": value } or null if no claim rules
+ */
+function extractClaims(headers, claimRules) {
+  if (!Array.isArray(claimRules) || claimRules.length === 0) {
+    return null;
+  }
+  
+  const claims = {};
+  for (const rule of claimRules) {
+    const header = rule.header.toLowerCase();
+    const value = headers[header] || headers[rule.header];
+    const payload = value ? decodeJwtPayload(value) : null;
+    // A missing claim keys as null so anonymous requests don't share a key with claimed ones by accident
+    claims[`${header}:${rule.claim}`] = payload?.[rule.claim] ?? null;
+  }
+  return claims;
+}
+
+/**
+ * Hash the full values of the headers claims are read from
+ * Claim signatures are never checked, so the claims alone would let a forged token with
+ * another user's claim share that user's key; keying on the token itself prevents it.
+ * @param {object} headers - Request headers
+ * @param {array} claimRules - [{ header, claim }]
+ * @returns {object} - { "<header>": SHA-256 of the value, or null when missing }
+ */
+function hashClaimTokens(headers, claimRules) {
+  const tokens = {};
+  for (const rule of claimRules) {
+    const header = rule.header.toLowerCase();
+    const value = headers[header] || headers[rule.header];
+    tokens[header] = value ? crypto.createHash('sha256').update(String(value)).digest('hex') : null;
+  }
+  return tokens;
+}
+
+/**
+ * Validate cache key rules from source config
+ * Shape: { query: { include, exclude }, body: { include, exclude }, ignore_path_case,
+ *          headers: [name], claims: [{ header, claim }] }
+ * @param {object|null} rules - Cache key rules
+ * @throws {Error} - "Invalid cache key rules: ..." when a rule is malformed
+ */
+export function validateCacheKeyRules(rules) {
+  if (rules === null || rules === undefined) return;
+  
+  try {
+    for (const path of [...(rules.body?.include || []), ...(rules.body?.exclude || [])]) {
+      parseJsonPath(path);
+    }
+    for (const rule of rules.claims || []) {
+      if (!rule || !rule.header || !rule.claim) {
+        throw new Error('claims entries need a header and a claim');
+      }
+      if (CREDENTIAL_HEADERS.includes(rule.header.toLowerCase())) {
+        throw new Error(`claims cannot be read from ${rule.header}, it carries the APi-Saver API key and is never forwarded`);
+      }
+    }
+  } catch (err) {
+    throw new Error(`Invalid cache key rules: ${err.message}`);
+  }
+}
+
 /**
  * Normalize body for consistent hashing
  */
@@ -93,7 +415,7 @@ function normalizeHeaders(headers, varyHeaders = null) {
   // Use provided vary headers or default significant headers
   const significant = varyHeaders && Array.isArray(varyHeaders) && varyHeaders.length > 0
     ? varyHeaders.map(h => h.toLowerCase())
-    : ['accept', 'content-type', 'x-api-version'];
+    : DEFAULT_VARY_HEADERS;
   
   const normalized = {};
   
@@ -107,5 +429,5 @@ function normalizeHeaders(headers, varyHeaders = null) {
   return Object.keys(normalized).length > 0 ? normalized : null;
 }
 
-export default { generateCacheKey, hashBody };
+export default { generateCacheKey, describeCacheKey, hashBody, getVaryHeaders, mergeVaryHeaders, validateCacheKeyRules };
 
@@ -4,11 +4,15 @@ import logger from './logger.js';
 // Store circuit breakers per source
 const breakers = new Map();
 
+// Retry counters per source (opossum stats only count fires)
+const retryStats = new Map();
+
 const defaultOptions = {
   timeout: 30000,           // 30 seconds
   errorThresholdPercentage: 50,
   resetTimeout: 30000,      // 30 seconds before trying again
   volumeThreshold: 5,       // Minimum requests before tripping
+  errorFilter: (err) => err.code === 'ERR_CANCELED', // A canceled hedge loser is not a source failure
 };
 
 /**
@@ -50,6 +54,21 @@ export function getCircuitBreaker(sourceId, action, options = {}) {
   return breakers.get(key);
 }
 
+/**
+ * Record a retry attempt for a source
+ * @param {string} sourceId - Source ID
+ * @param {boolean} succeeded - Whether the retried request eventually succeeded
+ */
+export function recordRetry(sourceId, succeeded) {
+  const key = `source:${sourceId}`;
+  const stats = retryStats.get(key) || { retries: 0, retrySuccesses: 0 };
+  stats.retries++;
+  if (succeeded) {
+    stats.retrySuccesses++;
+  }
+  retryStats.set(key, stats);
+}
+
 /**
  * Get circuit breaker stats for a source
  * @param {string} sourceId - Source ID
@@ -63,7 +82,7 @@ export function getCircuitBreakerStats(sourceId) {
   
   return {
     state: breaker.isOpen() ? 'open' : (breaker.isHalfOpen() ? 'half-open' : 'closed'),
-    stats: breaker.stats,
+    stats: { ...breaker.stats, ...(retryStats.get(key) || { retries: 0, retrySuccesses: 0 }) },
   };
 }
 
@@ -77,12 +96,24 @@ export function getAllCircuitBreakerStats() {
     const sourceId = key.replace('source:', '');
     stats[sourceId] = {
       state: breaker.isOpen() ? 'open' : (breaker.isHalfOpen() ? 'half-open' : 'closed'),
-      stats: breaker.stats,
+      stats: { ...breaker.stats, ...(retryStats.get(key) || { retries: 0, retrySuccesses: 0 }) },
     };
   }
   return stats;
 }
 
+/**
+ * Get a latency percentile of a source's recent requests (opossum's rolling window)
+ * @param {string} sourceId - Source ID
+ * @param {number} percentile - One of 0.25, 0.5, 0.75, 0.9, 0.95, 0.99, 0.995
+ * @returns {number|null} - Latency in milliseconds, or null without samples
+ */
+export function getLatencyPercentile(sourceId, percentile) {
+  const breaker = breakers.get(`source:${sourceId}`);
+  const latency = breaker?.stats.percentiles[percentile];
+  return latency > 0 ? latency : null;
+}
+
 /**
  * Reset a circuit breaker
  * @param {string} sourceId - Source ID
@@ -99,6 +130,8 @@ export default {
   getCircuitBreaker,
   getCircuitBreakerStats,
   getAllCircuitBreakerStats,
+  recordRetry,
+  getLatencyPercentile,
   resetCircuitBreaker,
 };
 
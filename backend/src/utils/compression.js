@@ -0,0 +1,97 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+/**
+ * Utility functions for compressed cache storage and Accept-Encoding negotiation
+ * Encodings use their HTTP content-coding names so stored bytes can be served as is.
+ */
+
+// Brotli's default quality (11) is too slow for bodies compressed on the request path
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } };
+
+const codecs = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+  },
+  br: {
+    compress: (buffer) => promisify(zlib.brotliCompress)(buffer, BROTLI_OPTIONS),
+    decompress: promisify(zlib.brotliDecompress),
+  },
+};
+
+// zstd is only built into newer Node.js releases
+if (typeof zlib.zstdCompress === 'function') {
+  codecs.zstd = {
+    compress: promisify(zlib.zstdCompress),
+    decompress: promisify(zlib.zstdDecompress),
+  };
+}
+
+// Pool compression settings ('none' stores bodies uncompressed)
+export const COMPRESSION_OPTIONS = ['none', 'gzip', 'br', 'zstd'];
+
+/**
+ * Check whether an encoding can be used in this process
+ * @param {string} encoding - Content coding (gzip, br, zstd)
+ * @returns {boolean}
+ */
+export function isCompressionAvailable(encoding) {
+  return Object.prototype.hasOwnProperty.call(codecs, encoding);
+}
+
+/**
+ * Compress a body
+ * @param {Buffer} buffer - Uncompressed bytes
+ * @param {string} encoding - Content coding
+ * @returns {Promise<Buffer>}
+ */
+export async function compressBody(buffer, encoding) {
+  if (!isCompressionAvailable(encoding)) {
+    throw new Error(`Compression "${encoding}" is not available`);
+  }
+  return codecs[encoding].compress(buffer);
+}
+
+/**
+ * Decompress a body
+ * @param {Buffer} buffer - Compressed bytes
+ * @param {string} encoding - Content coding
+ * @returns {Promise<Buffer>}
+ */
+export async function decompressBody(buffer, encoding) {
+  if (!isCompressionAvailable(encoding)) {
+    throw new Error(`Compression "${encoding}" is not available`);
+  }
+  return codecs[encoding].decompress(buffer);
+}
+
+/**
+ * Check whether a client's Accept-Encoding allows a content coding
+ * An explicit entry wins over "*"; q=0 means "not acceptable".
+ * @param {string|null} acceptEncoding - Accept-Encoding header value
+ * @param {string} encoding - Content coding
+ * @returns {boolean}
+ */
+export function acceptsEncoding(acceptEncoding, encoding) {
+  if (!acceptEncoding) {
+    return false;
+  }
+
+  const entries = String(acceptEncoding).split(',').map(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    return { name: name.trim(), q: qParam ? parseFloat(qParam.slice(2)) : 1 };
+  });
+
+  const match = entries.find(entry => entry.name === encoding) || entries.find(entry => entry.name === '*');
+  return !!match && match.q > 0;
+}
+
+export default {
+  COMPRESSION_OPTIONS,
+  isCompressionAvailable,
+  compressBody,
+  decompressBody,
+  acceptsEncoding,
+};
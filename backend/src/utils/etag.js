@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+/**
+ * Utility functions for entity tags and client conditional requests (RFC 9110)
+ */
+
+/**
+ * Generate a strong ETag for a response body
+ * Objects are hashed as they are serialized to the client (JSON.stringify); buffers as raw bytes.
+ * @param {object|string|Buffer|null} body - Response body
+ * @returns {string} - Quoted ETag, e.g. "3q2-7w..."
+ */
+export function generateEtag(body) {
+  let serialized = '';
+  if (body !== null && body !== undefined) {
+    serialized = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  }
+  const hash = crypto.createHash('sha256').update(serialized).digest('base64url');
+  return `"${hash.substring(0, 32)}"`;
+}
+
+/**
+ * Strip the weak indicator so tags can be compared with the weak comparison function
+ * @param {string} tag - Entity tag
+ * @returns {string} - Opaque tag
+ */
+function opaqueTag(tag) {
+  return tag.trim().replace(/^W\//, '');
+}
+
+/**
+ * Check whether the client already has the current representation
+ * If-None-Match takes precedence; If-Modified-Since is only used without it.
+ * @param {object} requestHeaders - Client request headers (lowercase names)
+ * @param {object} validators - Current validators
+ * @param {string|null} validators.etag - Current ETag
+ * @param {string|null} validators.lastModified - Current Last-Modified (HTTP date)
+ * @returns {boolean} - True if a 304 Not Modified should be returned
+ */
+export function isNotModified(requestHeaders, { etag = null, lastModified = null } = {}) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    if (!etag) {
+      return false;
+    }
+    if (ifNoneMatch.trim() === '*') {
+      return true;
+    }
+    const current = opaqueTag(etag);
+    return ifNoneMatch.split(',').some(tag => opaqueTag(tag) === current);
+  }
+
+  const ifModifiedSince = requestHeaders['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(lastModified);
+    if (Number.isNaN(since) || Number.isNaN(modified)) {
+      return false;
+    }
+    return modified <= since;
+  }
+
+  return false;
+}
+
+export default {
+  generateEtag,
+  isNotModified,
+};
@@ -0,0 +1,228 @@
+import { RE2JS } from 're2js';
+import { parseJsonPath } from './cacheKey.js';
+
+/**
+ * Utility functions for per-group failover rules
+ * Decide whether a source's outcome moves the request on to the group's next source.
+ * Requests outside a group (or groups without rules) use the defaults: thrown errors,
+ * timeouts, challenge pages and 404 fail over; any other response is returned as is.
+ *
+ * Shape: { statuses: [int], on_timeout: bool, on_challenge: bool,
+ *          body_predicates: [{ path, equals, contains, matches }], max_failover_ms: int|null }
+ *
+ * A body predicate without a path tests the raw body text (contains / matches); with a
+ * JSONPath it tests the values at that path of a JSON body (equals / contains / matches,
+ * or existence when none is given). `matches` patterns use RE2 syntax and run on a
+ * linear-time engine (no backreferences or lookaround), so no pattern can backtrack.
+ */
+
+export const DEFAULT_FAILOVER_RULES = {
+  statuses: [404],
+  on_timeout: true,
+  on_challenge: true,
+  body_predicates: [],
+  max_failover_ms: null,
+};
+
+// Longest `matches` pattern accepted, and the most text a pattern is run against
+const MAX_PATTERN_LENGTH = 512;
+const MAX_MATCH_TEXT_LENGTH = 65536;
+
+// Compiled `matches` patterns by source text; cleared when it grows past the limit
+const MAX_COMPILED_PATTERNS = 500;
+const compiledPatterns = new Map();
+
+/**
+ * Get the compiled RE2 pattern for a `matches` predicate, compiling it once
+ * @param {string} pattern - Pattern source
+ * @returns {RE2JS}
+ */
+function compilePattern(pattern) {
+  let regex = compiledPatterns.get(pattern);
+  if (!regex) {
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+      compiledPatterns.clear();
+    }
+    regex = RE2JS.compile(pattern);
+    compiledPatterns.set(pattern, regex);
+  }
+  return regex;
+}
+
+/**
+ * Merge a group's failover rules over the defaults
+ * Compiles the body predicates' patterns so responses only look them up; predicates saved
+ * before patterns were RE2 and that RE2 cannot compile are skipped.
+ * @param {object|null} rules - Group failover rules
+ * @returns {object} - Complete rules
+ */
+export function resolveFailoverRules(rules) {
+  const resolved = { ...DEFAULT_FAILOVER_RULES, ...(rules || {}) };
+  resolved.body_predicates = (resolved.body_predicates || []).filter(predicate => {
+    if (predicate.matches === undefined) {
+      return true;
+    }
+    try {
+      compilePattern(predicate.matches);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Check whether rules need the buffered body (such responses are never streamed)
+ * @param {object|null} rules - Failover rules
+ * @returns {boolean}
+ */
+export function hasBodyPredicates(rules) {
+  return (rules?.body_predicates?.length || 0) > 0;
+}
+
+/**
+ * Check whether a thrown source error should move the request to the next source
+ * Errors without a response (connection refused, DNS, open circuit) always fail over.
+ * @param {Error} err - Error thrown while fetching from the source
+ * @param {object} rules - Resolved failover rules
+ * @returns {boolean}
+ */
+export function shouldFailOverOnError(err, rules) {
+  if (err.code === 'ETIMEDOUT') {
+    return rules.on_timeout !== false;
+  }
+  if (err.code === 'ECHALLENGE') {
+    return rules.on_challenge !== false;
+  }
+  return true;
+}
+
+/**
+ * Collect the values at a path (every match of a "*" segment)
+ */
+function collectPathValues(node, segments, values) {
+  if (segments.length === 0) {
+    values.push(node);
+    return;
+  }
+  if (node === null || typeof node !== 'object') return;
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(node) : [segment];
+  for (const key of keys) {
+    if (Object.prototype.hasOwnProperty.call(node, key)) {
+      collectPathValues(node[key], rest, values);
+    }
+  }
+}
+
+/**
+ * Test one value against a predicate's equals / contains / matches
+ */
+function matchesValue(value, predicate) {
+  if (predicate.equals !== undefined) {
+    return JSON.stringify(value) === JSON.stringify(predicate.equals);
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (predicate.contains !== undefined) {
+    return typeof text === 'string' && text.includes(predicate.contains);
+  }
+  if (predicate.matches !== undefined) {
+    return typeof text === 'string' && compilePattern(predicate.matches).matcher(text.slice(0, MAX_MATCH_TEXT_LENGTH)).find();
+  }
+  return true;
+}
+
+/**
+ * Find the first body predicate a response matches
+ * @param {object} response - Buffered response from fetchFromSource
+ * @param {array} predicates - Body predicates
+ * @returns {object|null} - Matching predicate
+ */
+function findMatchingPredicate(response, predicates) {
+  for (const predicate of predicates) {
+    if (predicate.path) {
+      if (!response.isJson) continue;
+      const values = [];
+      collectPathValues(response.data, parseJsonPath(predicate.path), values);
+      if (values.some(value => matchesValue(value, predicate))) {
+        return predicate;
+      }
+    } else if (typeof response.rawBody === 'string' && matchesValue(response.rawBody, predicate)) {
+      return predicate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the reason a source response should move the request to the next source
+ * @param {object} response - Response from fetchFromSource
+ * @param {object} rules - Resolved failover rules
+ * @returns {object|null} - { kind: 'status'|'body', message }, or null if the response should be used
+ */
+export function getResponseFailoverReason(response, rules) {
+  if ((rules.statuses || []).includes(response.status)) {
+    return { kind: 'status', message: `returned ${response.status}` };
+  }
+  if (hasBodyPredicates(rules) && !response.stream) {
+    const predicate = findMatchingPredicate(response, rules.body_predicates);
+    if (predicate) {
+      return { kind: 'body', message: `response body matched failover predicate ${JSON.stringify(predicate)}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate failover rules from group config
+ * @param {object|null} rules - Failover rules
+ * @throws {Error} - "Invalid failover rules: ..." when a rule is malformed
+ */
+export function validateFailoverRules(rules) {
+  if (rules === null || rules === undefined) return;
+
+  try {
+    for (const status of rules.statuses || []) {
+      if (!Number.isInteger(status) || status < 100 || status > 599) {
+        throw new Error(`status ${status} is not an HTTP status code`);
+      }
+    }
+    for (const predicate of rules.body_predicates || []) {
+      const tests = ['equals', 'contains', 'matches'].filter(name => predicate[name] !== undefined);
+      if (tests.length > 1) {
+        throw new Error('a body predicate takes only one of equals, contains or matches');
+      }
+      if (!predicate.path && tests.length === 0) {
+        throw new Error('a body predicate without a path needs contains or matches');
+      }
+      if (!predicate.path && predicate.equals !== undefined) {
+        throw new Error('equals needs a path');
+      }
+      if (predicate.path) {
+        parseJsonPath(predicate.path);
+      }
+      if (predicate.matches !== undefined) {
+        if (typeof predicate.matches !== 'string' || predicate.matches.length > MAX_PATTERN_LENGTH) {
+          throw new Error(`matches must be a pattern of at most ${MAX_PATTERN_LENGTH} characters`);
+        }
+        compilePattern(predicate.matches);
+      }
+    }
+    if (rules.max_failover_ms !== undefined && rules.max_failover_ms !== null
+        && (!Number.isInteger(rules.max_failover_ms) || rules.max_failover_ms < 0)) {
+      throw new Error('max_failover_ms must be a non-negative integer');
+    }
+  } catch (err) {
+    throw new Error(`Invalid failover rules: ${err.message}`);
+  }
+}
+
+export default {
+  DEFAULT_FAILOVER_RULES,
+  resolveFailoverRules,
+  hasBodyPredicates,
+  shouldFailOverOnError,
+  getResponseFailoverReason,
+  validateFailoverRules,
+};
@@ -33,6 +33,31 @@ export function addBrowserHeaders(headers = {}) {
   };
 }
 
+/**
+ * Merge a source's configured headers and auth into outgoing request headers
+ * Source headers and auth override forwarded client headers. The source object is not mutated.
+ * @param {object} source - Source config with decrypted headers and auth_config
+ * @param {object} headers - Forwarded request headers
+ * @returns {object} - Headers to send upstream
+ */
+export function applySourceAuthHeaders(source, headers = {}) {
+  const requestHeaders = { ...headers, ...(source.headers || {}) };
+  
+  // Add auth headers based on auth_type
+  if (source.auth_type === 'bearer' && source.auth_config?.token) {
+    requestHeaders['Authorization'] = `Bearer ${source.auth_config.token}`;
+  } else if (source.auth_type === 'api_key' && source.auth_config) {
+    const { header_name, key } = source.auth_config;
+    requestHeaders[header_name || 'X-API-Key'] = key;
+  } else if (source.auth_type === 'basic' && source.auth_config) {
+    const { username, password } = source.auth_config;
+    const encoded = Buffer.from(`${username}:${password}`).toString('base64');
+    requestHeaders['Authorization'] = `Basic ${encoded}`;
+  }
+  
+  return requestHeaders;
+}
+
 /**
  * Check if response is HTML (often indicates a challenge page)
  * @param {string} contentType - Content-Type header value
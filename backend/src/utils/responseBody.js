@@ -0,0 +1,123 @@
+import { PassThrough } from 'stream';
+
+/**
+ * Utility functions for upstream response bodies: binary-safe decoding and size-limited reads
+ */
+
+// Media types whose bodies are handled as UTF-8 text; everything else is kept as bytes
+const TEXT_MEDIA_TYPES = [
+  /^text\//,
+  /[/+]json$/,
+  /[/+]xml$/,
+  /^application\/(javascript|ecmascript|x-www-form-urlencoded|graphql|yaml|x-yaml|x-ndjson)$/,
+];
+
+// Charsets that decode losslessly as UTF-8
+const UTF8_CHARSETS = ['utf-8', 'utf8', 'us-ascii'];
+
+/**
+ * Check whether a Content-Type is text that can be stored as a UTF-8 string
+ * Text in another charset (e.g. ISO-8859-1) is treated as binary so its bytes are preserved.
+ * @param {string} contentType - Content-Type header value
+ * @returns {boolean}
+ */
+export function isTextContentType(contentType) {
+  const [mediaType, ...params] = String(contentType || '').toLowerCase().split(';').map(part => part.trim());
+  const charset = params.find(param => param.startsWith('charset='))?.slice('charset='.length).replace(/"/g, '');
+  if (charset && !UTF8_CHARSETS.includes(charset)) {
+    return false;
+  }
+  return TEXT_MEDIA_TYPES.some(pattern => pattern.test(mediaType));
+}
+
+/**
+ * Check whether a buffer is valid UTF-8
+ * @param {Buffer} buffer - Body bytes
+ * @returns {boolean}
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decode a response body: text becomes a string, anything else stays a Buffer
+ * Without a Content-Type the body is treated as text only if it is valid UTF-8.
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|Buffer}
+ */
+export function decodeBody(buffer, contentType) {
+  const isText = contentType ? isTextContentType(contentType) : isValidUtf8(buffer);
+  return isText ? buffer.toString('utf8') : buffer;
+}
+
+/**
+ * Emit already-read chunks followed by the rest of a stream
+ * @param {Array<Buffer>} chunks - Chunks read so far
+ * @param {Readable} stream - Paused source stream
+ * @returns {PassThrough}
+ */
+function prependChunks(chunks, stream) {
+  const output = new PassThrough();
+  for (const chunk of chunks) {
+    output.write(chunk);
+  }
+  stream.once('error', err => output.destroy(err));
+  stream.pipe(output);
+  return output;
+}
+
+/**
+ * Read a response stream into memory up to a size limit
+ * Past the limit the body keeps streaming (allowStream) or is read to the end so it can
+ * still be returned; either way it is flagged as too large to cache.
+ * @param {Readable} stream - Response body stream
+ * @param {object} options - Read options
+ * @param {number} options.maxBytes - Largest body to buffer for caching
+ * @param {boolean} options.allowStream - Return a stream instead of buffering past maxBytes
+ * @returns {Promise<object>} - { buffer, stream, size, tooLarge }
+ */
+export function readResponseBody(stream, { maxBytes = Infinity, allowStream = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const cleanup = () => {
+      stream.off('data', onData);
+      stream.off('end', onEnd);
+      stream.off('error', onError);
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (allowStream && size > maxBytes) {
+        cleanup();
+        stream.pause();
+        resolve({ buffer: null, stream: prependChunks(chunks, stream), size: null, tooLarge: true });
+      }
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve({ buffer: Buffer.concat(chunks), stream: null, size, tooLarge: size > maxBytes });
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+  });
+}
+
+export default {
+  isTextContentType,
+  decodeBody,
+  readResponseBody,
+};
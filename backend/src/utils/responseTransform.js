@@ -0,0 +1,198 @@
+import { parseJsonPath, copyPath } from './cacheKey.js';
+
+/**
+ * Utility functions for per-source response transforms
+ * Applied after fetch and before storage/return, in this order: projection, renames,
+ * redaction (JSON bodies only), then header rewriting (any body).
+ *
+ * Shape: { project: [jsonpath], rename: { jsonpath: new_name }, redact: [key],
+ *          headers: { set: { name: value }, remove: [name] } }
+ *
+ * Script transforms are not implemented yet: they need a real isolate (node:vm does not
+ * isolate code from the host process), so `script` rules are rejected until one is available.
+ */
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Check whether transform rules change anything
+ * @param {object|null} rules - Transform rules
+ * @returns {boolean}
+ */
+export function hasTransformRules(rules) {
+  if (!rules) return false;
+  return (rules.project?.length || 0) > 0
+    || Object.keys(rules.rename || {}).length > 0
+    || (rules.redact?.length || 0) > 0
+    || Object.keys(rules.headers?.set || {}).length > 0
+    || (rules.headers?.remove?.length || 0) > 0;
+}
+
+/**
+ * Check whether transform rules touch the body (such responses are never streamed)
+ * @param {object|null} rules - Transform rules
+ * @returns {boolean}
+ */
+export function hasBodyTransformRules(rules) {
+  if (!rules) return false;
+  return (rules.project?.length || 0) > 0
+    || Object.keys(rules.rename || {}).length > 0
+    || (rules.redact?.length || 0) > 0;
+}
+
+/**
+ * Get the header names a transform sets, which are forwarded to clients like safe headers
+ * @param {object|null} rules - Transform rules
+ * @returns {array} - Lowercase header names
+ */
+export function getTransformHeaderNames(rules) {
+  return Object.keys(rules?.headers?.set || {}).map(name => name.toLowerCase());
+}
+
+/**
+ * Rename the field at a path (the last segment must be a field name)
+ */
+function renamePath(node, segments, newName) {
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(node) : [segment];
+
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+    if (rest.length > 0) {
+      if (node[key] !== null && typeof node[key] === 'object') {
+        renamePath(node[key], rest, newName);
+      }
+    } else if (!Array.isArray(node) && key !== newName) {
+      node[newName] = node[key];
+      delete node[key];
+    }
+  }
+}
+
+/**
+ * Replace the value of every field with a redacted name, at any depth
+ */
+function redactKeys(node, keys) {
+  if (node === null || typeof node !== 'object') return;
+  for (const key of Object.keys(node)) {
+    if (!Array.isArray(node) && keys.has(key.toLowerCase())) {
+      node[key] = REDACTED;
+    } else {
+      redactKeys(node[key], keys);
+    }
+  }
+}
+
+/**
+ * Apply the body rules to a JSON body
+ * @param {*} data - Parsed JSON body
+ * @param {object} rules - Transform rules
+ * @returns {*} - Transformed body
+ */
+function transformBody(data, rules) {
+  // Work on a copy so rules never mutate a shared object
+  let body = structuredClone(data);
+
+  if (rules.project?.length > 0 && body !== null && typeof body === 'object') {
+    let projected = Array.isArray(body) ? [] : {};
+    for (const path of rules.project) {
+      const segments = parseJsonPath(path);
+      if (segments.length === 0) {
+        projected = body;
+        break;
+      }
+      copyPath(body, projected, segments);
+    }
+    body = projected;
+  }
+
+  for (const [path, newName] of Object.entries(rules.rename || {})) {
+    if (body !== null && typeof body === 'object') {
+      renamePath(body, parseJsonPath(path), newName);
+    }
+  }
+
+  if (rules.redact?.length > 0) {
+    redactKeys(body, new Set(rules.redact.map(key => key.toLowerCase())));
+  }
+
+  return body;
+}
+
+/**
+ * Apply header rewriting rules
+ * @param {object} headers - Response headers
+ * @param {object|undefined} headerRules - { set, remove }
+ * @returns {object} - New headers
+ */
+function rewriteHeaders(headers, headerRules) {
+  const result = { ...(headers || {}) };
+  for (const name of headerRules?.remove || []) {
+    delete result[name.toLowerCase()];
+  }
+  for (const [name, value] of Object.entries(headerRules?.set || {})) {
+    result[name.toLowerCase()] = String(value);
+  }
+  return result;
+}
+
+/**
+ * Apply a source's transform rules to a fetched response
+ * Non-JSON bodies pass through unchanged; headers are always rewritten.
+ * @param {object} response - Response from fetchFromSource
+ * @param {object|null} rules - Transform rules
+ * @returns {object} - Transformed response (the input response if there are no rules)
+ * @throws {Error} - When a rule fails
+ */
+export function applyResponseTransform(response, rules) {
+  if (!hasTransformRules(rules)) {
+    return response;
+  }
+
+  const transformed = { ...response, headers: rewriteHeaders(response.headers, rules.headers) };
+  if (response.isJson && hasBodyTransformRules(rules)) {
+    transformed.data = transformBody(response.data, rules);
+    transformed.rawBody = JSON.stringify(transformed.data);
+    // Length of the upstream body, not of this one
+    delete transformed.headers['content-length'];
+  }
+  return transformed;
+}
+
+/**
+ * Validate transform rules from source config
+ * @param {object|null} rules - Transform rules
+ * @throws {Error} - "Invalid transform rules: ..." when a rule is malformed
+ */
+export function validateTransformRules(rules) {
+  if (rules === null || rules === undefined) return;
+
+  try {
+    if (rules.script !== undefined && rules.script !== null) {
+      throw new Error('script rules are not supported');
+    }
+    for (const path of rules.project || []) {
+      parseJsonPath(path);
+    }
+    for (const [path, newName] of Object.entries(rules.rename || {})) {
+      const segments = parseJsonPath(path);
+      const last = segments[segments.length - 1];
+      if (typeof last !== 'string' || last === '*') {
+        throw new Error(`rename path "${path}" must end in a field name`);
+      }
+      if (typeof newName !== 'string' || newName.length === 0) {
+        throw new Error(`rename of "${path}" needs a new field name`);
+      }
+    }
+  } catch (err) {
+    throw new Error(`Invalid transform rules: ${err.message}`);
+  }
+}
+
+export default {
+  hasTransformRules,
+  hasBodyTransformRules,
+  getTransformHeaderNames,
+  applyResponseTransform,
+  validateTransformRules,
+};
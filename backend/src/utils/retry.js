@@ -0,0 +1,95 @@
+/**
+ * Utility functions for retrying upstream requests with exponential backoff
+ */
+
+// Methods that are safe to repeat without side effects (RFC 9110)
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+// Upstream statuses worth retrying: throttling and transient server errors
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Network-level error codes that indicate a transient failure
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * Check whether a request method may be retried
+ * @param {string} method - HTTP method
+ * @param {boolean} allowNonIdempotent - Source opt-in for retrying POST/PATCH
+ * @returns {boolean} - True if retries are allowed
+ */
+export function isRetryableMethod(method, allowNonIdempotent = false) {
+  return allowNonIdempotent || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Check whether an upstream status should be retried
+ * @param {number} status - HTTP status code
+ * @returns {boolean} - True if the status is transient
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Check whether a thrown error should be retried
+ * Challenge-page and open-breaker errors are not retried, only network failures.
+ * @param {Error} err - Error thrown by the request
+ * @returns {boolean} - True if the error is transient
+ */
+export function isRetryableError(err) {
+  return RETRYABLE_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Header value (delta seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the backoff delay for a retry attempt (exponential with full jitter)
+ * @param {number} attempt - Retry attempt number (1-based)
+ * @param {object} options - Backoff options
+ * @param {number} options.baseMs - Base delay in milliseconds
+ * @param {number} options.maxMs - Maximum delay in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, { baseMs, maxMs }) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  IDEMPOTENT_METHODS,
+  isRetryableMethod,
+  isRetryableStatus,
+  isRetryableError,
+  parseRetryAfter,
+  computeBackoffDelay,
+  sleep,
+};
@@ -121,6 +121,10 @@ export default function CacheEntryModal({ entry, isAdmin, onClose, onInvalidate,
                 <pre className="text-xs font-mono whitespace-pre-wrap text-[var(--color-text)]">
                   {entry.response_body_raw}
                 </pre>
+              ) : entry.response_body_size ? (
+                <p className="text-xs text-[var(--color-text-muted)]">
+                  Binary body ({entry.content_type || 'unknown type'}, {entry.response_body_size.toLocaleString()} bytes)
+                </p>
               ) : (
                 <p className="text-xs text-[var(--color-text-muted)]">No response body available</p>
               )}
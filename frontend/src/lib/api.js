@@ -50,6 +50,16 @@ export const sourcesApi = {
   test: (id) => api.post(`/api/v1/sources/${id}/test`),
 };
 
+export const sourceGroupsApi = {
+  list: () => api.get('/api/v1/source-groups'),
+  get: (id) => api.get(`/api/v1/source-groups/${id}`),
+  create: (data) => api.post('/api/v1/source-groups', data),
+  update: (id, data) => api.patch(`/api/v1/source-groups/${id}`, data),
+  delete: (id) => api.delete(`/api/v1/source-groups/${id}`),
+  setMember: (id, sourceId, data) => api.put(`/api/v1/source-groups/${id}/members/${sourceId}`, data),
+  removeMember: (id, sourceId) => api.delete(`/api/v1/source-groups/${id}/members/${sourceId}`),
+};
+
 export const cacheApi = {
   fetch: (data) => api.post('/api/v1/data', data),
   list: (params) => api.get('/api/v1/data/cache', { params }),
@@ -21,10 +21,17 @@ export default function CachePolicies() {
   const [formData, setFormData] = useState({
     source_id: '',
     max_ttl_seconds: 86400,
+    ttl_mode: 'fixed',
     no_cache: false,
     purge_schedule: '',
+    refresh_schedule: '',
+    stale_if_error_seconds: '',
+    stale_while_revalidate_seconds: '',
+    negative_cache_statuses: '',
+    negative_ttl_seconds: 60,
   });
   const [cronError, setCronError] = useState('');
+  const [refreshCronError, setRefreshCronError] = useState('');
   const queryClient = useQueryClient();
   const { isAdmin } = useAuth();
 
@@ -76,8 +83,14 @@ export default function CachePolicies() {
     setFormData({
       source_id: '',
       max_ttl_seconds: 86400,
+      ttl_mode: 'fixed',
       no_cache: false,
       purge_schedule: '',
+      refresh_schedule: '',
+      stale_if_error_seconds: '',
+      stale_while_revalidate_seconds: '',
+      negative_cache_statuses: '',
+      negative_ttl_seconds: 60,
     });
   };
 
@@ -86,8 +99,14 @@ export default function CachePolicies() {
     setFormData({
       source_id: policy.source_id,
       max_ttl_seconds: policy.max_ttl_seconds,
+      ttl_mode: policy.ttl_mode || 'fixed',
       no_cache: policy.no_cache,
       purge_schedule: policy.purge_schedule || '',
+      refresh_schedule: policy.refresh_schedule || '',
+      stale_if_error_seconds: policy.stale_if_error_seconds ?? '',
+      stale_while_revalidate_seconds: policy.stale_while_revalidate_seconds ?? '',
+      negative_cache_statuses: (policy.negative_cache_statuses || []).join(', '),
+      negative_ttl_seconds: policy.negative_ttl_seconds ?? 60,
     });
     setShowModal(true);
   };
@@ -104,11 +123,33 @@ export default function CachePolicies() {
       }
     }
     
+    if (formData.refresh_schedule) {
+      const cronValidation = validateCron(formData.refresh_schedule);
+      if (!cronValidation.valid) {
+        setRefreshCronError(cronValidation.error || 'Invalid cron expression');
+        return;
+      }
+    }
+    
     setCronError('');
+    setRefreshCronError('');
     const submitData = { ...formData };
     if (!submitData.purge_schedule) {
       delete submitData.purge_schedule;
     }
+    // Send null so clearing the field stops the refresh job
+    submitData.refresh_schedule = submitData.refresh_schedule || null;
+    for (const field of ['stale_if_error_seconds', 'stale_while_revalidate_seconds']) {
+      submitData[field] = submitData[field] === '' ? null : parseInt(submitData[field]);
+    }
+    // "404, 410, 429" -> [404, 410, 429]; only 4xx/5xx codes can be negatively cached
+    submitData.negative_cache_statuses = [...new Set(
+      submitData.negative_cache_statuses
+        .split(',')
+        .map((status) => parseInt(status.trim()))
+        .filter((status) => status >= 400 && status <= 599)
+    )];
+    submitData.negative_ttl_seconds = parseInt(submitData.negative_ttl_seconds) || 60;
     if (editingPolicy) {
       updateMutation.mutate(submitData);
     } else {
@@ -125,6 +166,15 @@ export default function CachePolicies() {
     }
   };
 
+  const handleRefreshCronBlur = () => {
+    if (formData.refresh_schedule) {
+      const cronValidation = validateCron(formData.refresh_schedule);
+      setRefreshCronError(cronValidation.valid ? '' : (cronValidation.error || 'Invalid cron expression'));
+    } else {
+      setRefreshCronError('');
+    }
+  };
+
   const handleDelete = (id) => {
     if (confirm('Are you sure you want to delete this cache policy?')) {
       deleteMutation.mutate(id);
@@ -365,6 +415,88 @@ export default function CachePolicies() {
                 </p>
               </div>
 
+              <div>
+                <label className="label">TTL Mode</label>
+                <select
+                  value={formData.ttl_mode}
+                  onChange={(e) => setFormData({ ...formData, ttl_mode: e.target.value })}
+                  className="input"
+                >
+                  <option value="fixed">Fixed (configured TTL)</option>
+                  <option value="origin">Origin (Cache-Control, Expires, Vary)</option>
+                </select>
+                <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                  Origin mode derives TTL and cacheability from upstream headers, still capped by Max TTL
+                </p>
+              </div>
+
+              <div>
+                <label className="label">Stale If Error (seconds)</label>
+                <input
+                  type="number"
+                  value={formData.stale_if_error_seconds}
+                  onChange={(e) =>
+                    setFormData({ ...formData, stale_if_error_seconds: e.target.value })
+                  }
+                  className="input"
+                  min="0"
+                  max="31536000"
+                  placeholder="Use source setting"
+                />
+                <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                  Serve expired entries up to this long after expiry when all sources fail
+                </p>
+              </div>
+
+              <div>
+                <label className="label">Stale While Revalidate (seconds)</label>
+                <input
+                  type="number"
+                  value={formData.stale_while_revalidate_seconds}
+                  onChange={(e) =>
+                    setFormData({ ...formData, stale_while_revalidate_seconds: e.target.value })
+                  }
+                  className="input"
+                  min="0"
+                  max="31536000"
+                  placeholder="Disabled"
+                />
+                <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                  Serve expired entries immediately while refreshing them in the background
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Negative Cache Statuses</label>
+                  <input
+                    type="text"
+                    value={formData.negative_cache_statuses}
+                    onChange={(e) =>
+                      setFormData({ ...formData, negative_cache_statuses: e.target.value })
+                    }
+                    className="input font-mono"
+                    placeholder="404, 410, 429"
+                  />
+                </div>
+                <div>
+                  <label className="label">Negative TTL (seconds)</label>
+                  <input
+                    type="number"
+                    value={formData.negative_ttl_seconds}
+                    onChange={(e) =>
+                      setFormData({ ...formData, negative_ttl_seconds: e.target.value })
+                    }
+                    className="input"
+                    min="1"
+                    max="86400"
+                  />
+                </div>
+                <p className="col-span-2 text-xs text-[var(--color-text-muted)]">
+                  Error responses with these statuses are cached for the negative TTL and served with X-Cache: NEGATIVE-HIT. They never replace a valid cached response.
+                </p>
+              </div>
+
               <div>
                 <label className="label">Purge Schedule (Cron)</label>
                 <input
@@ -387,6 +519,28 @@ export default function CachePolicies() {
                 )}
               </div>
 
+              <div>
+                <label className="label">Refresh Schedule (Cron)</label>
+                <input
+                  type="text"
+                  value={formData.refresh_schedule}
+                  onChange={(e) => {
+                    setFormData({ ...formData, refresh_schedule: e.target.value });
+                    if (refreshCronError) setRefreshCronError('');
+                  }}
+                  onBlur={handleRefreshCronBlur}
+                  className={`input font-mono ${refreshCronError ? 'border-red-500' : ''}`}
+                  placeholder="*/15 * * * *"
+                />
+                {refreshCronError ? (
+                  <p className="text-sm text-red-500 mt-1">{refreshCronError}</p>
+                ) : (
+                  <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                    Optional cron expression for refreshing this source's cached entries in the background
+                  </p>
+                )}
+              </div>
+
               <div className="flex items-center gap-2">
                 <input
                   type="checkbox"
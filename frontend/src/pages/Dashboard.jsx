@@ -24,7 +24,7 @@ import {
   ArrowDown,
 } from 'lucide-react';
 
-const COLORS = ['#22c55e', '#ef4444', '#f59e0b'];
+const COLORS = ['#22c55e', '#ef4444', '#f59e0b', '#3b82f6'];
 
 export default function Dashboard() {
   const { user } = useAuth();
@@ -66,6 +66,7 @@ export default function Dashboard() {
     { name: 'Hits', value: metrics?.requests?.cache_hits || 0 },
     { name: 'Misses', value: metrics?.requests?.cache_misses || 0 },
     { name: 'Errors', value: metrics?.requests?.errors || 0 },
+    { name: 'Coalesced', value: metrics?.requests?.coalesced || 0 },
   ].filter((d) => d.value > 0);
 
   const circuitBreakerStatuses = Object.entries(metrics?.circuit_breakers || {}).map(
@@ -310,6 +310,42 @@ export default function PoolDetail() {
               </div>
             </div>
 
+            {/* Quota & Eviction */}
+            {stats.eviction && (
+              <div className="card p-6">
+                <h2 className="text-xl font-semibold text-[var(--color-text)] mb-4">Quota &amp; Eviction</h2>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <p className="text-[var(--color-text-muted)] mb-1">Policy</p>
+                    <p className="font-medium uppercase">{stats.eviction.policy.replace('_', ' ')}</p>
+                  </div>
+                  <div>
+                    <p className="text-[var(--color-text-muted)] mb-1">Size</p>
+                    <p className="font-medium">
+                      {formatBytes(stats.eviction.used_bytes)} / {stats.eviction.max_size_bytes ? formatBytes(stats.eviction.max_size_bytes) : 'Unlimited'}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-[var(--color-text-muted)] mb-1">Entries</p>
+                    <p className="font-medium">
+                      {stats.eviction.used_entries} / {stats.eviction.max_entries ?? 'Unlimited'}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-[var(--color-text-muted)] mb-1">Evicted</p>
+                    <p className="font-medium">
+                      {stats.eviction.evicted_count} ({formatBytes(stats.eviction.evicted_bytes)})
+                    </p>
+                    {stats.eviction.last_evicted_at && (
+                      <p className="text-xs text-[var(--color-text-muted)]">
+                        Last: {new Date(stats.eviction.last_evicted_at).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Source Breakdown */}
             {stats.source_breakdown && stats.source_breakdown.length > 0 && (
               <div className="card p-6">
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { sourcesApi, storagePoolsApi } from '../lib/api';
+import { sourcesApi, sourceGroupsApi, storagePoolsApi } from '../lib/api';
 import { useAuth } from '../context/AuthContext';
 import { validateUrl } from '../utils/validation';
 import {
@@ -21,38 +21,73 @@ import {
   Server,
 } from 'lucide-react';
 
-// Helper function to extract canonical name from source name
-function extractCanonicalName(sourceName) {
-  const dashIndex = sourceName.indexOf(' - ');
-  const spaceIndex = sourceName.indexOf(' ');
-  
-  if (dashIndex > 0) {
-    return sourceName.substring(0, dashIndex);
-  } else if (spaceIndex > 0 && !sourceName.match(/^[A-Z][a-z]+ [A-Z]/)) {
-    return sourceName.split(' ')[0];
+// Selection modes of source groups (empty = server default, SOURCE_SELECTION_MODE)
+const SELECTION_MODES = ['priority', 'round-robin', 'weighted', 'least-outstanding', 'ewma-latency', 'cost-aware'];
+
+// Health check config used when checks are switched on in the form
+const DEFAULT_HEALTH_CHECK = {
+  enabled: true,
+  path: '/',
+  interval_seconds: 30,
+  unhealthy_threshold: 3,
+  healthy_threshold: 2,
+};
+
+// Helper function to check whether a source has an active health check
+function hasHealthCheck(source) {
+  return !!source.health_check_config && source.health_check_config.enabled !== false;
+}
+
+// Health badge of a source with an active health check
+function HealthBadge({ source }) {
+  if (!hasHealthCheck(source)) {
+    return null;
   }
-  return sourceName;
+  const status = source.health_status || 'unknown';
+  const badgeClass = status === 'healthy' ? 'badge-success' : status === 'unhealthy' ? 'badge-danger' : 'badge-info';
+  const title = source.health_checked_at
+    ? `Last checked ${new Date(source.health_checked_at).toLocaleString()}`
+    : 'Not checked yet';
+  return (
+    <span className={`badge text-xs ${badgeClass}`} title={title}>
+      {status === 'healthy' ? 'Healthy' : status === 'unhealthy' ? 'Unhealthy (skipped)' : 'Health unknown'}
+    </span>
+  );
 }
 
-// Helper function to group sources by canonical name
-function groupSourcesByCanonicalName(sources) {
+// Helper function to get the source group a source is listed under (its first group)
+function getPrimaryGroup(source) {
+  return source.groups?.[0] || null;
+}
+
+// Helper function to get the listing key of a source (ungrouped sources stand alone)
+function getGroupKey(source) {
+  const group = getPrimaryGroup(source);
+  return group ? group.id : `source:${source.id}`;
+}
+
+// Helper function to group sources by source group
+function groupSourcesBySourceGroup(sources) {
   const groups = new Map();
   
   sources.forEach(source => {
-    const canonicalName = extractCanonicalName(source.name);
-    if (!groups.has(canonicalName)) {
-      groups.set(canonicalName, []);
+    const key = getGroupKey(source);
+    if (!groups.has(key)) {
+      groups.set(key, { key, group: getPrimaryGroup(source), sources: [] });
     }
-    groups.get(canonicalName).push(source);
+    groups.get(key).sources.push(source);
   });
   
-  // Sort sources within each group by priority
-  groups.forEach((sources, canonicalName) => {
-    sources.sort((a, b) => a.priority - b.priority);
+  // Sort sources within each group by member priority
+  const memberPriority = (source) => getPrimaryGroup(source)?.priority ?? source.priority;
+  groups.forEach(({ sources }) => {
+    sources.sort((a, b) => memberPriority(a) - memberPriority(b));
   });
   
-  return Array.from(groups.entries()).map(([canonicalName, sources]) => ({
-    canonicalName,
+  return Array.from(groups.values()).map(({ key, group, sources }) => ({
+    key,
+    group,
+    name: group ? group.name : sources[0].name,
     sources,
     isMultiSource: sources.length > 1,
   }));
@@ -79,6 +114,16 @@ export default function Sources() {
     mutationFn: (id) => sourcesApi.test(id),
   });
 
+  const groupModeMutation = useMutation({
+    mutationFn: ({ id, selection_mode }) => sourceGroupsApi.update(id, { selection_mode }),
+    onSuccess: () => queryClient.invalidateQueries(['sources']),
+  });
+
+  const groupHedgingMutation = useMutation({
+    mutationFn: ({ id, hedging_enabled }) => sourceGroupsApi.update(id, { hedging_enabled }),
+    onSuccess: () => queryClient.invalidateQueries(['sources']),
+  });
+
   const handleEdit = (source) => {
     setEditingSource(source);
     setShowModal(true);
@@ -93,18 +138,18 @@ export default function Sources() {
     testMutation.mutate(id);
   };
 
-  const toggleGroupExpanded = (canonicalName) => {
+  const toggleGroupExpanded = (key) => {
     const newExpanded = new Set(expandedGroups);
-    if (newExpanded.has(canonicalName)) {
-      newExpanded.delete(canonicalName);
+    if (newExpanded.has(key)) {
+      newExpanded.delete(key);
     } else {
-      newExpanded.add(canonicalName);
+      newExpanded.add(key);
     }
     setExpandedGroups(newExpanded);
   };
 
   const handleDeleteGroup = (group) => {
-    if (confirm(`Are you sure you want to delete all ${group.sources.length} source(s) in "${group.canonicalName}"?`)) {
+    if (confirm(`Are you sure you want to delete all ${group.sources.length} source(s) in "${group.name}"?`)) {
       group.sources.forEach(source => {
         deleteMutation.mutate(source.id);
       });
@@ -189,15 +234,16 @@ export default function Sources() {
       <div className="card">
         {data?.sources?.length > 0 ? (
           <div className="divide-y divide-[var(--color-border)]">
-            {groupSourcesByCanonicalName(data.sources).map((group) => {
+            {groupSourcesBySourceGroup(data.sources).map((group) => {
               const primarySource = group.sources[0];
-              const isExpanded = expandedGroups.has(group.canonicalName);
+              const isExpanded = expandedGroups.has(group.key);
               const allActive = group.sources.every(s => s.is_active);
               const anyActive = group.sources.some(s => s.is_active);
+              const unhealthyCount = group.sources.filter(s => hasHealthCheck(s) && s.health_status === 'unhealthy').length;
               
               return (
                 <div
-                  key={group.canonicalName}
+                  key={group.key}
                   className="p-6 hover:bg-surface-50 dark:hover:bg-surface-800/30 transition-colors"
                 >
                   <div className="flex items-start justify-between">
@@ -205,7 +251,7 @@ export default function Sources() {
                       <div className="flex items-center gap-3">
                         {group.isMultiSource && (
                           <button
-                            onClick={() => toggleGroupExpanded(group.canonicalName)}
+                            onClick={() => toggleGroupExpanded(group.key)}
                             className="p-1 hover:bg-surface-100 dark:hover:bg-surface-700 rounded transition-colors"
                           >
                             {isExpanded ? (
@@ -216,7 +262,7 @@ export default function Sources() {
                           </button>
                         )}
                         <h3 className="text-lg font-semibold text-[var(--color-text)]">
-                          {group.canonicalName}
+                          {group.name}
                         </h3>
                         <span
                           className={`badge ${
@@ -230,6 +276,13 @@ export default function Sources() {
                             {group.sources.length} URL{group.sources.length > 1 ? 's' : ''}
                           </span>
                         )}
+                        {group.isMultiSource ? (
+                          unhealthyCount > 0 && (
+                            <span className="badge badge-danger">{unhealthyCount} unhealthy</span>
+                          )
+                        ) : (
+                          <HealthBadge source={primarySource} />
+                        )}
                         {primarySource.storage_mode && (
                           <span className={`badge ${
                             primarySource.storage_mode === 'dedicated' ? 'badge-info' : 'badge-warning'
@@ -239,6 +292,42 @@ export default function Sources() {
                         )}
                       </div>
                       
+                      {/* Proxy endpoint and selection mode of the source group */}
+                      {group.group && (
+                        <div className="mt-2 flex items-center gap-2 text-sm text-[var(--color-text-muted)]">
+                          <span className="font-mono">/proxy/{group.group.slug}/*</span>
+                          {isAdmin && group.isMultiSource ? (
+                            <select
+                              value={group.group.selection_mode || ''}
+                              onChange={(e) => groupModeMutation.mutate({ id: group.group.id, selection_mode: e.target.value || null })}
+                              disabled={groupModeMutation.isPending}
+                              className="input py-0.5 text-xs w-auto"
+                              title="Selection mode"
+                            >
+                              <option value="">Default selection</option>
+                              {SELECTION_MODES.map((mode) => (
+                                <option key={mode} value={mode}>{mode}</option>
+                              ))}
+                            </select>
+                          ) : group.isMultiSource && (
+                            <span className="badge badge-info text-xs">{group.group.selection_mode || 'default'} selection</span>
+                          )}
+                          {isAdmin && group.isMultiSource ? (
+                            <label className="flex items-center gap-1 text-xs" title="Send slow requests to the next source too; the first answer wins">
+                              <input
+                                type="checkbox"
+                                checked={!!group.group.hedging_enabled}
+                                onChange={(e) => groupHedgingMutation.mutate({ id: group.group.id, hedging_enabled: e.target.checked })}
+                                disabled={groupHedgingMutation.isPending}
+                              />
+                              Hedging
+                            </label>
+                          ) : group.group.hedging_enabled && (
+                            <span className="badge badge-info text-xs">Hedged</span>
+                          )}
+                        </div>
+                      )}
+                      
                       {/* Primary source info (always visible) */}
                       <div className="mt-2 flex items-center gap-2 text-sm text-[var(--color-text-muted)]">
                         <Globe className="w-4 h-4" />
@@ -305,6 +394,7 @@ export default function Sources() {
                                     >
                                       {source.is_active ? 'Active' : 'Inactive'}
                                     </span>
+                                    <HealthBadge source={source} />
                                   </div>
                                   <div className="flex items-center gap-2 text-sm text-[var(--color-text-muted)]">
                                     <Globe className="w-3 h-3" />
@@ -472,15 +562,11 @@ function SourceModal({ source, onClose }) {
   });
 
   // Determine if this is a multi-source group
-  const isMultiSource = source && allSources?.sources?.some(s => {
-    if (s.id === source.id) return false;
-    const canonicalName = extractCanonicalName(source.name);
-    return extractCanonicalName(s.name) === canonicalName;
-  });
+  const isMultiSource = source && allSources?.sources?.some(s => s.id !== source.id && getGroupKey(s) === getGroupKey(source));
 
   // Load related sources if editing a multi-source group
   const relatedSources = source && isMultiSource && allSources?.sources
-    ? allSources.sources.filter(s => extractCanonicalName(s.name) === extractCanonicalName(source.name)).sort((a, b) => a.priority - b.priority)
+    ? allSources.sources.filter(s => getGroupKey(s) === getGroupKey(source)).sort((a, b) => a.priority - b.priority)
     : source ? [source] : [];
 
   // Initialize form data
@@ -488,14 +574,14 @@ function SourceModal({ source, onClose }) {
     if (source && isMultiSource && relatedSources.length > 0) {
       // Multi-source: extract shared config and create url_entries
       const firstSource = relatedSources[0];
-      const canonicalName = extractCanonicalName(firstSource.name);
       return {
-        name: canonicalName,
+        name: getPrimaryGroup(firstSource)?.name || firstSource.name,
         storage_mode: firstSource.storage_mode || 'dedicated',
         storage_pool_id: firstSource.storage_pool_id || null,
         bypass_bot_detection: firstSource.bypass_bot_detection ?? false,
         cost_per_request: firstSource.cost_per_request || null,
         is_active: firstSource.is_active ?? true,
+        health_check_config: firstSource.health_check_config || null,
         url_entries: relatedSources.map(s => ({
           base_url: s.base_url,
           auth_type: s.auth_type || 'none',
@@ -516,6 +602,7 @@ function SourceModal({ source, onClose }) {
         bypass_bot_detection: source.bypass_bot_detection ?? false,
         cost_per_request: source.cost_per_request || null,
         is_active: source.is_active ?? true,
+        health_check_config: source.health_check_config || null,
         url_entries: [{
           base_url: source.base_url,
           auth_type: source.auth_type || 'none',
@@ -536,6 +623,7 @@ function SourceModal({ source, onClose }) {
         bypass_bot_detection: false,
         cost_per_request: null,
         is_active: true,
+        health_check_config: null,
         url_entries: [{
           base_url: '',
           auth_type: 'none',
@@ -558,23 +646,19 @@ function SourceModal({ source, onClose }) {
   useEffect(() => {
     if (source && allSources?.sources && !isMultiSource) {
       // Check again if this became a multi-source group
-      const related = allSources.sources.filter(s => {
-        if (s.id === source.id) return true;
-        const canonicalName = extractCanonicalName(source.name);
-        return extractCanonicalName(s.name) === canonicalName;
-      });
+      const related = allSources.sources.filter(s => s.id === source.id || getGroupKey(s) === getGroupKey(source));
       
       if (related.length > 1) {
         // It's a multi-source group, update form data
         const firstSource = related[0];
-        const canonicalName = extractCanonicalName(firstSource.name);
         setFormData({
-          name: canonicalName,
+          name: getPrimaryGroup(firstSource)?.name || firstSource.name,
           storage_mode: firstSource.storage_mode || 'dedicated',
           storage_pool_id: firstSource.storage_pool_id || null,
           bypass_bot_detection: firstSource.bypass_bot_detection ?? false,
           cost_per_request: firstSource.cost_per_request || null,
           is_active: firstSource.is_active ?? true,
+          health_check_config: firstSource.health_check_config || null,
           url_entries: related.sort((a, b) => a.priority - b.priority).map(s => ({
             base_url: s.base_url,
             auth_type: s.auth_type || 'none',
@@ -615,17 +699,24 @@ function SourceModal({ source, onClose }) {
             bypass_bot_detection: data.bypass_bot_detection,
             cost_per_request: data.cost_per_request,
             is_active: data.is_active,
+            health_check_config: data.health_check_config,
           }));
         }
-        // Handle new entries (if added) - create as new multi-source group
+        // Handle new entries (if added) - create them in the same source group
         if (data.url_entries.length > relatedSources.length) {
           const newEntries = data.url_entries.slice(relatedSources.length);
           const createResult = await sourcesApi.create({
             ...data,
             url_entries: newEntries,
+            group_id: getPrimaryGroup(source)?.id || null,
           });
           updates.push(createResult);
         }
+        // Renaming the group keeps its slug, so proxy URLs don't change
+        const sourceGroup = getPrimaryGroup(source);
+        if (sourceGroup && sourceGroup.name !== data.name) {
+          updates.push(sourceGroupsApi.update(sourceGroup.id, { name: data.name }));
+        }
         const results = await Promise.all(updates);
         return { sources: results.flatMap(r => r.data?.sources || [r.data] || [r]) };
       } else if (source) {
@@ -638,6 +729,7 @@ function SourceModal({ source, onClose }) {
           bypass_bot_detection: data.bypass_bot_detection,
           cost_per_request: data.cost_per_request,
           is_active: data.is_active,
+          health_check_config: data.health_check_config,
         });
       } else {
         // Create new source(s)
@@ -711,6 +803,7 @@ function SourceModal({ source, onClose }) {
       bypass_bot_detection: formData.bypass_bot_detection,
       cost_per_request: formData.cost_per_request,
       is_active: formData.is_active,
+      health_check_config: formData.health_check_config,
       url_entries: formData.url_entries,
     };
     
@@ -827,7 +920,7 @@ function SourceModal({ source, onClose }) {
           </h2>
           {isMultiSource && (
             <p className="text-sm text-[var(--color-text-muted)] mt-1">
-              Editing {relatedSources.length} URL{relatedSources.length > 1 ? 's' : ''} for {extractCanonicalName(source.name)}
+              Editing {relatedSources.length} URL{relatedSources.length > 1 ? 's' : ''} for {getPrimaryGroup(source)?.name || source.name}
             </p>
           )}
         </div>
@@ -848,7 +941,7 @@ function SourceModal({ source, onClose }) {
                 required
               />
               <p className="text-xs text-[var(--color-text-muted)] mt-1">
-                This name will be used as the canonical name for proxy routing
+                New sources join the source group with this name; the proxy routes by the group's slug, so renaming keeps sources in their groups
               </p>
             </div>
 
@@ -940,6 +1033,122 @@ function SourceModal({ source, onClose }) {
               </p>
             </div>
 
+            <div className="space-y-3">
+              <div className="flex items-start gap-2">
+                <input
+                  type="checkbox"
+                  id="health_check_enabled"
+                  checked={!!formData.health_check_config && formData.health_check_config.enabled !== false}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      health_check_config: e.target.checked
+                        ? { ...DEFAULT_HEALTH_CHECK, ...(formData.health_check_config || {}), enabled: true }
+                        : formData.health_check_config && { ...formData.health_check_config, enabled: false },
+                    })
+                  }
+                  className="w-4 h-4 rounded border-[var(--color-border)] text-primary-600 focus:ring-primary-500 mt-0.5"
+                />
+                <div className="flex-1">
+                  <label htmlFor="health_check_enabled" className="text-sm text-[var(--color-text)] cursor-pointer">
+                    Active Health Check
+                  </label>
+                  <p className="text-xs text-[var(--color-text-muted)] mt-1">
+                    Probe each URL periodically; unhealthy URLs are skipped by selection and failover
+                  </p>
+                </div>
+              </div>
+
+              {formData.health_check_config && formData.health_check_config.enabled !== false && (
+                <div className="grid grid-cols-2 gap-4 pl-6">
+                  <div>
+                    <label className="label">Path</label>
+                    <input
+                      type="text"
+                      value={formData.health_check_config.path || '/'}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        health_check_config: { ...formData.health_check_config, path: e.target.value || '/' },
+                      })}
+                      className="input font-mono"
+                      placeholder="/health"
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Interval (seconds)</label>
+                    <input
+                      type="number"
+                      min="5"
+                      value={formData.health_check_config.interval_seconds || 30}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        health_check_config: { ...formData.health_check_config, interval_seconds: parseInt(e.target.value, 10) || 30 },
+                      })}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Expected Status Codes</label>
+                    <input
+                      type="text"
+                      value={(formData.health_check_config.expected_status || []).join(', ')}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        health_check_config: {
+                          ...formData.health_check_config,
+                          expected_status: e.target.value
+                            .split(',')
+                            .map((code) => parseInt(code.trim(), 10))
+                            .filter((code) => code >= 100 && code <= 599),
+                        },
+                      })}
+                      className="input"
+                      placeholder="Any 2xx or 3xx"
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Body Must Contain</label>
+                    <input
+                      type="text"
+                      value={formData.health_check_config.body_contains || ''}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        health_check_config: { ...formData.health_check_config, body_contains: e.target.value || null },
+                      })}
+                      className="input"
+                      placeholder="Optional"
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Failures Before Unhealthy</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={formData.health_check_config.unhealthy_threshold || 3}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        health_check_config: { ...formData.health_check_config, unhealthy_threshold: parseInt(e.target.value, 10) || 3 },
+                      })}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Passes Before Healthy</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={formData.health_check_config.healthy_threshold || 2}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        health_check_config: { ...formData.health_check_config, healthy_threshold: parseInt(e.target.value, 10) || 2 },
+                      })}
+                      className="input"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+
             <div className="space-y-3">
               <div className="flex items-center gap-2">
                 <input
@@ -486,6 +486,10 @@ function StoragePoolModal({ pool, onClose }) {
   const [formData, setFormData] = useState({
     name: pool?.name || '',
     description: pool?.description || '',
+    compression: pool?.compression || 'none',
+    max_size_mb: pool?.max_size_bytes ? String(pool.max_size_bytes / (1024 * 1024)) : '',
+    max_entries: pool?.max_entries ? String(pool.max_entries) : '',
+    eviction_policy: pool?.eviction_policy || 'lru',
   });
   const [error, setError] = useState('');
 
@@ -507,7 +511,12 @@ function StoragePoolModal({ pool, onClose }) {
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    mutation.mutate(formData);
+    const { max_size_mb, max_entries, ...data } = formData;
+    mutation.mutate({
+      ...data,
+      max_size_bytes: max_size_mb ? Math.round(parseFloat(max_size_mb) * 1024 * 1024) : null,
+      max_entries: max_entries ? parseInt(max_entries, 10) : null,
+    });
   };
 
   return (
@@ -543,6 +552,66 @@ function StoragePoolModal({ pool, onClose }) {
             />
           </div>
 
+          <div>
+            <label className="label">Compression</label>
+            <select
+              value={formData.compression}
+              onChange={(e) => setFormData({ ...formData, compression: e.target.value })}
+              className="input"
+            >
+              <option value="none">None</option>
+              <option value="gzip">gzip</option>
+              <option value="br">Brotli</option>
+              <option value="zstd">zstd (if supported by the server)</option>
+            </select>
+            <p className="text-xs text-[var(--color-text-muted)] mt-1">
+              Applies to entries stored from now on; clients accepting the encoding get the compressed bytes directly
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Max Size (MB)</label>
+              <input
+                type="number"
+                min="0.001"
+                step="any"
+                value={formData.max_size_mb}
+                onChange={(e) => setFormData({ ...formData, max_size_mb: e.target.value })}
+                className="input"
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label className="label">Max Entries</label>
+              <input
+                type="number"
+                min="1"
+                value={formData.max_entries}
+                onChange={(e) => setFormData({ ...formData, max_entries: e.target.value })}
+                className="input"
+                placeholder="Unlimited"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Eviction Policy</label>
+            <select
+              value={formData.eviction_policy}
+              onChange={(e) => setFormData({ ...formData, eviction_policy: e.target.value })}
+              className="input"
+            >
+              <option value="lru">Least recently used</option>
+              <option value="lfu">Least frequently used</option>
+              <option value="oldest_first">Oldest first</option>
+              <option value="ttl_nearest">Nearest expiry first</option>
+            </select>
+            <p className="text-xs text-[var(--color-text-muted)] mt-1">
+              Entries are evicted in this order when the pool exceeds its quota
+            </p>
+          </div>
+
           {error && (
             <div className="p-3 bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 text-sm rounded-lg">
               {error}